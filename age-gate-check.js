@@ -0,0 +1,44 @@
+/**
+ * GROHIO Age Gate Check (age-gate-check.js)
+ *
+ * Loaded in the <head> of every app page, BEFORE anything renders.
+ * If this visitor hasn't confirmed they are 21+ (on the index.html gate),
+ * we send them back to the gate and remember the page they wanted, so
+ * they land right there after verifying.
+ *
+ * A visitor counts as verified if either:
+ * - sessionStorage.isVerified is 'true' (set by the gate for this tab), or
+ * - localStorage.ageVerifiedUntil is a time in the future (set when they
+ *   ticked "Remember me on this device" on the gate).
+ *
+ * This is a plain (non-module) script on purpose: module scripts are
+ * deferred, and we need to stop the page before it is shown.
+ */
+(function() {
+    'use strict';
+
+    const rememberedUntil = parseInt(localStorage.getItem('ageVerifiedUntil'), 10);
+    const isRemembered = rememberedUntil > Date.now();
+
+    if (sessionStorage.getItem('isVerified') === 'true' || isRemembered) {
+        // A still-valid "remember me" counts for this tab, too
+        if (isRemembered) {
+            sessionStorage.setItem('isVerified', 'true');
+        }
+        return;
+    }
+
+    // An expired "remember me" is just clutter now
+    localStorage.removeItem('ageVerifiedUntil');
+
+    // Hide the page so nothing flashes on screen during the redirect
+    document.documentElement.style.visibility = 'hidden';
+
+    // Keep the page (and deep link) they wanted, e.g. "app.html#/calculators".
+    // The query matters too: email sign-in links carry their code in it.
+    const wantedPage = window.location.pathname.split('/').pop() + window.location.search + window.location.hash;
+    const gateUrl = new URL('./index.html', window.location.href);
+    gateUrl.searchParams.set('next', wantedPage);
+
+    window.location.replace(gateUrl.href);
+})();
@@ -0,0 +1,143 @@
+/**
+ * GROHIO Ohio Frost Dates (ohio-frost-dates.js)
+ *
+ * Typical frost dates for every Ohio county, bundled with the app so the
+ * Outdoor Planner works offline (sw.js caches this file with the shell).
+ *
+ * Dates are "MM-DD" and are the usual (about a 50/50 chance) date of a
+ * 32°F frost, rounded to the nearest few days from long-term weather
+ * station records near each county:
+ * - lastFrost:  the last spring frost. Half of all years still get one later!
+ * - firstFrost: the first fall frost.
+ * Lake Erie keeps the shoreline counties milder, while the snowbelt and the
+ * southeast hill country get frost earlier in fall and later in spring.
+ * These are for planning only, a frost a week or two either side is always
+ * possible. Watch the forecast before planting out.
+ */
+
+export const OHIO_FROST_DATES = {
+  Adams: { lastFrost: '04-18', firstFrost: '10-18' },
+  Allen: { lastFrost: '04-28', firstFrost: '10-14' },
+  Ashland: { lastFrost: '05-03', firstFrost: '10-10' },
+  Ashtabula: { lastFrost: '05-01', firstFrost: '10-20' },
+  Athens: { lastFrost: '04-28', firstFrost: '10-10' },
+  Auglaize: { lastFrost: '04-30', firstFrost: '10-12' },
+  Belmont: { lastFrost: '04-25', firstFrost: '10-14' },
+  Brown: { lastFrost: '04-18', firstFrost: '10-18' },
+  Butler: { lastFrost: '04-15', firstFrost: '10-20' },
+  Carroll: { lastFrost: '05-05', firstFrost: '10-08' },
+  Champaign: { lastFrost: '04-28', firstFrost: '10-12' },
+  Clark: { lastFrost: '04-25', firstFrost: '10-14' },
+  Clermont: { lastFrost: '04-15', firstFrost: '10-20' },
+  Clinton: { lastFrost: '04-22', firstFrost: '10-16' },
+  Columbiana: { lastFrost: '05-05', firstFrost: '10-08' },
+  Coshocton: { lastFrost: '05-01', firstFrost: '10-10' },
+  Crawford: { lastFrost: '05-03', firstFrost: '10-10' },
+  Cuyahoga: { lastFrost: '04-20', firstFrost: '10-31' },
+  Darke: { lastFrost: '04-25', firstFrost: '10-15' },
+  Defiance: { lastFrost: '04-30', firstFrost: '10-12' },
+  Delaware: { lastFrost: '04-28', firstFrost: '10-13' },
+  Erie: { lastFrost: '04-20', firstFrost: '10-30' },
+  Fairfield: { lastFrost: '04-27', firstFrost: '10-13' },
+  Fayette: { lastFrost: '04-23', firstFrost: '10-15' },
+  Franklin: { lastFrost: '04-20', firstFrost: '10-20' },
+  Fulton: { lastFrost: '04-30', firstFrost: '10-12' },
+  Gallia: { lastFrost: '04-20', firstFrost: '10-18' },
+  Geauga: { lastFrost: '05-10', firstFrost: '10-05' },
+  Greene: { lastFrost: '04-20', firstFrost: '10-18' },
+  Guernsey: { lastFrost: '04-28', firstFrost: '10-10' },
+  Hamilton: { lastFrost: '04-10', firstFrost: '10-25' },
+  Hancock: { lastFrost: '04-30', firstFrost: '10-12' },
+  Hardin: { lastFrost: '04-30', firstFrost: '10-12' },
+  Harrison: { lastFrost: '05-01', firstFrost: '10-10' },
+  Henry: { lastFrost: '04-30', firstFrost: '10-12' },
+  Highland: { lastFrost: '04-22', firstFrost: '10-15' },
+  Hocking: { lastFrost: '04-30', firstFrost: '10-08' },
+  Holmes: { lastFrost: '05-05', firstFrost: '10-08' },
+  Huron: { lastFrost: '05-01', firstFrost: '10-12' },
+  Jackson: { lastFrost: '04-25', firstFrost: '10-12' },
+  Jefferson: { lastFrost: '04-30', firstFrost: '10-12' },
+  Knox: { lastFrost: '05-01', firstFrost: '10-10' },
+  Lake: { lastFrost: '04-22', firstFrost: '10-30' },
+  Lawrence: { lastFrost: '04-15', firstFrost: '10-22' },
+  Licking: { lastFrost: '04-30', firstFrost: '10-12' },
+  Logan: { lastFrost: '05-01', firstFrost: '10-10' },
+  Lorain: { lastFrost: '04-22', firstFrost: '10-28' },
+  Lucas: { lastFrost: '04-25', firstFrost: '10-20' },
+  Madison: { lastFrost: '04-25', firstFrost: '10-15' },
+  Mahoning: { lastFrost: '05-01', firstFrost: '10-10' },
+  Marion: { lastFrost: '04-30', firstFrost: '10-12' },
+  Medina: { lastFrost: '05-01', firstFrost: '10-12' },
+  Meigs: { lastFrost: '04-22', firstFrost: '10-15' },
+  Mercer: { lastFrost: '04-30', firstFrost: '10-12' },
+  Miami: { lastFrost: '04-25', firstFrost: '10-15' },
+  Monroe: { lastFrost: '04-22', firstFrost: '10-15' },
+  Montgomery: { lastFrost: '04-18', firstFrost: '10-20' },
+  Morgan: { lastFrost: '04-28', firstFrost: '10-10' },
+  Morrow: { lastFrost: '05-01', firstFrost: '10-10' },
+  Muskingum: { lastFrost: '04-25', firstFrost: '10-14' },
+  Noble: { lastFrost: '04-28', firstFrost: '10-10' },
+  Ottawa: { lastFrost: '04-20', firstFrost: '10-30' },
+  Paulding: { lastFrost: '04-30', firstFrost: '10-12' },
+  Perry: { lastFrost: '04-28', firstFrost: '10-10' },
+  Pickaway: { lastFrost: '04-25', firstFrost: '10-15' },
+  Pike: { lastFrost: '04-22', firstFrost: '10-15' },
+  Portage: { lastFrost: '05-05', firstFrost: '10-08' },
+  Preble: { lastFrost: '04-22', firstFrost: '10-16' },
+  Putnam: { lastFrost: '04-30', firstFrost: '10-12' },
+  Richland: { lastFrost: '05-03', firstFrost: '10-10' },
+  Ross: { lastFrost: '04-22', firstFrost: '10-16' },
+  Sandusky: { lastFrost: '04-28', firstFrost: '10-15' },
+  Scioto: { lastFrost: '04-15', firstFrost: '10-22' },
+  Seneca: { lastFrost: '04-30', firstFrost: '10-12' },
+  Shelby: { lastFrost: '04-28', firstFrost: '10-13' },
+  Stark: { lastFrost: '04-30', firstFrost: '10-12' },
+  Summit: { lastFrost: '04-30', firstFrost: '10-15' },
+  Trumbull: { lastFrost: '05-05', firstFrost: '10-08' },
+  Tuscarawas: { lastFrost: '05-01', firstFrost: '10-10' },
+  Union: { lastFrost: '04-28', firstFrost: '10-12' },
+  'Van Wert': { lastFrost: '04-30', firstFrost: '10-12' },
+  Vinton: { lastFrost: '04-30', firstFrost: '10-08' },
+  Warren: { lastFrost: '04-15', firstFrost: '10-20' },
+  Washington: { lastFrost: '04-22', firstFrost: '10-16' },
+  Wayne: { lastFrost: '05-01', firstFrost: '10-10' },
+  Williams: { lastFrost: '05-01', firstFrost: '10-10' },
+  Wood: { lastFrost: '04-28', firstFrost: '10-15' },
+  Wyandot: { lastFrost: '05-01', firstFrost: '10-11' }
+};
+
+// The first three digits of an Ohio ZIP code point at a mail region, so
+// each one maps to the county where most of that region's ZIPs are.
+// Close enough for frost dates, and the planner shows which county it used.
+export const OHIO_ZIP_PREFIX_COUNTIES = {
+  430: 'Licking',
+  431: 'Franklin',
+  432: 'Franklin',
+  433: 'Marion',
+  434: 'Wood',
+  435: 'Fulton',
+  436: 'Lucas',
+  437: 'Muskingum',
+  438: 'Muskingum',
+  439: 'Jefferson',
+  440: 'Lorain',
+  441: 'Cuyahoga',
+  442: 'Summit',
+  443: 'Summit',
+  444: 'Mahoning',
+  445: 'Trumbull',
+  446: 'Stark',
+  447: 'Stark',
+  448: 'Richland',
+  449: 'Richland',
+  450: 'Butler',
+  451: 'Hamilton',
+  452: 'Hamilton',
+  453: 'Montgomery',
+  454: 'Montgomery',
+  455: 'Clark',
+  456: 'Ross',
+  457: 'Athens',
+  458: 'Allen',
+  459: 'Warren'
+};
@@ -26,30 +26,57 @@ import {
   getAuth,
   signInAnonymously,
   onAuthStateChanged,
+  EmailAuthProvider,
+  linkWithCredential,
+  signInWithEmailAndPassword,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut,
+  deleteUser,
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-auth.js";
 import {
-  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
   doc,
   setDoc,
   addDoc,
   getDoc,
   getDocs,
   collection,
+  collectionGroup,
   query,
   where,
   onSnapshot,
   serverTimestamp,
   orderBy,
+  limit,
+  startAfter,
+  endAt,
   updateDoc,
+  deleteDoc,
+  arrayUnion,
+  arrayRemove,
+  increment,
+  deleteField,
+  Timestamp,
+  writeBatch,
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import {
   getStorage,
   ref,
   uploadBytes,
   getDownloadURL,
+  getBlob,
+  deleteObject,
+  updateMetadata,
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-storage.js";
 // ADDED: Import Firebase Analytics
 import { getAnalytics } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-analytics.js";
+// Frost dates for the Outdoor Planner, bundled so it works offline
+import { OHIO_FROST_DATES, OHIO_ZIP_PREFIX_COUNTIES } from "./ohio-frost-dates.js";
+import { STRAIN_LIBRARY, STRAIN_TERPENES } from "./strain-library.js";
 
 // 2. INITIALIZE FIREBASE
 // ---------------------------------------------------------------------
@@ -79,7 +106,11 @@ const app = initializeApp(firebaseConfig);
 
 // Initialize Firebase services
 const auth = getAuth(app);
-const db = getFirestore(app);
+// Firestore keeps a copy of everything on the device (IndexedDB), so the
+// app can read data and queue writes while offline.
+const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 const storage = getStorage(app);
 // ADDED: Initialize Firebase Analytics
 const analytics = getAnalytics(app);
@@ -87,6 +118,13 @@ const analytics = getAnalytics(app);
 // Global variable to hold the current user's ID
 let currentUserId = null;
 
+// Register the service worker so the app shell works offline (see sw.js)
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('./sw.js').catch((error) => {
+    console.error("Service Worker registration failed:", error);
+  });
+}
+
 // 3. CORE APP LOGIC
 document.addEventListener('DOMContentLoaded', () => {
   // Grab all the key elements from app.html
@@ -120,11 +158,89 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // --- Routing (Deep Links & Back Button) ---
+  // Every screen has its own address in the URL "hash", for example:
+  //   #/calculators            -> the Tools section
+  //   #/calculators/vpd        -> the Tools section, scrolled to the VPD calculator
+  //   #/pests/spider-mites     -> the Problem Hub, scrolled to the Spider Mites row
+  //   #/community/post/<id>    -> a single community post
+  //   #/gallery/image/<id>     -> a single gallery image
+  //   #/cost-calc/scenario/<id> -> a shared cost calculator scenario (read-only)
+  //   #/genetics/strain/<key>  -> a Strain Library page
+  //   #/profile/<handle>       -> a grower's public profile (#/profile is your own)
+  // Changing the hash adds a browser history entry, so Back works as expected.
+  const DEFAULT_SECTION = 'home';
+
+  // Go to a route, e.g. navigateTo('pests/spider-mites')
+  function navigateTo(path) {
+    const hash = `#/${path}`;
+    if (window.location.hash === hash) {
+      handleRoute(); // Same route clicked again: still re-show it
+    } else {
+      window.location.hash = hash; // Triggers 'hashchange' -> handleRoute()
+    }
+  }
+
+  // Split "#/community/post/abc" into ['community', 'post', 'abc']
+  function getRouteParts() {
+    return window.location.hash
+      .replace(/^#\/?/, '')
+      .split('/')
+      .filter(Boolean)
+      .map(decodeURIComponent);
+  }
+
+  function handleRoute() {
+    const parts = getRouteParts();
+    const sectionId = parts[0] && document.querySelector(`.content-section#${CSS.escape(parts[0])}`)
+      ? parts[0]
+      : DEFAULT_SECTION;
+
+    showSection(sectionId);
+    openRouteTarget(parts);
+  }
+
+  // Opens whatever the rest of the route points at inside the section
+  function openRouteTarget(parts) {
+    const [sectionId, itemType, itemId] = parts;
+
+    // Hide any single-item views left over from the last route
+    communityPostFocus.classList.add('hidden');
+    galleryImageFocus.classList.add('hidden');
+    sharedScenarioView.classList.add('hidden');
+    strainFocus.classList.add('hidden');
+
+    if (sectionId === 'community' && itemType === 'post' && itemId) {
+      showSinglePost(itemId);
+    } else if (sectionId === 'gallery' && itemType === 'image' && itemId) {
+      showSingleImage(itemId);
+    } else if (sectionId === 'cost-calc' && itemType === 'scenario' && itemId) {
+      showSharedScenario(itemId);
+    } else if (sectionId === 'genetics' && itemType === 'strain' && itemId) {
+      showStrainPage(itemId);
+    } else if (sectionId === 'profile') {
+      showGrowerProfile(itemType); // No handle means "my profile"
+      window.scrollTo({ top: 0 });
+    } else if (itemType) {
+      // Anything else is an element id inside the section (a calculator, a table row...)
+      const target = document.getElementById(itemType);
+      if (target && target.closest(`#${CSS.escape(sectionId)}`)) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        target.classList.add('route-target');
+        setTimeout(() => target.classList.remove('route-target'), 2500);
+      }
+    } else {
+      window.scrollTo({ top: 0 });
+    }
+  }
+
+  window.addEventListener('hashchange', handleRoute);
+
   // Add click listeners to top nav buttons
   navButtons.forEach(button => {
     button.addEventListener('click', () => {
       const sectionId = button.getAttribute('data-section');
-      showSection(sectionId);
+      navigateTo(sectionId);
     });
   });
 
@@ -132,503 +248,7265 @@ document.addEventListener('DOMContentLoaded', () => {
   internalNavButtons.forEach(button => {
     button.addEventListener('click', () => {
       const sectionId = button.getAttribute('data-section');
-      showSection(sectionId);
+      navigateTo(sectionId);
     });
   });
 
   // --- Firebase Authentication ---
-  // Sign the user in anonymously on load
-  signInAnonymously(auth).catch((error) => {
-    console.error("Anonymous Auth Error:", error);
-    userIdDisplay.textContent = 'Auth Failed. Refresh.';
+  // Everyone starts as an anonymous "guest". Wait for Firebase to restore
+  // any saved session first, so we never replace a real account with a
+  // brand new anonymous one on page load.
+  function signInAsGuest() {
+    signInAnonymously(auth).catch((error) => {
+      console.error("Anonymous Auth Error:", error);
+      userIdDisplay.textContent = 'Auth Failed. Refresh.';
+    });
+  }
+
+  auth.authStateReady().then(async () => {
+    // Finish an email-link sign-in if we just came back from the email
+    if (isSignInWithEmailLink(auth, window.location.href)) {
+      await completeEmailLinkSignIn();
+    }
+    if (!auth.currentUser) {
+      signInAsGuest();
+    }
   });
 
   // Listen for auth state changes
-  onAuthStateChanged(auth, (user) => {
+  onAuthStateChanged(auth, async (user) => {
     if (user) {
       // User is signed in
       currentUserId = user.uid;
-      userIdDisplay.textContent = `Authenticated ✔️`;
+      updateAccountDisplay(user);
+      if (!user.isAnonymous) {
+        saveAgeAttestation(); // Keep a record of their 21+ confirmation
+      }
+
+      // Moderators see hidden items, so check before drawing the feeds
+      await loadAccountStanding();
+      loadModerationQueue();
 
       // User is authenticated, now we can load their data and community data
       loadCommunityFeed();
       loadGallery();
       loadSavedCalculatorData(); // Load saved calculator data
+      loadPlantRegistry(); // Load the private plant count tracker
+      loadFeedCharts(); // Load the user's custom nutrient feed charts
+      loadScenarios(); // Load the user's saved calculator scenarios
+      loadSensorTents(); // Load the user's tents and sensor devices
+      loadStrainLibrary(); // Load the strains growers added to the library
+      loadTasks(); // Load the user's grow tasks and set up their reminders
+      flushGalleryOutbox(); // Upload anything queued while offline
+      openRouteTarget(getRouteParts()); // Linked posts/images need a signed-in user
 
     } else {
       // User is signed out
       currentUserId = null;
-      userIdDisplay.textContent = 'Not Authenticated';
+      updateAccountDisplay(null);
     }
   });
 
-  // --- Community Tab (Firestore) ---
-  const journalForm = document.getElementById('journal-form');
-  const journalTitleInput = document.getElementById('journal-title');
-  const journalBodyInput = document.getElementById('journal-body');
-  const journalSubmitMessage = document.getElementById('journal-submit-message');
-  const feedContainer = document.getElementById('community-feed-container');
+  // --- Accounts (Upgrade a Guest Without Losing Data) ---
+  // Linking an email credential to the anonymous user keeps the SAME uid,
+  // so everything already saved under user-profiles/{uid}, journalPosts
+  // and gallery-images stays attached to the new account.
+  const accountToggleBtn = document.getElementById('account-toggle-btn');
+  const signOutBtn = document.getElementById('sign-out-btn');
+  const accountPanel = document.getElementById('account-panel');
+  const accountForm = document.getElementById('account-form');
+  const accountEmailInput = document.getElementById('account-email');
+  const accountPasswordInput = document.getElementById('account-password');
+  const accountSignInBtn = document.getElementById('account-signin-btn');
+  const accountEmailLinkBtn = document.getElementById('account-email-link-btn');
+  const accountMessage = document.getElementById('account-message');
 
-  // Handle journal post submission
-  journalForm.addEventListener('submit', async (e) => {
-    e.preventDefault(); // Prevent default form submission
-    if (!currentUserId) {
-      setSubmitMessage('Error: You must be signed in to post.', 'error');
+  // Where we remember the email between sending the link and clicking it
+  const EMAIL_FOR_SIGN_IN_KEY = 'grohioEmailForSignIn';
+
+  function updateAccountDisplay(user) {
+    if (!user) {
+      userIdDisplay.textContent = 'Not Authenticated';
+      accountToggleBtn.classList.add('hidden');
+      signOutBtn.classList.add('hidden');
       return;
     }
 
-    const title = journalTitleInput.value.trim();
-    const body = journalBodyInput.value.trim();
+    if (user.isAnonymous) {
+      userIdDisplay.textContent = 'Guest (data saved in this browser only)';
+      accountToggleBtn.classList.remove('hidden');
+      signOutBtn.classList.add('hidden');
+    } else {
+      userIdDisplay.textContent = `Signed in as ${user.email} ✔️`;
+      accountToggleBtn.classList.add('hidden');
+      signOutBtn.classList.remove('hidden');
+      accountPanel.classList.add('hidden');
+    }
+  }
 
-    if (!title || !body) {
-      setSubmitMessage('Error: Title and body cannot be empty.', 'error');
+  accountToggleBtn.addEventListener('click', () => {
+    accountPanel.classList.toggle('hidden');
+  });
+
+  // Create Account: link an email/password to the current guest
+  accountForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const email = accountEmailInput.value.trim();
+    const password = accountPasswordInput.value;
+
+    if (!email || password.length < 6) {
+      setAccountMessage('Error: Enter an email and a password of at least 6 characters.', 'error');
       return;
     }
 
     try {
-      // Add a new document to the "journalPosts" collection
-      await addDoc(collection(db, 'journalPosts'), {
-        userId: currentUserId,
-        title: title,
-        body: body,
-        createdAt: serverTimestamp() // Use Firebase's timestamp
-      });
-
-      // Clear the form and show success
-      journalTitleInput.value = '';
-      journalBodyInput.value = '';
-      setSubmitMessage('Post submitted successfully!', 'success');
-
+      const credential = EmailAuthProvider.credential(email, password);
+      await linkWithCredential(auth.currentUser, credential);
+      accountPasswordInput.value = '';
+      // Linking doesn't fire onAuthStateChanged (same user), so refresh by hand
+      updateAccountDisplay(auth.currentUser);
+      saveAgeAttestation();
+      setAccountMessage('Account created! Your data is now saved to it.', 'success');
     } catch (error) {
-      console.error('Error adding document: ', error);
-      setSubmitMessage('Error: Could not submit post.', 'error');
+      console.error('Account link error: ', error);
+      setAccountMessage(getAuthErrorMessage(error), 'error');
     }
   });
 
-  // Helper for submit message
-  function setSubmitMessage(message, type) {
-    journalSubmitMessage.textContent = message;
-    journalSubmitMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
-    journalSubmitMessage.classList.remove('hidden');
-    setTimeout(() => journalSubmitMessage.classList.add('hidden'), 4000);
-  }
-
-  // Load and listen for new community posts
-  function loadCommunityFeed() {
-    if (!currentUserId) return; // Don't load if no user
-
-    const postsCollection = collection(db, 'journalPosts');
-    // Query to get posts, ordered by creation date (newest first)
-    // NOTE: This query requires a Firestore Index. 
-    // The console will provide a link to create it automatically if it fails.
-    const q = query(postsCollection, orderBy('createdAt', 'desc'));
-
-    // onSnapshot listens for real-time updates
-    onSnapshot(q, (querySnapshot) => {
-      if (querySnapshot.empty) {
-        feedContainer.innerHTML = '<p class="text-center text-gray-600 italic mt-8">No posts yet. Be the first!</p>';
-        return;
-      }
-
-      feedContainer.innerHTML = ''; // Clear the feed
-      querySnapshot.forEach((doc) => {
-        const post = doc.data();
-        const postElement = document.createElement('div');
-        postElement.className = 'community-post card p-6 mb-6';
-        
-        // Format the timestamp
-        const date = post.createdAt ? post.createdAt.toDate().toLocaleString() : 'Just now';
-
-        postElement.innerHTML = `
-          <h4 class="text-brand-green text-xl font-bold mb-2">${escapeHTML(post.title)}</h4>
-          <p class="mb-4">${escapeHTML(post.body)}</p>
-          <div class="text-xs text-gray-500">
-            <p>Posted by: ${escapeHTML(post.userId)}</p>
-            <p>${date}</p>
-          </div>
-        `;
-        feedContainer.appendChild(postElement);
-      });
-    }, (error) => {
-      console.error("Error loading feed: ", error);
-      // This is the error you get if the index is missing
-      if (error.code === 'failed-precondition') {
-        feedContainer.innerHTML = `<p class="text-center text-red-500 italic mt-8">Error: Database index required. Please check the JavaScript console (F12) for a link to create the Firestore index.</p>`;
-      } else {
-        feedContainer.innerHTML = '<p class="text-center text-red-500 italic mt-8">Error loading community feed.</p>';
-      }
-    });
-  }
-
-  // --- Gallery Tab (Firebase Storage) ---
-  const imageUploadBtn = document.getElementById('image-upload-btn');
-  const galleryMessage = document.getElementById('gallery-message');
-  const galleryGrid = document.getElementById('gallery-grid');
+  // Sign In: switch to an existing account. Guest data can't be merged
+  // into it, so warn first.
+  accountSignInBtn.addEventListener('click', async () => {
+    const email = accountEmailInput.value.trim();
+    const password = accountPasswordInput.value;
 
-  // Handle image upload
-  imageUploadBtn.addEventListener('change', async (e) => {
-    if (!currentUserId) {
-      setGalleryMessage('Error: You must be signed in to upload.', 'error');
+    if (!email || !password) {
+      setAccountMessage('Error: Enter your email and password.', 'error');
+      return;
+    }
+    if (!confirm('Signing in to an existing account will leave anything you did as a guest behind. Continue?')) {
       return;
     }
 
-    const file = e.target.files[0];
-    if (!file) return; // No file selected
+    try {
+      await signInWithEmailAndPassword(auth, email, password);
+      accountPasswordInput.value = '';
+    } catch (error) {
+      console.error('Sign in error: ', error);
+      setAccountMessage(getAuthErrorMessage(error), 'error');
+    }
+  });
 
-    // Check file size (5MB limit)
-    if (file.size > 5 * 1024 * 1024) {
-      setGalleryMessage('Error: File is too large (Max 5MB).', 'error');
+  // Email Link: passwordless sign-in, handy on a phone in the grow room
+  accountEmailLinkBtn.addEventListener('click', async () => {
+    const email = accountEmailInput.value.trim();
+    if (!email) {
+      setAccountMessage('Error: Enter your email first.', 'error');
       return;
     }
 
-    // Check file type
-    if (!file.type.startsWith('image/')) {
-      setGalleryMessage('Error: Only image files are allowed.', 'error');
-      return;
+    try {
+      await sendSignInLinkToEmail(auth, email, {
+        url: window.location.origin + window.location.pathname,
+        handleCodeInApp: true
+      });
+      localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+      setAccountMessage('Check your email for your sign-in link!', 'success');
+    } catch (error) {
+      console.error('Email link error: ', error);
+      setAccountMessage(getAuthErrorMessage(error), 'error');
     }
+  });
 
-    setGalleryMessage('Uploading...', 'success');
+  // Called on load when the page was opened from a sign-in email
+  async function completeEmailLinkSignIn() {
+    let email = localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+    if (!email) {
+      // Link was opened on a different device than it was requested from
+      email = prompt('Please confirm your email to finish signing in:');
+    }
+    if (!email) return;
 
     try {
-      // Create a unique file path in Storage
-      const filePath = `gallery/${currentUserId}/${Date.now()}-${file.name}`;
-      const storageRef = ref(storage, filePath);
+      const credential = EmailAuthProvider.credentialWithLink(email, window.location.href);
+      if (auth.currentUser && auth.currentUser.isAnonymous) {
+        // Upgrade the guest so their data carries over
+        await linkWithCredential(auth.currentUser, credential);
+        updateAccountDisplay(auth.currentUser);
+        saveAgeAttestation();
+      } else {
+        await signInWithEmailLink(auth, email, window.location.href);
+      }
+    } catch (error) {
+      console.error('Email link sign in error: ', error);
+      if (error.code === 'auth/credential-already-in-use' || error.code === 'auth/email-already-in-use') {
+        // The email already belongs to an account, so just sign in to it
+        await signInWithEmailLink(auth, email, window.location.href).catch((signInError) => {
+          console.error('Email link sign in error: ', signInError);
+        });
+      }
+    } finally {
+      localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+      // Strip the one-time sign-in code from the address bar
+      history.replaceState(null, '', window.location.pathname);
+    }
+  }
 
-      // Upload the file
-      const uploadResult = await uploadBytes(storageRef, file);
+  // Sign Out: drop back to a fresh guest session
+  signOutBtn.addEventListener('click', async () => {
+    try {
+      // Reminders name the plants, so don't leave them for the next person
+      await clearReminders(currentUserId).catch(error => console.error("Error clearing reminders: ", error));
+      await signOut(auth);
+      signInAsGuest();
+    } catch (error) {
+      console.error('Sign out error: ', error);
+    }
+  });
 
-      // Get the public download URL
-      const downloadURL = await getDownloadURL(uploadResult.ref);
+  // Saves the visitor's "Yes, I'm 21+" answer from the age gate (index.html)
+  // to their profile. Only for real accounts: a guest's profile is thrown
+  // away with their browser data anyway.
+  async function saveAgeAttestation() {
+    const userProfileRef = getUserProfileRef();
+    if (!userProfileRef) return;
+    // Once per account per tab is plenty
+    if (sessionStorage.getItem('ageAttestationSavedFor') === currentUserId) return;
 
-      // Now, save a reference to this image in *Firestore*
-      // This makes it easy to query for all gallery images
-      await addDoc(collection(db, 'gallery-images'), {
-        userId: currentUserId,
-        imageUrl: downloadURL,
-        storagePath: filePath, // Good to store this for later (e.g., deleting)
-        createdAt: serverTimestamp()
-      });
+    const verifiedAt = parseInt(sessionStorage.getItem('ageVerifiedAt'), 10);
+    const rememberedUntil = parseInt(localStorage.getItem('ageVerifiedUntil'), 10);
 
-      setGalleryMessage('Upload successful!', 'success');
-      // The onSnapshot listener for the gallery will automatically pick up the new image.
-      
-    } catch (error) {
-      console.error("Image upload error: ", error);
-      let friendlyMessage = 'Error: Upload failed.';
-      if (error.code) {
-        switch (error.code) {
-          case 'storage/unauthorized':
-            friendlyMessage = 'Error: Permission denied. Check Storage rules.';
-            break;
-          case 'storage/canceled':
-            friendlyMessage = 'Error: Upload canceled.';
-            break;
-          case 'storage/unknown':
-            friendlyMessage = 'Error: An unknown error occurred.';
-            break;
-          case 'firestore/permission-denied':
-              friendlyMessage = 'Error: Permission denied. Check Firestore rules.';
-              break;
+    try {
+      await setDoc(userProfileRef, {
+        ageAttestation: {
+          over21: true,
+          // When they clicked "Yes" (or now, if they were remembered from before)
+          attestedAt: verifiedAt ? new Date(verifiedAt) : serverTimestamp(),
+          rememberedUntil: rememberedUntil ? new Date(rememberedUntil) : null,
+          savedAt: serverTimestamp()
         }
-      }
-      setGalleryMessage(friendlyMessage, 'error');
+      }, { merge: true });
+      sessionStorage.setItem('ageAttestationSavedFor', currentUserId);
+    } catch (error) {
+      console.error("Error saving age attestation: ", error);
     }
-  });
+  }
 
-  // Helper for gallery message
-  function setGalleryMessage(message, type) {
-    galleryMessage.textContent = message;
-    galleryMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
-    galleryMessage.classList.remove('hidden');
-    setTimeout(() => galleryMessage.classList.add('hidden'), 4000);
+  // Turn Firebase auth error codes into something a human can read
+  function getAuthErrorMessage(error) {
+    switch (error.code) {
+      case 'auth/email-already-in-use':
+      case 'auth/credential-already-in-use':
+        return 'Error: That email already has an account. Use "I Already Have an Account" instead.';
+      case 'auth/invalid-email':
+        return 'Error: That email address doesn\'t look right.';
+      case 'auth/weak-password':
+        return 'Error: Password is too weak (6+ characters).';
+      case 'auth/invalid-credential':
+      case 'auth/wrong-password':
+      case 'auth/user-not-found':
+        return 'Error: Wrong email or password.';
+      case 'auth/operation-not-allowed':
+        return 'Error: This sign-in method isn\'t enabled yet.';
+      default:
+        return 'Error: Something went wrong. Please try again.';
+    }
   }
 
-  // Load and listen for new gallery images
-  function loadGallery() {
-    if (!currentUserId) return;
+  // Helper for account message
+  function setAccountMessage(message, type) {
+    accountMessage.textContent = message;
+    accountMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    accountMessage.classList.remove('hidden');
+    setTimeout(() => accountMessage.classList.add('hidden'), 6000);
+  }
 
-    const imagesCollection = collection(db, 'gallery-images');
-    // NOTE: This query also requires an index.
-    const q = query(imagesCollection, orderBy('createdAt', 'desc'));
+  // --- Offline Mode & Outbox ---
+  // Journal posts written offline are queued by Firestore itself (we just
+  // watch for them). Storage can't queue uploads, so photos taken offline
+  // are saved in our own IndexedDB "outbox" and uploaded on reconnect.
+  const offlineBanner = document.getElementById('offline-banner');
+  const outboxPanel = document.getElementById('outbox');
+  const outboxList = document.getElementById('outbox-list');
 
-    onSnapshot(q, (querySnapshot) => {
-      if (querySnapshot.empty) {
-        // Don't clear the placeholder if it's the only thing there
-        const placeholder = galleryGrid.querySelector('.placeholder');
-        if (placeholder) {
-          placeholder.style.display = 'block';
-        }
-        return;
-      }
+  const OUTBOX_DB_NAME = 'grohio-outbox';
+  const OUTBOX_STORE = 'gallery-uploads';
 
-      // Clear the grid, but keep the placeholder template
-      const placeholder = galleryGrid.querySelector('.placeholder');
-      galleryGrid.innerHTML = '';
-      if(placeholder) {
-        placeholder.style.display = 'none'; // Hide placeholder
-        galleryGrid.appendChild(placeholder);
-      }
-
-      querySnapshot.forEach((doc) => {
-        const image = doc.data();
-        const imgElement = document.createElement('div');
-        imgElement.className = 'gallery-item';
-        imgElement.innerHTML = `
-          <img src="${escapeHTML(image.imageUrl)}" alt="User Upload" 
-               onerror="this.src='https://placehold.co/400x400/0d0d0d/999?text=Image+Failed+to+Load'">
-          <div class="gallery-item-caption">
-              <p>Uploaded by:</p>
-              <span class="text-xs text-gray-400">${escapeHTML(image.userId)}</span>
-          </div>
-        `;
-        // Append new images *after* the (now hidden) placeholder
-        galleryGrid.appendChild(imgElement);
-      });
-      
-    }, (error) => {
-      console.error("Error loading gallery: ", error);
-      if (error.code === 'failed-precondition') {
-        galleryGrid.innerHTML = `<p class="text-center text-red-500 italic mt-8 col-span-full">Error: Database index required. Please check the JavaScript console (F12) for a link to create the Firestore index.</p>`;
-      } else {
-        galleryGrid.innerHTML = '<p class="text-center text-red-500 italic mt-8 col-span-full">Error loading gallery.</p>';
-      }
+  let pendingPosts = []; // Titles of posts Firestore hasn't synced yet
+  let queuedUploads = []; // Photos waiting in IndexedDB
+  let isFlushingOutbox = false;
+
+  function openOutboxDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
   }
 
-  // --- Calculators & Data Persistence ---
-  // We will save calculator data to a *single document* per user
-  // in a 'user-profiles' collection. This is more efficient.
+  // Runs one request against the outbox store and resolves with its result
+  async function outboxRequest(mode, action) {
+    const outboxDB = await openOutboxDB();
+    return new Promise((resolve, reject) => {
+      const transaction = outboxDB.transaction(OUTBOX_STORE, mode);
+      const request = action(transaction.objectStore(OUTBOX_STORE));
+      transaction.oncomplete = () => {
+        outboxDB.close();
+        resolve(request.result);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
 
-  const calculatorInputs = document.querySelectorAll('.calc-input');
-  
-  // Function to get a reference to the user's profile document
-  function getUserProfileRef() {
-    if (!currentUserId) return null;
-    // Use 'user-profiles' as the collection for private user data
-    return doc(db, 'user-profiles', currentUserId);
+  // Takes a photo already run through prepareGalleryImage, so nothing
+  // with GPS data is ever stored on the device either
+  async function queueGalleryUpload(photo) {
+    try {
+      await outboxRequest('readwrite', store => store.add({
+        userId: currentUserId,
+        file: photo.image, // IndexedDB can store Blobs directly
+        thumbnail: photo.thumbnail,
+        fileName: photo.fileName,
+        details: photo.details,
+        queuedAt: Date.now()
+      }));
+      await refreshQueuedUploads();
+      setGalleryMessage('You\'re offline. Your photo is in the outbox and will upload automatically.', 'success');
+    } catch (error) {
+      console.error("Error queueing upload: ", error);
+      setGalleryMessage('Error: Could not save photo for later.', 'error');
+    }
   }
 
-  // Save data whenever a calculator input changes (debounced)
-  const debouncedSave = debounce(async (fieldId, value) => {
-    if (!currentUserId) return;
-    const userProfileRef = getUserProfileRef();
+  async function refreshQueuedUploads() {
     try {
-      await setDoc(userProfileRef, {
-        calculators: {
-          [fieldId]: value
-        }
-      }, { merge: true });
+      const items = await outboxRequest('readonly', store => store.getAll());
+      queuedUploads = items.filter(item => item.userId === currentUserId);
     } catch (error) {
-      console.error("Error saving calculator data: ", error);
+      console.error("Error reading outbox: ", error);
+      queuedUploads = [];
     }
-  }, 1000); // Wait 1 second after user stops typing to save
+    renderOutbox();
+  }
 
-  calculatorInputs.forEach(input => {
-    input.addEventListener('input', () => { // 'input' is better than 'change' for live updates
-      debouncedSave(input.id, input.value);
-    });
-  });
+  // Upload everything in the outbox, oldest first
+  async function flushGalleryOutbox() {
+    if (!currentUserId || isFlushingOutbox) return;
+    await refreshQueuedUploads();
+    if (!navigator.onLine || queuedUploads.length === 0) return;
 
-  // Load saved calculator data when the user signs in
-  async function loadSavedCalculatorData() {
-    const userProfileRef = getUserProfileRef();
-    if (!userProfileRef) return;
+    isFlushingOutbox = true;
+    try {
+      for (const item of queuedUploads) {
+        if (isBanned) break;
+        // Space the uploads out so the rate limit doesn't reject them
+        await new Promise(resolve => setTimeout(resolve, getRateLimitWait('upload')));
+        // Photos queued before resizing existed still need cleaning up
+        const photo = item.thumbnail
+          ? { image: item.file, thumbnail: item.thumbnail, fileName: item.fileName }
+          : await prepareGalleryImage(item.file);
+        photo.details = item.details || {};
+        await uploadGalleryImage(photo);
+        await outboxRequest('readwrite', store => store.delete(item.id));
+      }
+      setGalleryMessage('Outbox synced! Your queued photos are uploaded.', 'success');
+    } catch (error) {
+      // Leave whatever failed in the outbox and try again next time
+      console.error("Error syncing outbox: ", error);
+    } finally {
+      isFlushingOutbox = false;
+      await refreshQueuedUploads();
+    }
+  }
+
+  function renderOutbox() {
+    const items = [
+      ...pendingPosts.map(title => `📓 Post: ${title}`),
+      ...queuedUploads.map(item => `🖼️ Photo: ${item.fileName}`)
+    ];
+    outboxPanel.classList.toggle('hidden', items.length === 0);
+    outboxList.innerHTML = items.map(item => `<li>${escapeHTML(item)}</li>`).join('');
+  }
+
+  function updateOnlineStatus() {
+    offlineBanner.classList.toggle('hidden', navigator.onLine);
+    if (navigator.onLine) {
+      flushGalleryOutbox();
+    }
+  }
+
+  window.addEventListener('online', updateOnlineStatus);
+  window.addEventListener('offline', updateOnlineStatus);
+  updateOnlineStatus();
+
+  // --- Community Safety (Content Checks, Rate Limits & Bans) ---
+  // These checks give quick, friendly errors. The real enforcement is in
+  // firestore.rules and storage.rules, so KEEP THE NUMBERS IN SYNC.
+  const POST_TITLE_MAX = 120;
+  const POST_BODY_MAX = 5000;
+  const COMMENT_MAX = 2000;
+  const REPORT_REASON_MAX = 500;
+
+  // Selling home-grown cannabis is illegal in Ohio, so sales talk is blocked
+  const BANNED_WORDS = ['for sale', 'selling', 'dm to buy', 'cash app', 'cashapp', 'venmo', 'zelle', 'ship nationwide', 'telegram'];
+
+  // How long each user has to wait between actions (in seconds), and the
+  // field in their rateLimits/{uid} doc that records the last one
+  const RATE_LIMITS = {
+    post: { seconds: 60, field: 'lastPostAt' },
+    comment: { seconds: 10, field: 'lastCommentAt' },
+    upload: { seconds: 10, field: 'lastUploadAt' }
+  };
+
+  let isBanned = false;
+  let isModerator = false;
+  const lastActionTimes = {}; // action -> ms timestamp, seeded from rateLimits/{uid}
+
+  // Check the user's standing once per sign-in: moderator, banned, and when
+  // they last posted (so the rate limit survives a page reload)
+  async function loadAccountStanding() {
+    isBanned = false;
+    isModerator = false;
+    Object.keys(lastActionTimes).forEach(key => delete lastActionTimes[key]);
 
     try {
-      const docSnap = await getDoc(userProfileRef);
-      if (docSnap.exists() && docSnap.data().calculators) {
-        const calcData = docSnap.data().calculators;
-        // Apply saved data to each input
-        calculatorInputs.forEach(input => {
-          if (calcData[input.id]) {
-            input.value = calcData[input.id];
-          }
+      const [adminSnap, banSnap, rateLimitSnap] = await Promise.all([
+        getDoc(doc(db, 'admins', currentUserId)),
+        getDoc(doc(db, 'bannedUsers', currentUserId)),
+        getDoc(doc(db, 'rateLimits', currentUserId))
+      ]);
+      isModerator = adminSnap.exists();
+      isBanned = banSnap.exists();
+      if (rateLimitSnap.exists()) {
+        const times = rateLimitSnap.data();
+        Object.entries(RATE_LIMITS).forEach(([action, { field }]) => {
+          if (times[field]) lastActionTimes[action] = times[field].toMillis();
         });
-        // After loading, trigger calculations to update outputs
-        runAllCalculations();
       }
     } catch (error) {
-      console.error("Error loading calculator data: ", error);
+      console.error("Error checking account standing: ", error);
     }
+
+    moderationNavBtn.classList.toggle('hidden', !isModerator);
   }
 
-  // --- Run Calculations (VPD, DLI, Cost) ---
-  // Grab all calculator inputs and outputs
-  const vpdTemp = document.getElementById('temp-c');
-  const vpdRh = document.getElementById('rh');
-  const vpdOutput = document.getElementById('vpd-output');
+  // Why this user can't do this right now (or null if they can)
+  function getBlockedReason(action) {
+    if (isBanned) return 'Error: Your account has been banned from posting.';
+    const waitMs = getRateLimitWait(action);
+    if (waitMs > 0) return `Error: Slow down! You can do that again in ${Math.ceil(waitMs / 1000)} seconds.`;
+    return null;
+  }
 
-  const dliPpfd = document.getElementById('ppfd-input');
-  const dliHours = document.getElementById('hours-on-input');
-  const dliOutput = document.getElementById('dli-output');
+  function getRateLimitWait(action) {
+    const lastTime = lastActionTimes[action];
+    if (!lastTime) return 0;
+    return Math.max(0, lastTime + RATE_LIMITS[action].seconds * 1000 - Date.now());
+  }
 
+  // What's wrong with this text (or null if it's fine)
+  function findContentProblem(text, maxLength, label) {
+    if (text.length > maxLength) return `Error: ${label} is too long (max ${maxLength} characters).`;
+    const lowerText = text.toLowerCase();
+    const bannedWord = BANNED_WORDS.find(word => lowerText.includes(word));
+    if (bannedWord) return `Error: ${label} contains "${bannedWord}". Selling or trading home grow isn't allowed here.`;
+    return null;
+  }
+
+  // The rules only accept a post/comment/upload if the same batch stamps
+  // the user's rateLimits doc with the server time
+  function stampRateLimit(batch, action) {
+    batch.set(doc(db, 'rateLimits', currentUserId), {
+      [RATE_LIMITS[action].field]: serverTimestamp()
+    }, { merge: true });
+    lastActionTimes[action] = Date.now();
+  }
+
+  // Friendly text for a write the security rules turned down
+  function getBlockedWriteMessage(error, fallback) {
+    if (error.code === 'permission-denied') {
+      return 'Error: That was blocked. You may be posting too fast, or it broke a community rule.';
+    }
+    return fallback;
+  }
+
+  // Hidden posts and photos can only be read by moderators and their
+  // authors, and the rules turn down any query that might return one
+  function shownOnly(authorId) {
+    return isModerator || authorId === currentUserId ? [] : [where('hidden', '==', false)];
+  }
+
+  // --- Paged Feeds (Community & Gallery) ---
+  // Instead of listening to every document ever written, a feed loads one
+  // page at a time. Only the first page (and anything newer) stays live,
+  // so new items slot in at the top while older pages are plain reads
+  // that load when "Load More" is clicked or scrolled into view.
+  const FEED_PAGE_SIZE = 10;
+
+  function createPagedFeed({ collectionName, container, loadMoreBtn, renderItem, showEmpty, getFilters, onLiveSnapshot, onError }) {
+    // Live items (first page + new ones) and older pages each get their
+    // own wrapper, so live changes can use Firestore's indexes directly
+    const liveItems = document.createElement('div');
+    const olderItems = document.createElement('div');
+    liveItems.className = 'feed-page';
+    olderItems.className = 'feed-page';
+
+    let unsubscribe = null;
+    let startCount = 0;
+    let lastDoc = null; // The oldest document shown so far
+    let isLoadingMore = false;
+
+    function updateEmptyState() {
+      showEmpty(liveItems.children.length === 0 && olderItems.children.length === 0);
+    }
+
+    function setHasMore(hasMore) {
+      loadMoreBtn.classList.toggle('hidden', !hasMore);
+    }
+
+    // Optional where() filters come first, e.g. the gallery's strain filter
+    function newestFirst() {
+      const filters = getFilters ? getFilters() : [];
+      return [collection(db, collectionName), ...shownOnly(), ...filters, orderBy('createdAt', 'desc')];
+    }
+
+    async function start() {
+      // Only keep one listener alive if auth state fires more than once
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      setHasMore(false);
+      const thisStart = ++startCount;
+
+      try {
+        const firstPage = await getDocs(query(...newestFirst(), limit(FEED_PAGE_SIZE)));
+        if (thisStart !== startCount) return; // A newer start() took over
+        lastDoc = firstPage.docs[firstPage.docs.length - 1] || null;
+        setHasMore(firstPage.size === FEED_PAGE_SIZE);
+      } catch (error) {
+        onError(error);
+        return;
+      }
+
+      liveItems.innerHTML = '';
+      olderItems.innerHTML = '';
+      container.append(liveItems, olderItems);
+
+      // Everything from the newest post down to the end of the first page
+      const liveQuery = lastDoc ? query(...newestFirst(), endAt(lastDoc)) : query(...newestFirst());
+
+      // includeMetadataChanges also tells us when an item written offline
+      // finally reaches the server (so its "waiting to sync" badge can go)
+      unsubscribe = onSnapshot(liveQuery, { includeMetadataChanges: true }, (querySnapshot) => {
+        querySnapshot.docChanges({ includeMetadataChanges: true }).forEach((change) => {
+          if (change.type !== 'added') {
+            liveItems.children[change.oldIndex].remove();
+          }
+          if (change.type !== 'removed') {
+            const element = renderItem(change.doc.id, change.doc.data(), change.doc.metadata.hasPendingWrites);
+            liveItems.insertBefore(element, liveItems.children[change.newIndex] || null);
+          }
+        });
+        updateEmptyState();
+        if (onLiveSnapshot) onLiveSnapshot(querySnapshot);
+      }, onError);
+    }
+
+    async function loadMore() {
+      if (!lastDoc || isLoadingMore) return;
+      isLoadingMore = true;
+      loadMoreBtn.disabled = true;
+
+      try {
+        const nextPage = await getDocs(query(...newestFirst(), startAfter(lastDoc), limit(FEED_PAGE_SIZE)));
+        nextPage.forEach((itemDoc) => {
+          olderItems.appendChild(renderItem(itemDoc.id, itemDoc.data(), itemDoc.metadata.hasPendingWrites));
+        });
+        if (nextPage.size > 0) lastDoc = nextPage.docs[nextPage.docs.length - 1];
+        setHasMore(nextPage.size === FEED_PAGE_SIZE);
+      } catch (error) {
+        console.error(`Error loading more from ${collectionName}: `, error);
+      } finally {
+        isLoadingMore = false;
+        loadMoreBtn.disabled = false;
+      }
+    }
+
+    loadMoreBtn.addEventListener('click', loadMore);
+
+    // Infinite scroll: load the next page as soon as the button comes into view
+    if ('IntersectionObserver' in window) {
+      new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) loadMore();
+      }, { rootMargin: '200px' }).observe(loadMoreBtn);
+    }
+
+    return { start };
+  }
+
+  // --- Community Tab (Firestore) ---
+  const journalForm = document.getElementById('journal-form');
+  const journalTitleInput = document.getElementById('journal-title');
+  const journalBodyInput = document.getElementById('journal-body');
+  const journalSubmitMessage = document.getElementById('journal-submit-message');
+  const journalPhotosInput = document.getElementById('journal-photos');
+  const journalStrainInput = document.getElementById('journal-strain');
+  const journalWeekInput = document.getElementById('journal-week');
+  const journalMediumInput = document.getElementById('journal-medium');
+  const journalLightInput = document.getElementById('journal-light');
+  const journalEnvSnapshotInput = document.getElementById('journal-env-snapshot');
+  const feedContainer = document.getElementById('community-feed-container');
+  const feedStatus = document.getElementById('community-feed-status');
+  const feedLoadMoreBtn = document.getElementById('community-load-more-btn');
+  const communityPostFocus = document.getElementById('community-post-focus');
+
+  // Handle journal post submission
+  journalForm.addEventListener('submit', async (e) => {
+    e.preventDefault(); // Prevent default form submission
+    if (!currentUserId) {
+      setSubmitMessage('Error: You must be signed in to post.', 'error');
+      return;
+    }
+
+    const title = journalTitleInput.value.trim();
+    const body = journalBodyInput.value.trim();
+
+    if (!title || !body) {
+      setSubmitMessage('Error: Title and body cannot be empty.', 'error');
+      return;
+    }
+
+    const problem = getBlockedReason('post')
+      || findContentProblem(title, POST_TITLE_MAX, 'Title')
+      || findContentProblem(body, POST_BODY_MAX, 'Body');
+    if (problem) {
+      setSubmitMessage(problem, 'error');
+      return;
+    }
+
+    const { grow, problem: growProblem } = getJournalGrowDetails();
+    if (growProblem) {
+      setSubmitMessage(growProblem, 'error');
+      return;
+    }
+
+    const files = Array.from(journalPhotosInput.files);
+    if (files.length > JOURNAL_MAX_PHOTOS) {
+      setSubmitMessage(`Error: You can attach up to ${JOURNAL_MAX_PHOTOS} photos.`, 'error');
+      return;
+    }
+    if (files.some(file => !file.type.startsWith('image/') || file.size > GALLERY_MAX_ORIGINAL_SIZE)) {
+      setSubmitMessage('Error: Photos must be image files under 30MB.', 'error');
+      return;
+    }
+    // Posts can wait in Firestore's offline queue, but photo files can't
+    if (files.length && !navigator.onLine) {
+      setSubmitMessage('Error: You\'re offline. Remove the photos to post now, or try again with signal.', 'error');
+      return;
+    }
+
+    let photos = [];
+    try {
+      if (files.length) {
+        setSubmitMessage('Preparing photos...', 'success');
+        photos = await uploadJournalPhotos(files);
+      }
+
+      // Add a new document to the "journalPosts" collection
+      // (in the same batch as the rate limit stamp the rules check for)
+      const batch = writeBatch(db);
+      const newPost = {
+        userId: currentUserId,
+        title: title,
+        body: body,
+        hidden: false, // Lets the feed ask for only the posts it may read
+        createdAt: serverTimestamp() // Use Firebase's timestamp
+      };
+      if (photos.length) newPost.photos = photos;
+      if (Object.keys(grow).length) newPost.grow = grow;
+      batch.set(doc(collection(db, 'journalPosts')), newPost);
+      stampRateLimit(batch, 'post');
+      const postWrite = batch.commit();
+
+      // Offline, Firestore queues the write on the device and the promise
+      // won't settle until we reconnect, so don't wait for it.
+      if (!navigator.onLine) {
+        postWrite.catch(error => console.error('Error syncing queued post: ', error));
+        clearJournalForm();
+        setSubmitMessage('You\'re offline. Your post is in the outbox and will sync automatically.', 'success');
+        return;
+      }
+      await postWrite;
+
+      // Clear the form and show success
+      clearJournalForm();
+      setSubmitMessage('Post submitted successfully!', 'success');
+
+    } catch (error) {
+      console.error('Error adding document: ', error);
+      // Don't leave photos behind for a post that was never saved
+      deleteJournalPhotos(photos);
+      setSubmitMessage(getBlockedWriteMessage(error, 'Error: Could not submit post.'), 'error');
+    }
+  });
+
+  // The optional "Grow Details" on a journal entry, shown as badges on the post
+  // (mediums use the same GROW_MEDIUMS labels as grower profiles)
+  const JOURNAL_TEXT_DETAIL_MAX = 60;
+
+  function getJournalGrowDetails() {
+    const grow = {};
+    const strain = journalStrainInput.value.trim();
+    const light = journalLightInput.value.trim();
+    const week = parseInt(journalWeekInput.value, 10);
+
+    const problem = findContentProblem(strain, JOURNAL_TEXT_DETAIL_MAX, 'Strain')
+      || findContentProblem(light, JOURNAL_TEXT_DETAIL_MAX, 'Light');
+    if (problem) return { grow, problem };
+
+    if (strain) {
+      grow.strain = strain;
+      grow.strainKey = getStrainKey(strain); // Rolls the post up on the strain's library page
+    }
+    if (!isNaN(week) && week >= 0 && week <= 52) grow.week = week;
+    if (GROW_MEDIUMS[journalMediumInput.value]) grow.medium = journalMediumInput.value;
+    if (light) grow.light = light;
+
+    if (journalEnvSnapshotInput.checked) {
+      // Whatever the VPD and DLI calculators on the Tools page show right now
+      const vpd = calculateVPD();
+      const dli = calculateDLI();
+      if (vpd === undefined && dli === undefined) {
+        return { grow, problem: 'Error: Fill in the VPD or DLI calculator on the Tools page to attach a snapshot.' };
+      }
+      if (vpd !== undefined) grow.vpd = Math.round(vpd * 100) / 100;
+      if (dli !== undefined) grow.dli = Math.round(dli * 10) / 10;
+    }
+    return { grow, problem: null };
+  }
+
+  function clearJournalForm() {
+    journalTitleInput.value = '';
+    journalBodyInput.value = '';
+    journalPhotosInput.value = '';
+    journalEnvSnapshotInput.checked = false;
+    // Strain, week, medium and light usually carry over to the next entry
+  }
+
+  function getGrowBadgesHTML(grow) {
+    if (!grow) return '';
+    const badges = [
+      grow.strain ? `🌿 ${escapeHTML(grow.strain)}` : '',
+      typeof grow.week === 'number' ? `📅 Week ${grow.week}` : '',
+      GROW_MEDIUMS[grow.medium] || '',
+      grow.light ? `💡 ${escapeHTML(grow.light)}` : '',
+      typeof grow.vpd === 'number' ? `💧 VPD ${grow.vpd.toFixed(2)} kPa` : '',
+      typeof grow.dli === 'number' ? `☀️ DLI ${grow.dli.toFixed(1)}` : ''
+    ].filter(Boolean);
+    if (!badges.length) return '';
+    return `<div class="journal-grow-badges">${badges.map(badge => `<span class="journal-grow-badge">${badge}</span>`).join('')}</div>`;
+  }
+
+  // Journal photos go through the same privacy clean-up as the gallery
+  // (see prepareGalleryImage) but are stored with the post, not in the gallery.
+  // Returns [{ url, thumbUrl, path, thumbPath }] in the order they were picked.
+  const JOURNAL_MAX_PHOTOS = 4; // Must match firestore.rules
+
+  async function uploadJournalPhotos(files) {
+    const uploadId = Date.now();
+    const metadata = { contentType: 'image/jpeg' };
+    const uploaded = [];
+    try {
+      for (const [index, file] of files.entries()) {
+        const { image, thumbnail } = await prepareGalleryImage(file);
+        const path = `journal/${currentUserId}/${uploadId}-${index}.jpg`;
+        const thumbPath = `journal/${currentUserId}/${uploadId}-${index}-thumb.jpg`;
+        const [imageResult, thumbResult] = await Promise.all([
+          uploadBytes(ref(storage, path), image, metadata),
+          uploadBytes(ref(storage, thumbPath), thumbnail, metadata)
+        ]);
+        const [url, thumbUrl] = await Promise.all([
+          getDownloadURL(imageResult.ref),
+          getDownloadURL(thumbResult.ref)
+        ]);
+        uploaded.push({ url, thumbUrl, path, thumbPath });
+      }
+    } catch (error) {
+      deleteJournalPhotos(uploaded);
+      throw error;
+    }
+    return uploaded;
+  }
+
+  function deleteJournalPhotos(photos = []) {
+    return Promise.all(photos.flatMap(photo => [photo.path, photo.thumbPath]).map(path =>
+      deleteObject(ref(storage, path)).catch(error => {
+        // Already gone is fine, anything else is worth knowing about
+        if (error.code !== 'storage/object-not-found') console.error("Error deleting journal photo: ", error);
+      })
+    ));
+  }
+
+  function getJournalPhotosHTML(postId, post) {
+    if (!Array.isArray(post.photos) || !post.photos.length) return '';
+    const cards = post.photos.map((photo, index) => `
+      <div class="gallery-item" data-full-src="${escapeHTML(photo.url)}" data-caption="${escapeHTML(`${post.title} (photo ${index + 1})`)}" data-link="#/community/post/${encodeURIComponent(postId)}">
+        <img src="${escapeHTML(photo.thumbUrl || photo.url)}" alt="${escapeHTML(post.title)}" loading="lazy">
+      </div>
+    `).join('');
+    return `<div class="journal-photos" data-lightbox>${cards}</div>`;
+  }
+
+  // Helper for submit message
+  function setSubmitMessage(message, type) {
+    journalSubmitMessage.textContent = message;
+    journalSubmitMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    journalSubmitMessage.classList.remove('hidden');
+    setTimeout(() => journalSubmitMessage.classList.add('hidden'), 4000);
+  }
+
+  // Load the newest page of community posts and listen for new ones
+  const communityFeed = createPagedFeed({
+    collectionName: 'journalPosts',
+    container: feedContainer,
+    loadMoreBtn: feedLoadMoreBtn,
+    renderItem: createPostElement,
+    showEmpty: (isEmpty) => {
+      feedStatus.textContent = 'No posts yet. Be the first!';
+      feedStatus.classList.toggle('hidden', !isEmpty);
+    },
+    onLiveSnapshot: (querySnapshot) => {
+      // Posts that only exist on this device so far go in the outbox
+      pendingPosts = querySnapshot.docs
+        .filter(postDoc => postDoc.metadata.hasPendingWrites)
+        .map(postDoc => postDoc.data().title);
+      renderOutbox();
+    },
+    onError: (error) => {
+      console.error("Error loading feed: ", error);
+      // This is the error you get if the index is missing
+      if (error.code === 'failed-precondition') {
+        feedContainer.innerHTML = `<p class="text-center text-red-500 italic mt-8">Error: Database index required. Please check the JavaScript console (F12) for a link to create the Firestore index.</p>`;
+      } else {
+        feedContainer.innerHTML = '<p class="text-center text-red-500 italic mt-8">Error loading community feed.</p>';
+      }
+    }
+  });
+
+  function loadCommunityFeed() {
+    if (!currentUserId) return; // Don't load if no user
+
+    // Posts are ordered by creation date (newest first)
+    // The indexes this needs are in firestore.indexes.json
+    // Keep the status line ("Loading..." / "No posts yet"), drop the rest
+    feedContainer.replaceChildren(feedStatus);
+    communityFeed.start();
+  }
+
+  // Builds the card for one community post (used by the feed and by links)
+  function createPostElement(postId, post, isPending = false) {
+    const postElement = document.createElement('div');
+    postElement.className = 'community-post card p-6 mb-6';
+    postElement.dataset.postId = postId;
+    shownPosts.set(postId, post);
+
+    // Format the timestamp
+    const date = post.createdAt ? post.createdAt.toDate().toLocaleString() : 'Just now';
+    const pendingBadge = isPending ? '<span class="pending-sync-badge">⏳ Waiting to sync</span>' : '';
+    const editedMarker = post.editedAt ? ` &middot; <span title="${post.editedAt.toDate().toLocaleString()}">(edited)</span>` : '';
+    const isAuthor = post.userId === currentUserId;
+    const draft = postDrafts.get(postId);
+
+    // Hidden posts stay in the list (the feed matches cards to documents by
+    // position) but only moderators can see them
+    if (post.hidden && !isModerator) {
+      postElement.classList.add('hidden');
+      return postElement;
+    }
+    const hiddenBadge = post.hidden ? '<span class="moderation-hidden-badge">🚫 Hidden by a moderator</span>' : '';
+
+    const content = draft ? `
+      <form class="post-edit-form">
+        <input type="text" class="calc-input w-full mb-2 post-edit-title" value="${escapeHTML(draft.title)}" aria-label="Post title">
+        <textarea class="calc-input w-full post-edit-body" rows="5" aria-label="Post body">${escapeHTML(draft.body)}</textarea>
+        <div class="text-right mt-2">
+          <button type="button" class="plant-status-btn" data-post-action="cancel-edit">Cancel</button>
+          <button type="submit" class="gallery-upload-btn">Save Changes</button>
+        </div>
+      </form>
+    ` : `
+      <h4 class="text-brand-green text-xl font-bold mb-2">${escapeHTML(post.title)}${pendingBadge}${hiddenBadge}</h4>
+      ${getGrowBadgesHTML(post.grow)}
+      <div class="journal-body mb-4">${renderMarkdown(post.body)}</div>
+      ${getJournalPhotosHTML(postId, post)}
+    `;
+
+    const authorActions = isAuthor && !draft ? `
+      <div class="post-author-actions">
+        <button type="button" class="plant-status-btn" data-post-action="edit">Edit</button>
+        <button type="button" class="plant-status-btn" data-post-action="delete">Delete</button>
+      </div>
+    ` : '';
+
+    const reactionButtons = Object.entries(POST_REACTIONS).map(([key, emoji]) => {
+      const reactedBy = (post.reactions && post.reactions[key]) || [];
+      const isActive = reactedBy.includes(currentUserId);
+      return `<button type="button" class="post-reaction-btn${isActive ? ' post-reaction-active' : ''}" data-reaction="${key}" aria-pressed="${isActive}">${emoji} <span>${reactedBy.length}</span></button>`;
+    }).join('');
+
+    postElement.innerHTML = `
+      ${content}
+      <div class="text-xs text-gray-500">
+        <p>Posted by: ${getAuthorChipHTML(post.userId)}</p>
+        <p>${date}${editedMarker} &middot; <a href="#/community/post/${encodeURIComponent(postId)}" class="route-link">🔗 Link</a></p>
+      </div>
+      ${authorActions}
+      <div class="post-reactions">
+        ${reactionButtons}
+        <button type="button" class="post-reaction-btn" data-post-action="toggle-comments">💬 <span>${post.commentCount || 0}</span> Comments</button>
+        ${isAuthor ? '' : '<button type="button" class="post-report-btn" data-post-action="report">🚩 Report</button>'}
+      </div>
+      <p class="post-message text-sm text-red-500 mt-2 hidden"></p>
+    `;
+
+    // Keep an open comment thread open when the card is re-drawn
+    const thread = commentThreads.get(postId);
+    if (thread) postElement.appendChild(thread.element);
+
+    return postElement;
+  }
+
+  // Opened from a #/community/post/<id> link
+  async function showSinglePost(postId) {
+    if (!currentUserId) return; // Tried again once auth is ready
+
+    communityPostFocus.classList.remove('hidden');
+    communityPostFocus.innerHTML = '<p class="text-center text-gray-600 italic">Loading post...</p>';
+    try {
+      const postSnap = await getDoc(doc(db, 'journalPosts', postId));
+      communityPostFocus.innerHTML = '';
+      if (!postSnap.exists()) {
+        communityPostFocus.innerHTML = '<p class="text-center text-red-500 italic">This post doesn\'t exist (it may have been deleted).</p>';
+      } else if (postSnap.data().hidden && !isModerator) {
+        communityPostFocus.innerHTML = '<p class="text-center text-red-500 italic">This post was removed by a moderator.</p>';
+      } else {
+        communityPostFocus.appendChild(createPostElement(postSnap.id, postSnap.data()));
+      }
+      communityPostFocus.insertAdjacentHTML('beforeend', '<a href="#/community" class="route-link">&larr; Back to the full feed</a>');
+      communityPostFocus.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+      console.error("Error loading post: ", error);
+      communityPostFocus.innerHTML = error.code === 'permission-denied'
+        ? '<p class="text-center text-red-500 italic">This post was removed by a moderator.</p>'
+        : '<p class="text-center text-red-500 italic">Error loading post.</p>';
+    }
+  }
+
+  // --- Community Post Actions (Edit, Delete, Reactions & Comments) ---
+  // Reactions are saved on the post as lists of user IDs, e.g.
+  // reactions: { sprout: ['uid1', 'uid2'] }, so each user counts once.
+  // Comments live in a subcollection: journalPosts/{postId}/comments/{commentId}
+  // A reply is a comment with a parentId pointing at the comment it answers.
+  const POST_REACTIONS = {
+    sprout: '🌱',
+    thumbsUp: '👍',
+    fire: '🔥'
+  };
+  const MAX_COMMENT_DEPTH = 3; // Deeper replies stay at this level
+
+  // Unsaved edits by post ID, so a live update doesn't throw away what's typed
+  const postDrafts = new Map();
+  // Open comment threads by post ID: { element, unsubscribe }
+  const commentThreads = new Map();
+  // The data behind every card on screen, so a card can be re-drawn
+  const shownPosts = new Map();
+
+  // The feed, a linked single post and profile pages share the same handlers
+  [feedContainer, communityPostFocus, document.getElementById('profile-posts'), document.getElementById('strain-posts')].forEach(container => {
+    container.addEventListener('click', handlePostClick);
+    container.addEventListener('submit', handlePostSubmit);
+    container.addEventListener('input', (e) => {
+      const editForm = e.target.closest('.post-edit-form');
+      if (!editForm) return;
+      postDrafts.set(editForm.closest('.community-post').dataset.postId, {
+        title: editForm.querySelector('.post-edit-title').value,
+        body: editForm.querySelector('.post-edit-body').value
+      });
+    });
+  });
+
+  async function handlePostClick(e) {
+    const postElement = e.target.closest('.community-post');
+    if (!postElement) return;
+    const postId = postElement.dataset.postId;
+    const postRef = doc(db, 'journalPosts', postId);
+
+    const reactionBtn = e.target.closest('[data-reaction]');
+    if (reactionBtn) {
+      toggleReaction(postRef, reactionBtn);
+      return;
+    }
+
+    const commentBtn = e.target.closest('[data-comment-action]');
+    if (commentBtn) {
+      handleCommentAction(postId, commentBtn);
+      return;
+    }
+
+    const actionBtn = e.target.closest('[data-post-action]');
+    if (!actionBtn) return;
+
+    switch (actionBtn.dataset.postAction) {
+      case 'edit': {
+        const post = shownPosts.get(postId);
+        postDrafts.set(postId, { title: post.title, body: post.body });
+        redrawPost(postElement);
+        break;
+      }
+      case 'cancel-edit':
+        postDrafts.delete(postId);
+        redrawPost(postElement);
+        break;
+      case 'delete':
+        if (!confirm('Delete this post and all of its comments? This can\'t be undone.')) return;
+        try {
+          await deletePostAndComments(postId);
+        } catch (error) {
+          console.error('Error deleting post: ', error);
+          setPostMessage(postElement, 'Error: Could not delete post.');
+        }
+        break;
+      case 'report':
+        reportItem('post', postId);
+        break;
+      case 'toggle-comments':
+        if (commentThreads.has(postId)) {
+          closeCommentThread(postId);
+        } else {
+          postElement.appendChild(openCommentThread(postId));
+        }
+        break;
+    }
+  }
+
+  async function handlePostSubmit(e) {
+    const postElement = e.target.closest('.community-post');
+    if (!postElement) return;
+    e.preventDefault();
+    const postId = postElement.dataset.postId;
+    const postRef = doc(db, 'journalPosts', postId);
+
+    if (e.target.classList.contains('post-edit-form')) {
+      const title = e.target.querySelector('.post-edit-title').value.trim();
+      const body = e.target.querySelector('.post-edit-body').value.trim();
+      if (!title || !body) {
+        setPostMessage(postElement, 'Error: Title and body cannot be empty.');
+        return;
+      }
+      const problem = findContentProblem(title, POST_TITLE_MAX, 'Title') || findContentProblem(body, POST_BODY_MAX, 'Body');
+      if (problem) {
+        setPostMessage(postElement, problem);
+        return;
+      }
+
+      // Close the editor right away, the live feed shows the change
+      // even before it reaches the server (or while offline)
+      postDrafts.delete(postId);
+      const update = updateDoc(postRef, { title, body, editedAt: serverTimestamp() });
+      const updatedElement = redrawPost(postElement, { title, body, editedAt: Timestamp.now() });
+      try {
+        await update;
+      } catch (error) {
+        console.error('Error editing post: ', error);
+        setPostMessage(updatedElement, getBlockedWriteMessage(error, 'Error: Could not save your changes.'));
+      }
+      return;
+    }
+
+    if (e.target.classList.contains('comment-form')) {
+      const bodyInput = e.target.querySelector('textarea');
+      const body = bodyInput.value.trim();
+      if (!body) return;
+
+      const problem = getBlockedReason('comment') || findContentProblem(body, COMMENT_MAX, 'Comment');
+      if (problem) {
+        setPostMessage(postElement, problem);
+        return;
+      }
+
+      try {
+        const batch = writeBatch(db);
+        const commentRef = doc(collection(postRef, 'comments'));
+        batch.set(commentRef, {
+          userId: currentUserId,
+          body: body,
+          parentId: e.target.dataset.parentId || null,
+          createdAt: serverTimestamp()
+        });
+        // The rules only accept a count change that names its comment
+        batch.update(postRef, { commentCount: increment(1), lastCommentId: commentRef.id });
+        stampRateLimit(batch, 'comment');
+        const commentWrite = batch.commit();
+        bodyInput.value = '';
+        // Offline, the writes are queued and won't settle until we reconnect
+        if (navigator.onLine) await commentWrite;
+      } catch (error) {
+        console.error('Error adding comment: ', error);
+        setPostMessage(postElement, getBlockedWriteMessage(error, 'Error: Could not post your comment.'));
+      }
+    }
+  }
+
+  // Used by authors and by moderators
+  async function deletePostAndComments(postId) {
+    const postRef = doc(db, 'journalPosts', postId);
+    closeCommentThread(postId);
+    // Firestore doesn't delete subcollections with their parent
+    const comments = await getDocs(collection(postRef, 'comments'));
+    await Promise.all(comments.docs.map(commentDoc => deleteDoc(commentDoc.ref)));
+    await deleteDoc(postRef);
+    // Attached photos live in Storage, not in the document
+    await deleteJournalPhotos(shownPosts.get(postId)?.photos);
+    // Older pages aren't live, so take the card out by hand
+    document.querySelectorAll(`.community-post[data-post-id="${CSS.escape(postId)}"]`).forEach(el => el.remove());
+  }
+
+  // Re-draws one card in place (posts on older pages don't get live updates).
+  // "changes" are applied on top of what the card currently shows.
+  function redrawPost(postElement, changes = {}) {
+    const postId = postElement.dataset.postId;
+    const newElement = createPostElement(postId, { ...shownPosts.get(postId), ...changes });
+    postElement.replaceWith(newElement);
+    return newElement;
+  }
+
+  async function toggleReaction(postRef, reactionBtn) {
+    if (!currentUserId) return;
+    const key = reactionBtn.dataset.reaction;
+    const isActive = reactionBtn.classList.contains('post-reaction-active');
+    const countElement = reactionBtn.querySelector('span');
+
+    // Update the count right away, older pages don't get live updates
+    reactionBtn.classList.toggle('post-reaction-active', !isActive);
+    reactionBtn.setAttribute('aria-pressed', String(!isActive));
+    countElement.textContent = Math.max(0, parseInt(countElement.textContent, 10) + (isActive ? -1 : 1));
+
+    try {
+      await updateDoc(postRef, {
+        [`reactions.${key}`]: isActive ? arrayRemove(currentUserId) : arrayUnion(currentUserId)
+      });
+    } catch (error) {
+      console.error('Error saving reaction: ', error);
+    }
+  }
+
+  // Start listening to a post's comments and return the thread element
+  function openCommentThread(postId) {
+    const element = document.createElement('div');
+    element.className = 'post-comments';
+    element.innerHTML = `
+      <div class="comment-list"><p class="text-sm text-gray-600 italic">Loading comments...</p></div>
+      ${commentFormHTML(null)}
+    `;
+
+    const commentsQuery = query(collection(db, 'journalPosts', postId, 'comments'), orderBy('createdAt', 'asc'));
+    const unsubscribe = onSnapshot(commentsQuery, (querySnapshot) => {
+      const comments = querySnapshot.docs.map(commentDoc => ({ id: commentDoc.id, ...commentDoc.data() }));
+      renderComments(element.querySelector('.comment-list'), comments);
+    }, (error) => {
+      console.error('Error loading comments: ', error);
+      element.querySelector('.comment-list').innerHTML = '<p class="text-sm text-red-500 italic">Error loading comments.</p>';
+    });
+
+    commentThreads.set(postId, { element, unsubscribe });
+    return element;
+  }
+
+  function closeCommentThread(postId) {
+    const thread = commentThreads.get(postId);
+    if (!thread) return;
+    thread.unsubscribe();
+    thread.element.remove();
+    commentThreads.delete(postId);
+  }
+
+  function commentFormHTML(parentId) {
+    return `
+      <form class="comment-form"${parentId ? ` data-parent-id="${escapeHTML(parentId)}"` : ''}>
+        <textarea class="calc-input w-full" rows="2" placeholder="${parentId ? 'Write a reply...' : 'Add a comment or answer a question...'}" aria-label="Comment"></textarea>
+        <div class="text-right mt-2">
+          ${parentId ? '<button type="button" class="plant-status-btn" data-comment-action="cancel-reply">Cancel</button>' : ''}
+          <button type="submit" class="plant-status-btn">${parentId ? 'Reply' : 'Comment'}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  // Draw comments as a tree: replies sit under the comment they answer
+  function renderComments(listElement, comments) {
+    if (comments.length === 0) {
+      listElement.innerHTML = '<p class="text-sm text-gray-600 italic">No comments yet. Be the first to help out!</p>';
+      return;
+    }
+
+    const commentIds = new Set(comments.map(comment => comment.id));
+    const repliesByParent = new Map();
+    comments.forEach(comment => {
+      // A reply whose parent was deleted moves up to the top level
+      const parentId = comment.parentId && commentIds.has(comment.parentId) ? comment.parentId : null;
+      if (!repliesByParent.has(parentId)) repliesByParent.set(parentId, []);
+      repliesByParent.get(parentId).push(comment);
+    });
+
+    const renderBranch = (parentId, depth) => (repliesByParent.get(parentId) || []).map(comment => {
+      const date = comment.createdAt ? comment.createdAt.toDate().toLocaleString() : 'Just now';
+      // Past the max depth, a reply joins its parent's thread instead of nesting further
+      const replyTo = depth >= MAX_COMMENT_DEPTH ? parentId : comment.id;
+      return `
+        <div class="comment" data-comment-id="${escapeHTML(comment.id)}" data-reply-to="${escapeHTML(replyTo)}">
+          <p class="text-xs text-gray-500">${getAuthorChipHTML(comment.userId)} &middot; ${date}</p>
+          <p class="comment-body">${escapeHTML(comment.body)}</p>
+          <div class="comment-actions">
+            <button type="button" data-comment-action="reply">Reply</button>
+            ${comment.userId === currentUserId ? '<button type="button" data-comment-action="delete">Delete</button>' : ''}
+          </div>
+          <div class="comment-replies">${renderBranch(comment.id, depth + 1)}</div>
+        </div>
+      `;
+    }).join('');
+
+    listElement.innerHTML = renderBranch(null, 1);
+  }
+
+  async function handleCommentAction(postId, button) {
+    const commentElement = button.closest('.comment');
+    switch (button.dataset.commentAction) {
+      case 'reply': {
+        if (commentElement.querySelector(':scope > .comment-form')) return;
+        commentElement.querySelector(':scope > .comment-actions').insertAdjacentHTML('afterend', commentFormHTML(commentElement.dataset.replyTo));
+        commentElement.querySelector(':scope > .comment-form textarea').focus();
+        break;
+      }
+      case 'cancel-reply':
+        button.closest('.comment-form').remove();
+        break;
+      case 'delete': {
+        if (!confirm('Delete this comment?')) return;
+        const postRef = doc(db, 'journalPosts', postId);
+        try {
+          const batch = writeBatch(db);
+          batch.delete(doc(postRef, 'comments', commentElement.dataset.commentId));
+          batch.update(postRef, { commentCount: increment(-1), lastCommentId: commentElement.dataset.commentId });
+          await batch.commit();
+        } catch (error) {
+          console.error('Error deleting comment: ', error);
+          setPostMessage(button.closest('.community-post'), 'Error: Could not delete comment.');
+        }
+        break;
+      }
+    }
+  }
+
+  // Helper for errors on a single post card
+  function setPostMessage(postElement, message) {
+    const postMessage = postElement.querySelector('.post-message');
+    postMessage.textContent = message;
+    postMessage.classList.remove('hidden');
+    setTimeout(() => postMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Gallery Tab (Firebase Storage) ---
+  const imageUploadBtn = document.getElementById('image-upload-btn');
+  const galleryMessage = document.getElementById('gallery-message');
+  const galleryGrid = document.getElementById('gallery-grid');
+  const galleryLoadMoreBtn = document.getElementById('gallery-load-more-btn');
+  const galleryImageFocus = document.getElementById('gallery-image-focus');
+  const galleryCaptionInput = document.getElementById('gallery-caption');
+  const galleryStrainInput = document.getElementById('gallery-strain');
+  const galleryWeekInput = document.getElementById('gallery-week');
+  const galleryStageInput = document.getElementById('gallery-stage');
+  const galleryFilterStrain = document.getElementById('gallery-filter-strain');
+  const galleryFilterStage = document.getElementById('gallery-filter-stage');
+  const galleryFilterClear = document.getElementById('gallery-filter-clear');
+  const galleryStrainOptions = document.getElementById('gallery-strain-options');
+
+  const GALLERY_CAPTION_MAX = 300;
+  const GALLERY_STRAIN_MAX = 60;
+
+  // Strain names people have used so far, suggested in the strain filter
+  const seenStrains = new Map(); // strainKey -> name as first written
+
+  // "  Blue   Dream " and "blue dream" should filter as the same strain
+  function getStrainKey(strain) {
+    return strain.trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  // The optional caption/strain/week/stage from the upload form.
+  // Returns { details, problem } - only filled-in fields are included.
+  function getGalleryUploadDetails() {
+    const details = {};
+    const caption = galleryCaptionInput.value.trim();
+    const strain = galleryStrainInput.value.trim();
+    const week = parseInt(galleryWeekInput.value, 10);
+
+    const problem = findContentProblem(caption, GALLERY_CAPTION_MAX, 'Caption')
+      || findContentProblem(strain, GALLERY_STRAIN_MAX, 'Strain');
+    if (problem) return { details, problem };
+
+    if (caption) details.caption = caption;
+    if (strain) {
+      details.strain = strain;
+      details.strainKey = getStrainKey(strain);
+    }
+    if (!isNaN(week) && week >= 0 && week <= 52) details.week = week;
+    if (galleryStageInput.value) details.stage = galleryStageInput.value;
+    return { details, problem: null };
+  }
+
+  function clearGalleryUploadDetails() {
+    galleryCaptionInput.value = '';
+    galleryWeekInput.value = '';
+    // Strain and stage usually stay the same for the next photo
+  }
+
+  // Handle image upload
+  imageUploadBtn.addEventListener('change', async (e) => {
+    if (!currentUserId) {
+      setGalleryMessage('Error: You must be signed in to upload.', 'error');
+      return;
+    }
+
+    const file = e.target.files[0];
+    if (!file) return; // No file selected
+
+    // Check file size (the resized copy has to fit under Storage's 5MB rule)
+    if (file.size > GALLERY_MAX_ORIGINAL_SIZE) {
+      setGalleryMessage('Error: File is too large (Max 30MB).', 'error');
+      return;
+    }
+
+    // Check file type
+    if (!file.type.startsWith('image/')) {
+      setGalleryMessage('Error: Only image files are allowed.', 'error');
+      return;
+    }
+
+    const blockedReason = getBlockedReason('upload');
+    if (blockedReason) {
+      setGalleryMessage(blockedReason, 'error');
+      e.target.value = '';
+      return;
+    }
+
+    const { details, problem } = getGalleryUploadDetails();
+    if (problem) {
+      setGalleryMessage(problem, 'error');
+      e.target.value = '';
+      return;
+    }
+
+    // Resize and strip the location data BEFORE the photo goes anywhere
+    let photo;
+    try {
+      setGalleryMessage('Preparing photo...', 'success');
+      photo = await prepareGalleryImage(file);
+      photo.details = details;
+    } catch (error) {
+      console.error("Image processing error: ", error);
+      setGalleryMessage('Error: Could not read that image. Try a JPG or PNG.', 'error');
+      e.target.value = '';
+      return;
+    }
+
+    // No signal? Save the photo on the device and upload it later.
+    if (!navigator.onLine) {
+      await queueGalleryUpload(photo);
+      e.target.value = '';
+      clearGalleryUploadDetails();
+      return;
+    }
+
+    setGalleryMessage('Uploading...', 'success');
+
+    try {
+      await uploadGalleryImage(photo);
+      e.target.value = '';
+      clearGalleryUploadDetails();
+
+      setGalleryMessage('Upload successful!', 'success');
+      // The onSnapshot listener for the gallery will automatically pick up the new image.
+      
+    } catch (error) {
+      console.error("Image upload error: ", error);
+      // Lost the connection part-way through: keep the photo for later
+      if (!navigator.onLine || error.code === 'storage/retry-limit-exceeded') {
+        await queueGalleryUpload(photo);
+        e.target.value = '';
+        clearGalleryUploadDetails();
+        return;
+      }
+      let friendlyMessage = 'Error: Upload failed.';
+      if (error.code) {
+        switch (error.code) {
+          case 'storage/unauthorized':
+            friendlyMessage = 'Error: Permission denied. Check Storage rules.';
+            break;
+          case 'storage/canceled':
+            friendlyMessage = 'Error: Upload canceled.';
+            break;
+          case 'storage/unknown':
+            friendlyMessage = 'Error: An unknown error occurred.';
+            break;
+          case 'firestore/permission-denied':
+              friendlyMessage = 'Error: Permission denied. Check Firestore rules.';
+              break;
+          case 'permission-denied':
+            friendlyMessage = getBlockedWriteMessage(error, friendlyMessage);
+            break;
+        }
+      }
+      setGalleryMessage(friendlyMessage, 'error');
+    }
+  });
+
+  // --- Photo Privacy & Resizing ---
+  // Phone photos carry EXIF metadata, including the GPS location of the
+  // grower's home. Drawing the photo onto a canvas and saving it again as a
+  // new JPEG keeps only the pixels, so ALL metadata is dropped. Along the
+  // way the photo is turned upright and shrunk, and a small thumbnail is
+  // made for the grid.
+  const GALLERY_MAX_ORIGINAL_SIZE = 30 * 1024 * 1024;
+  const GALLERY_MAX_UPLOAD_SIZE = 5 * 1024 * 1024; // Must match storage.rules
+  const GALLERY_IMAGE_MAX_SIDE = 2048;
+  const GALLERY_THUMB_MAX_SIDE = 480;
+
+  // Returns { image, thumbnail, fileName } with both images as JPEG Blobs
+  async function prepareGalleryImage(file) {
+    // 'from-image' applies the EXIF rotation, so sideways phone photos come out upright
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    try {
+      const image = await resizeToJpeg(bitmap, GALLERY_IMAGE_MAX_SIDE, 0.85);
+      const thumbnail = await resizeToJpeg(bitmap, GALLERY_THUMB_MAX_SIDE, 0.75);
+      if (image.size > GALLERY_MAX_UPLOAD_SIZE) {
+        throw new Error('Resized image is still over the upload limit');
+      }
+      // The new file is always a JPEG, whatever it started as
+      const baseName = file.name.replace(/\.[^.]+$/, '') || 'photo';
+      return { image, thumbnail, fileName: `${baseName}.jpg` };
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  function resizeToJpeg(bitmap, maxSide, quality) {
+    const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so see-through PNG areas become black like the gallery
+    context.fillStyle = '#000000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), 'image/jpeg', quality);
+    });
+  }
+
+  // Uploads one prepared photo (and its thumbnail) to Storage and saves
+  // its reference in Firestore. Used for fresh uploads and for photos
+  // waiting in the outbox.
+  async function uploadGalleryImage({ image, thumbnail, fileName, details = {} }) {
+    // Create a unique file path in Storage
+    const uploadId = `${Date.now()}-${fileName.replace(/\.jpg$/, '')}`;
+    const filePath = `gallery/${currentUserId}/${uploadId}.jpg`;
+    const thumbPath = `gallery/${currentUserId}/${uploadId}-thumb.jpg`;
+    const metadata = { contentType: 'image/jpeg' };
+
+    try {
+      // Upload both files
+      const [uploadResult, thumbResult] = await Promise.all([
+        uploadBytes(ref(storage, filePath), image, metadata),
+        uploadBytes(ref(storage, thumbPath), thumbnail, metadata)
+      ]);
+
+      // Get the public download URLs
+      const [downloadURL, thumbURL] = await Promise.all([
+        getDownloadURL(uploadResult.ref),
+        getDownloadURL(thumbResult.ref)
+      ]);
+
+      // Now, save a reference to this image in *Firestore*
+      // This makes it easy to query for all gallery images
+      const batch = writeBatch(db);
+      batch.set(doc(collection(db, 'gallery-images')), {
+        userId: currentUserId,
+        imageUrl: downloadURL,
+        thumbUrl: thumbURL,
+        storagePath: filePath, // Good to store this for later (e.g., deleting)
+        thumbPath: thumbPath,
+        ...details, // caption, strain, week, stage (whichever were filled in)
+        hidden: false,
+        createdAt: serverTimestamp()
+      });
+      stampRateLimit(batch, 'upload');
+      await batch.commit();
+    } catch (error) {
+      // Don't leave the files behind: a retry from the outbox uploads a new
+      // pair under a new name
+      await Promise.all([filePath, thumbPath].map(path =>
+        deleteObject(ref(storage, path)).catch(deleteError => {
+          if (deleteError.code !== 'storage/object-not-found') console.error("Error deleting gallery upload: ", deleteError);
+        })
+      ));
+      throw error;
+    }
+  }
+
+  // Helper for gallery message
+  function setGalleryMessage(message, type) {
+    galleryMessage.textContent = message;
+    galleryMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    galleryMessage.classList.remove('hidden');
+    setTimeout(() => galleryMessage.classList.add('hidden'), 4000);
+  }
+
+  // Load the newest page of gallery images and listen for new ones
+  const galleryPlaceholder = galleryGrid.querySelector('.placeholder');
+
+  const galleryFeed = createPagedFeed({
+    collectionName: 'gallery-images',
+    container: galleryGrid,
+    loadMoreBtn: galleryLoadMoreBtn,
+    renderItem: createGalleryItemElement,
+    // Each filter combination has its own index in firestore.indexes.json
+    getFilters: () => {
+      const filters = [];
+      const strainKey = getStrainKey(galleryFilterStrain.value);
+      if (strainKey) filters.push(where('strainKey', '==', strainKey));
+      if (galleryFilterStage.value) filters.push(where('stage', '==', galleryFilterStage.value));
+      return filters;
+    },
+    // The placeholder only shows while there are no uploads
+    showEmpty: (isEmpty) => {
+      if (galleryPlaceholder) galleryPlaceholder.style.display = isEmpty ? 'block' : 'none';
+    },
+    onError: (error) => {
+      console.error("Error loading gallery: ", error);
+      if (error.code === 'failed-precondition') {
+        galleryGrid.innerHTML = `<p class="text-center text-red-500 italic mt-8 col-span-full">Error: Database index required. Please check the JavaScript console (F12) for a link to create the Firestore index.</p>`;
+      } else {
+        galleryGrid.innerHTML = '<p class="text-center text-red-500 italic mt-8 col-span-full">Error loading gallery.</p>';
+      }
+    }
+  });
+
+  function loadGallery() {
+    if (!currentUserId) return;
+
+    // Keep the placeholder template, it's shown again if the gallery is empty
+    galleryGrid.replaceChildren(...(galleryPlaceholder ? [galleryPlaceholder] : []));
+    galleryFeed.start();
+  }
+
+  // Builds the card for one gallery image (used by the grid and by links)
+  function createGalleryItemElement(imageId, image) {
+    const imgElement = document.createElement('div');
+    imgElement.className = 'gallery-item';
+    imgElement.dataset.imageId = imageId;
+
+    // Same as posts: hidden images keep their spot but only moderators see them
+    if (image.hidden && !isModerator) {
+      imgElement.classList.add('hidden');
+      return imgElement;
+    }
+
+    if (image.strainKey && !seenStrains.has(image.strainKey)) {
+      seenStrains.set(image.strainKey, image.strain);
+      galleryStrainOptions.innerHTML = Array.from(seenStrains.values())
+        .map(strain => `<option value="${escapeHTML(strain)}">`).join('');
+    }
+
+    const details = getGalleryDetailsText(image);
+    // Read by the lightbox
+    imgElement.dataset.fullSrc = image.imageUrl;
+    imgElement.dataset.caption = [image.caption, details].filter(Boolean).join(' — ');
+    imgElement.dataset.link = `#/gallery/image/${encodeURIComponent(imageId)}`;
+
+    imgElement.innerHTML = `
+      <a href="#/gallery/image/${encodeURIComponent(imageId)}">
+        <img src="${escapeHTML(image.thumbUrl || image.imageUrl)}" alt="${escapeHTML(image.caption || 'User Upload')}" loading="lazy"
+             onerror="this.src='https://placehold.co/400x400/0d0d0d/999?text=Image+Failed+to+Load'">
+      </a>
+      <div class="gallery-item-caption">
+          ${image.caption ? `<p>${escapeHTML(image.caption)}</p>` : ''}
+          ${details ? `<p class="gallery-item-details">${escapeHTML(details)}</p>` : ''}
+          <p>Uploaded by:${image.hidden ? ' <span class="moderation-hidden-badge">🚫 Hidden</span>' : ''}</p>
+          <span class="text-xs text-gray-400">${getAuthorChipHTML(image.userId)}</span>
+          ${image.userId === currentUserId
+            ? '<button type="button" class="gallery-delete-btn block" data-delete-image>🗑️ Delete</button>'
+            : '<button type="button" class="post-report-btn" data-report-image>🚩 Report</button>'}
+      </div>
+    `;
+    return imgElement;
+  }
+
+  // e.g. "Blue Dream · Week 6 · Flower"
+  function getGalleryDetailsText(image) {
+    return [
+      image.strain,
+      typeof image.week === 'number' ? `Week ${image.week}` : '',
+      image.stage ? PLANT_STAGES[image.stage] : ''
+    ].filter(Boolean).join(' · ');
+  }
+
+  // Report and delete buttons on gallery cards and on a linked single image
+  [galleryGrid, galleryImageFocus, document.getElementById('profile-uploads'), document.getElementById('strain-uploads')].forEach(container => container.addEventListener('click', async (e) => {
+    const reportBtn = e.target.closest('[data-report-image]');
+    if (reportBtn) {
+      reportItem('image', reportBtn.closest('[data-image-id]').dataset.imageId);
+      return;
+    }
+
+    const deleteBtn = e.target.closest('[data-delete-image]');
+    if (!deleteBtn) return;
+    if (!confirm('Delete this photo? This can\'t be undone.')) return;
+    deleteBtn.disabled = true;
+    try {
+      await deleteGalleryImage(deleteBtn.closest('[data-image-id]').dataset.imageId);
+      setGalleryMessage('Photo deleted.', 'success');
+    } catch (error) {
+      console.error("Error deleting image: ", error);
+      setGalleryMessage('Error: Could not delete photo.', 'error');
+      deleteBtn.disabled = false;
+    }
+  }));
+
+  // Re-load the gallery whenever the filters change
+  galleryFilterStrain.addEventListener('input', debounce(loadGallery, 500));
+  galleryFilterStage.addEventListener('change', loadGallery);
+  galleryFilterClear.addEventListener('click', () => {
+    galleryFilterStrain.value = '';
+    galleryFilterStage.value = '';
+    loadGallery();
+  });
+
+  // Removes the file from Storage and its Firestore doc (used by owners and moderators)
+  async function deleteGalleryImage(imageId) {
+    const imageRef = doc(db, 'gallery-images', imageId);
+    const imageSnap = await getDoc(imageRef);
+    if (!imageSnap.exists()) return;
+    const { storagePath, thumbPath } = imageSnap.data();
+    await Promise.all([storagePath, thumbPath].filter(Boolean).map(path =>
+      deleteObject(ref(storage, path)).catch(error => {
+        // Already gone is fine, the doc still needs deleting
+        if (error.code !== 'storage/object-not-found') throw error;
+      })
+    ));
+    await deleteDoc(imageRef);
+    document.querySelectorAll(`.gallery-item[data-image-id="${CSS.escape(imageId)}"]`).forEach(el => el.remove());
+    if (galleryImageFocus.querySelector(`[data-image-id="${CSS.escape(imageId)}"]`)) {
+      galleryImageFocus.innerHTML = '<p class="text-center text-gray-600 italic">Photo deleted.</p><a href="#/gallery" class="route-link">&larr; Back to the gallery</a>';
+    }
+  }
+
+  // Opened from a #/gallery/image/<id> link
+  async function showSingleImage(imageId) {
+    if (!currentUserId) return; // Tried again once auth is ready
+
+    galleryImageFocus.classList.remove('hidden');
+    galleryImageFocus.innerHTML = '<p class="text-center text-gray-600 italic">Loading image...</p>';
+    try {
+      const imageSnap = await getDoc(doc(db, 'gallery-images', imageId));
+      if (!imageSnap.exists()) {
+        galleryImageFocus.innerHTML = '<p class="text-center text-red-500 italic">This image doesn\'t exist (it may have been deleted).</p>';
+      } else if (imageSnap.data().hidden && !isModerator) {
+        galleryImageFocus.innerHTML = '<p class="text-center text-red-500 italic">This image was removed by a moderator.</p>';
+      } else {
+        const image = imageSnap.data();
+        galleryImageFocus.innerHTML = `
+          <div data-image-id="${escapeHTML(imageSnap.id)}">
+            <img src="${escapeHTML(image.imageUrl)}" alt="${escapeHTML(image.caption || 'User Upload')}" class="route-focus-image">
+            ${image.caption ? `<p class="mt-2">${escapeHTML(image.caption)}</p>` : ''}
+            ${getGalleryDetailsText(image) ? `<p class="gallery-item-details mt-1">${escapeHTML(getGalleryDetailsText(image))}</p>` : ''}
+            <p class="text-xs text-gray-500 mt-2">Uploaded by: ${getAuthorChipHTML(image.userId)}</p>
+            ${image.userId === currentUserId
+              ? '<button type="button" class="gallery-delete-btn" data-delete-image>🗑️ Delete</button>'
+              : '<button type="button" class="post-report-btn mt-2" data-report-image>🚩 Report</button>'}
+          </div>
+        `;
+      }
+      galleryImageFocus.insertAdjacentHTML('beforeend', '<a href="#/gallery" class="route-link">&larr; Back to the gallery</a>');
+      galleryImageFocus.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+      console.error("Error loading image: ", error);
+      galleryImageFocus.innerHTML = error.code === 'permission-denied'
+        ? '<p class="text-center text-red-500 italic">This image was removed by a moderator.</p>'
+        : '<p class="text-center text-red-500 italic">Error loading image.</p>';
+    }
+  }
+
+  // --- Lightbox Viewer ---
+  // One full-screen viewer for every gallery on the site. Any grid marked
+  // with data-lightbox opens its .gallery-item images here (with next and
+  // previous), and a [data-lightbox-video] button opens a video. Cards can
+  // set data-full-src, data-caption and data-link to show more than the
+  // thumbnail and its alt text.
+  const lightbox = document.getElementById('lightbox');
+  const lightboxMedia = document.getElementById('lightbox-media');
+  const lightboxCaption = document.getElementById('lightbox-caption');
+  const lightboxPrev = document.getElementById('lightbox-prev');
+  const lightboxNext = document.getElementById('lightbox-next');
+  const lightboxClose = document.getElementById('lightbox-close');
+
+  let lightboxItems = []; // { type: 'image' | 'video', src, caption, link }
+  let lightboxIndex = 0;
+
+  // A card's main photo (not the avatar in its caption)
+  const CARD_IMAGE = ':scope > img, :scope > a > img';
+
+  function getLightboxCards(container) {
+    return Array.from(container.querySelectorAll('.gallery-item:not(.hidden):not(.placeholder)'))
+      .filter(item => item.querySelector(CARD_IMAGE));
+  }
+
+  function getLightboxItems(container) {
+    return getLightboxCards(container)
+      .map(item => {
+        const img = item.querySelector(CARD_IMAGE);
+        return {
+          type: 'image',
+          src: item.dataset.fullSrc || img.src,
+          caption: item.dataset.caption || img.alt,
+          link: item.dataset.link || ''
+        };
+      });
+  }
+
+  function openLightbox(items, startIndex = 0) {
+    lightboxItems = items;
+    showLightboxItem(startIndex);
+    lightbox.classList.remove('hidden');
+    document.body.style.overflow = 'hidden'; // Stop the page scrolling behind it
+    lightboxClose.focus();
+  }
+
+  function closeLightbox() {
+    lightbox.classList.add('hidden');
+    lightboxMedia.innerHTML = ''; // Stops a playing video
+    document.body.style.overflow = '';
+  }
+
+  function showLightboxItem(index) {
+    lightboxIndex = Math.min(Math.max(0, index), lightboxItems.length - 1);
+    const item = lightboxItems[lightboxIndex];
+
+    lightboxMedia.innerHTML = item.type === 'video'
+      ? `<video src="${escapeHTML(item.src)}" controls autoplay playsinline></video>`
+      : `<img src="${escapeHTML(item.src)}" alt="${escapeHTML(item.caption)}">`;
+
+    lightboxCaption.textContent = item.caption;
+    if (lightboxItems.length > 1) {
+      lightboxCaption.insertAdjacentText('beforeend', ` (${lightboxIndex + 1} of ${lightboxItems.length})`);
+    }
+    if (item.link) {
+      lightboxCaption.insertAdjacentHTML('beforeend', ` &middot; <a href="${escapeHTML(item.link)}" class="route-link" data-lightbox-link>🔗 Link</a>`);
+    }
+
+    lightboxPrev.disabled = lightboxIndex === 0;
+    lightboxNext.disabled = lightboxIndex === lightboxItems.length - 1;
+  }
+
+  document.addEventListener('click', (e) => {
+    const videoBtn = e.target.closest('[data-lightbox-video]');
+    if (videoBtn) {
+      openLightbox([{ type: 'video', src: videoBtn.dataset.lightboxVideo, caption: videoBtn.dataset.caption || '', link: '' }]);
+      return;
+    }
+
+    const img = e.target.closest('[data-lightbox] .gallery-item > img, [data-lightbox] .gallery-item > a > img');
+    if (!img) return;
+    e.preventDefault(); // Open the viewer instead of following the card's link
+    const container = img.closest('[data-lightbox]');
+    openLightbox(getLightboxItems(container), getLightboxCards(container).indexOf(img.closest('.gallery-item')));
+  });
+
+  lightboxPrev.addEventListener('click', () => showLightboxItem(lightboxIndex - 1));
+  lightboxNext.addEventListener('click', () => showLightboxItem(lightboxIndex + 1));
+  lightboxClose.addEventListener('click', closeLightbox);
+
+  // Clicking the dark background (or following the link) closes it
+  lightbox.addEventListener('click', (e) => {
+    if (e.target === lightbox || e.target.closest('[data-lightbox-link]')) closeLightbox();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (lightbox.classList.contains('hidden')) return;
+    if (e.key === 'Escape') closeLightbox();
+    if (e.key === 'ArrowLeft') showLightboxItem(lightboxIndex - 1);
+    if (e.key === 'ArrowRight') showLightboxItem(lightboxIndex + 1);
+  });
+
+  // --- Moderation (Reports, Hiding & Bans) ---
+  // Anyone can report a post or image. Reports go to the 'reports'
+  // collection, one per user per item. Moderators are listed in the
+  // 'admins' collection (added by hand in the Firebase console) and can
+  // hide or delete reported items and ban their authors.
+  const moderationNavBtn = document.getElementById('moderation-nav-btn');
+  const moderationQueue = document.getElementById('moderation-queue');
+  const bannedUsersList = document.getElementById('banned-users-list');
+  const moderationMessage = document.getElementById('moderation-message');
+
+  const REPORT_TARGETS = {
+    post: { collectionName: 'journalPosts', label: 'Post' },
+    image: { collectionName: 'gallery-images', label: 'Image' }
+  };
+
+  let unsubscribeReports = null;
+  let unsubscribeBans = null;
+
+  async function reportItem(targetType, targetId) {
+    if (!currentUserId) return;
+    const reason = prompt('Why are you reporting this? (e.g., selling, spam, harassment)');
+    if (reason === null) return; // Cancelled
+    const trimmedReason = reason.trim().slice(0, REPORT_REASON_MAX);
+    if (!trimmedReason) {
+      alert('Please give a reason so the moderators know what to look for.');
+      return;
+    }
+
+    try {
+      // One report per user per item: the ID makes a second report fail
+      await setDoc(doc(db, 'reports', `${targetType}_${targetId}_${currentUserId}`), {
+        targetType: targetType,
+        targetId: targetId,
+        reason: trimmedReason,
+        reporterId: currentUserId,
+        status: 'open',
+        createdAt: serverTimestamp()
+      });
+      alert('Thanks! A moderator will take a look.');
+    } catch (error) {
+      console.error("Error reporting item: ", error);
+      alert(error.code === 'permission-denied'
+        ? 'You\'ve already reported this.'
+        : 'Error: Could not send your report.');
+    }
+  }
+
+  // Only moderators can read the queue (see firestore.rules)
+  function loadModerationQueue() {
+    if (unsubscribeReports) unsubscribeReports();
+    if (unsubscribeBans) unsubscribeBans();
+    unsubscribeReports = null;
+    unsubscribeBans = null;
+
+    if (!isModerator) {
+      moderationQueue.innerHTML = '<p class="text-center text-gray-600 italic">Only moderators can see the moderation queue.</p>';
+      bannedUsersList.innerHTML = '';
+      return;
+    }
+
+    // Uses the status + createdAt index in firestore.indexes.json
+    const reportsQuery = query(collection(db, 'reports'), where('status', '==', 'open'), orderBy('createdAt', 'asc'));
+    unsubscribeReports = onSnapshot(reportsQuery, (querySnapshot) => {
+      renderModerationQueue(querySnapshot.docs.map(reportDoc => ({ id: reportDoc.id, ...reportDoc.data() })));
+    }, (error) => {
+      console.error("Error loading reports: ", error);
+      moderationQueue.innerHTML = '<p class="text-center text-red-500 italic">Error loading the moderation queue.</p>';
+    });
+
+    unsubscribeBans = onSnapshot(collection(db, 'bannedUsers'), (querySnapshot) => {
+      if (querySnapshot.empty) {
+        bannedUsersList.innerHTML = '<p class="text-center text-gray-600 italic">Nobody is banned.</p>';
+        return;
+      }
+      bannedUsersList.innerHTML = querySnapshot.docs.map(banDoc => `
+        <div class="moderation-item" data-user-id="${escapeHTML(banDoc.id)}">
+          <p class="text-white">${escapeHTML(banDoc.id)}</p>
+          <p class="text-xs text-gray-500">${escapeHTML(banDoc.data().reason || 'No reason given')}</p>
+          <div class="moderation-actions">
+            <button type="button" class="plant-status-btn" data-moderation-action="unban">Unban</button>
+          </div>
+        </div>
+      `).join('');
+    }, (error) => {
+      console.error("Error loading banned users: ", error);
+    });
+  }
+
+  // Several people may report the same item: show it once with every reason
+  async function renderModerationQueue(reports) {
+    if (reports.length === 0) {
+      moderationQueue.innerHTML = '<p class="text-center text-gray-600 italic">The queue is empty. Nice!</p>';
+      return;
+    }
+
+    const reportsByTarget = new Map();
+    reports.forEach(report => {
+      const key = `${report.targetType}/${report.targetId}`;
+      if (!reportsByTarget.has(key)) reportsByTarget.set(key, []);
+      reportsByTarget.get(key).push(report);
+    });
+
+    const items = await Promise.all(Array.from(reportsByTarget.values()).map(async (targetReports) => {
+      const { targetType, targetId } = targetReports[0];
+      const target = REPORT_TARGETS[targetType];
+      const targetSnap = await getDoc(doc(db, target.collectionName, targetId)).catch(() => null);
+      const item = targetSnap && targetSnap.exists() ? targetSnap.data() : null;
+
+      let preview = '<p class="text-gray-500 italic">Already deleted.</p>';
+      if (item && targetType === 'post') {
+        preview = `<p class="font-bold text-white">${escapeHTML(item.title)}</p><p class="text-sm">${escapeHTML(item.body)}</p>`;
+      } else if (item && targetType === 'image') {
+        preview = `<img src="${escapeHTML(item.imageUrl)}" alt="Reported image" class="moderation-image">`;
+      }
+
+      return `
+        <div class="moderation-item" data-target-type="${targetType}" data-target-id="${escapeHTML(targetId)}" data-user-id="${item ? escapeHTML(item.userId) : ''}">
+          <p class="text-xs text-gray-500">${target.label} by ${item ? escapeHTML(item.userId) : 'unknown'}${item && item.hidden ? ' &middot; 🚫 Hidden' : ''}</p>
+          ${preview}
+          <ul class="moderation-reasons">
+            ${targetReports.map(report => `<li>"${escapeHTML(report.reason)}" &mdash; ${escapeHTML(report.reporterId)}</li>`).join('')}
+          </ul>
+          <div class="moderation-actions">
+            ${item ? `<button type="button" class="plant-status-btn" data-moderation-action="${item.hidden ? 'unhide' : 'hide'}">${item.hidden ? 'Unhide' : 'Hide'}</button>` : ''}
+            ${item ? '<button type="button" class="plant-status-btn" data-moderation-action="delete">Delete</button>' : ''}
+            ${item ? '<button type="button" class="plant-status-btn" data-moderation-action="ban">Ban Author</button>' : ''}
+            <button type="button" class="plant-status-btn" data-moderation-action="dismiss">Dismiss</button>
+          </div>
+        </div>
+      `;
+    }));
+
+    moderationQueue.innerHTML = items.join('');
+  }
+
+  // storage.rules check this metadata, so a hidden item's photos stop
+  // loading for everyone but the author and moderators. Download URLs
+  // skip the rules, but those only live in the item, which is now hidden.
+  async function setFilesHidden(targetRef, hidden) {
+    const itemSnap = await getDoc(targetRef);
+    if (!itemSnap.exists()) return;
+    const { storagePath, thumbPath, photos = [] } = itemSnap.data();
+    const paths = [storagePath, thumbPath, ...photos.flatMap(photo => [photo.path, photo.thumbPath])];
+    await Promise.all(paths.filter(Boolean).map(path =>
+      updateMetadata(ref(storage, path), { customMetadata: { hidden: String(hidden) } })
+    ));
+  }
+
+  // Close every open report on an item, noting what was done about it
+  async function resolveReports(targetType, targetId, action) {
+    const reportsQuery = query(collection(db, 'reports'), where('targetType', '==', targetType), where('targetId', '==', targetId), where('status', '==', 'open'));
+    const reportsSnap = await getDocs(reportsQuery);
+    const batch = writeBatch(db);
+    reportsSnap.forEach(reportDoc => {
+      batch.update(reportDoc.ref, {
+        status: 'resolved',
+        action: action,
+        resolvedBy: currentUserId,
+        resolvedAt: serverTimestamp()
+      });
+    });
+    await batch.commit();
+  }
+
+  [moderationQueue, bannedUsersList].forEach(list => list.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-moderation-action]');
+    if (!button) return;
+    const item = button.closest('.moderation-item');
+    const { targetType, targetId, userId } = item.dataset;
+    const action = button.dataset.moderationAction;
+    const targetRef = targetType ? doc(db, REPORT_TARGETS[targetType].collectionName, targetId) : null;
+
+    button.disabled = true;
+    try {
+      switch (action) {
+        case 'hide':
+        case 'unhide':
+          await updateDoc(targetRef, { hidden: action === 'hide' });
+          await setFilesHidden(targetRef, action === 'hide');
+          await resolveReports(targetType, targetId, action);
+          break;
+        case 'delete':
+          if (!confirm('Delete this for good?')) return;
+          if (targetType === 'post') {
+            await deletePostAndComments(targetId);
+          } else {
+            await deleteGalleryImage(targetId);
+          }
+          await resolveReports(targetType, targetId, 'delete');
+          break;
+        case 'ban': {
+          const reason = prompt(`Ban ${userId}? Reason (shown to other moderators):`);
+          if (reason === null) return;
+          await setDoc(doc(db, 'bannedUsers', userId), {
+            reason: reason.trim().slice(0, REPORT_REASON_MAX),
+            bannedBy: currentUserId,
+            bannedAt: serverTimestamp()
+          });
+          setModerationMessage(`${userId} is banned. Hide or delete their item too if needed.`, 'success');
+          break;
+        }
+        case 'unban':
+          if (!confirm(`Unban ${userId}?`)) return;
+          await deleteDoc(doc(db, 'bannedUsers', userId));
+          break;
+        case 'dismiss':
+          await resolveReports(targetType, targetId, 'dismiss');
+          break;
+      }
+    } catch (error) {
+      console.error("Error moderating: ", error);
+      setModerationMessage('Error: That moderation action failed.', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }));
+
+  // Helper for moderation message
+  function setModerationMessage(message, type) {
+    moderationMessage.textContent = message;
+    moderationMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    moderationMessage.classList.remove('hidden');
+    setTimeout(() => moderationMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Grower Profiles (Handles & Avatars) ---
+  // The public part of a profile lives in its own doc, because everything
+  // else under user-profiles/{uid} (calculators, plants, logs) is private:
+  //   user-profiles/{uid}/public/profile  -> handle, avatar, experience, grow style
+  //   handles/{handle}                    -> { uid } (makes each handle unique)
+  // Posts, comments and photos show an "author chip" with the handle and
+  // avatar that links to #/profile/<handle>.
+  const profileView = document.getElementById('profile-view');
+  const profileForm = document.getElementById('profile-form');
+  const profileHandleInput = document.getElementById('profile-handle');
+  const profileAvatarInput = document.getElementById('profile-avatar');
+  const profileExperienceInput = document.getElementById('profile-experience');
+  const profileGrowSpaceInput = document.getElementById('profile-grow-space');
+  const profileMediumInput = document.getElementById('profile-medium');
+  const profileMessage = document.getElementById('profile-message');
+  const profilePosts = document.getElementById('profile-posts');
+  const profileUploads = document.getElementById('profile-uploads');
+
+  const HANDLE_PATTERN = /^[a-z0-9_]{3,20}$/; // Must match firestore.rules
+  const PROFILE_LIST_LIMIT = 20;
+  const AVATAR_MAX_SIDE = 256;
+  const EXPERIENCE_LEVELS = {
+    beginner: '🌱 First Grow',
+    intermediate: '🌿 A Few Harvests',
+    advanced: '🌳 Seasoned Grower',
+    expert: '🏆 Master Grower'
+  };
+  const GROW_SPACES = { indoor: '💡 Indoor', outdoor: '☀️ Outdoor', both: '💡☀️ Indoor & Outdoor' };
+  const GROW_MEDIUMS = { soil: '🪴 Soil', coco: '🥥 Coco', hydro: '💧 Hydro' };
+
+  // Public profiles we've already looked up: uid -> profile (or null for none)
+  const profileCache = new Map();
+  const profileRequests = new Map(); // uid -> in-flight Promise
+
+  function getPublicProfileRef(uid) {
+    return doc(db, 'user-profiles', uid, 'public', 'profile');
+  }
+
+  function getPublicProfile(uid) {
+    if (profileCache.has(uid)) return Promise.resolve(profileCache.get(uid));
+    if (!profileRequests.has(uid)) {
+      profileRequests.set(uid, getDoc(getPublicProfileRef(uid))
+        .then(profileSnap => profileSnap.exists() ? profileSnap.data() : null)
+        .catch(error => {
+          console.error("Error loading profile: ", error);
+          return null;
+        })
+        .then(profile => {
+          profileCache.set(uid, profile);
+          profileRequests.delete(uid);
+          return profile;
+        }));
+    }
+    return profileRequests.get(uid);
+  }
+
+  // "Grower 1a2b3c" until someone picks a handle
+  function getDisplayName(uid, profile) {
+    return profile && profile.handle ? `@${profile.handle}` : `Grower ${uid.slice(0, 6)}`;
+  }
+
+  function getAvatarHTML(uid, profile, sizeClass = '') {
+    if (profile && profile.avatarUrl) {
+      return `<img src="${escapeHTML(profile.avatarUrl)}" alt="" class="avatar ${sizeClass}">`;
+    }
+    return `<span class="avatar avatar-default ${sizeClass}" aria-hidden="true">🌱</span>`;
+  }
+
+  function getAuthorChipContent(uid, profile) {
+    return `${getAvatarHTML(uid, profile)}<span>${escapeHTML(getDisplayName(uid, profile))}</span>`;
+  }
+
+  // A link to the author's profile. If their profile isn't loaded yet the
+  // chip starts with a placeholder and fills itself in when it arrives.
+  function getAuthorChipHTML(uid) {
+    if (!uid) return '';
+    const profile = profileCache.get(uid);
+    if (!profileCache.has(uid)) {
+      getPublicProfile(uid).then(loadedProfile => {
+        document.querySelectorAll(`[data-author-chip="${CSS.escape(uid)}"]`).forEach(chip => {
+          chip.innerHTML = getAuthorChipContent(uid, loadedProfile);
+          chip.href = `#/profile/${encodeURIComponent(loadedProfile && loadedProfile.handle ? loadedProfile.handle : uid)}`;
+        });
+      });
+    }
+    const routeId = profile && profile.handle ? profile.handle : uid;
+    return `<a href="#/profile/${encodeURIComponent(routeId)}" class="author-chip" data-author-chip="${escapeHTML(uid)}">${getAuthorChipContent(uid, profile)}</a>`;
+  }
+
+  // Opened from #/profile (your own) or #/profile/<handle or uid>
+  async function showGrowerProfile(handleOrUid) {
+    if (!currentUserId) return; // Tried again once auth is ready
+
+    profileView.innerHTML = '<p class="text-center text-gray-600 italic">Loading profile...</p>';
+    profilePosts.innerHTML = '';
+    profileUploads.innerHTML = '';
+
+    let uid = currentUserId;
+    if (handleOrUid) {
+      try {
+        const handleSnap = await getDoc(doc(db, 'handles', handleOrUid.toLowerCase()));
+        uid = handleSnap.exists() ? handleSnap.data().uid : handleOrUid;
+      } catch (error) {
+        uid = handleOrUid; // Not a valid handle ID, so it must be a UID
+      }
+    }
+
+    const isOwnProfile = uid === currentUserId;
+    profileCache.delete(uid); // Always show the latest on the profile page itself
+    const profile = await getPublicProfile(uid);
+
+    profileForm.classList.toggle('hidden', !isOwnProfile);
+    myDataPanel.classList.toggle('hidden', !isOwnProfile);
+    if (isOwnProfile) fillProfileForm(profile);
+
+    const badges = profile ? [
+      EXPERIENCE_LEVELS[profile.experience],
+      GROW_SPACES[profile.growSpace],
+      GROW_MEDIUMS[profile.medium]
+    ].filter(Boolean) : [];
+
+    profileView.innerHTML = `
+      <div class="profile-header">
+        ${getAvatarHTML(uid, profile, 'avatar-large')}
+        <div>
+          <p class="text-2xl font-bold text-white">${escapeHTML(getDisplayName(uid, profile))}${isOwnProfile ? ' <span class="text-sm text-gray-500">(you)</span>' : ''}</p>
+          <div class="profile-badges">${badges.map(badge => `<span class="profile-badge">${badge}</span>`).join('')}</div>
+          ${!profile && isOwnProfile ? '<p class="text-sm text-gray-400 mt-2">Pick a handle below so people know who\'s posting!</p>' : ''}
+        </div>
+      </div>
+    `;
+
+    loadProfileItems(uid);
+  }
+
+  // The grower's latest posts and uploads
+  // (userId + createdAt indexes in firestore.indexes.json)
+  async function loadProfileItems(uid) {
+    const latestBy = (collectionName) => query(
+      collection(db, collectionName),
+      where('userId', '==', uid),
+      ...shownOnly(uid),
+      orderBy('createdAt', 'desc'),
+      limit(PROFILE_LIST_LIMIT)
+    );
+
+    try {
+      const [postsSnap, uploadsSnap] = await Promise.all([
+        getDocs(latestBy('journalPosts')),
+        getDocs(latestBy('gallery-images'))
+      ]);
+
+      profilePosts.innerHTML = postsSnap.empty ? '<p class="text-center text-gray-600 italic">No posts yet.</p>' : '';
+      postsSnap.forEach(postDoc => profilePosts.appendChild(createPostElement(postDoc.id, postDoc.data())));
+
+      profileUploads.innerHTML = uploadsSnap.empty ? '<p class="text-center text-gray-600 italic col-span-full">No photos yet.</p>' : '';
+      uploadsSnap.forEach(imageDoc => profileUploads.appendChild(createGalleryItemElement(imageDoc.id, imageDoc.data())));
+    } catch (error) {
+      console.error("Error loading profile items: ", error);
+      profilePosts.innerHTML = '<p class="text-center text-red-500 italic">Error loading this grower\'s posts.</p>';
+    }
+  }
+
+  function fillProfileForm(profile) {
+    profileHandleInput.value = profile ? profile.handle : '';
+    profileExperienceInput.value = (profile && profile.experience) || '';
+    profileGrowSpaceInput.value = (profile && profile.growSpace) || '';
+    profileMediumInput.value = (profile && profile.medium) || '';
+    profileAvatarInput.value = '';
+  }
+
+  // Save the profile (and claim the handle) in one batch
+  profileForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentUserId) {
+      setProfileMessage('Error: You must be signed in to edit your profile.', 'error');
+      return;
+    }
+
+    const handle = profileHandleInput.value.trim().replace(/^@/, '');
+    const handleKey = handle.toLowerCase();
+    if (!HANDLE_PATTERN.test(handleKey)) {
+      setProfileMessage('Error: Handles are 3-20 letters, numbers or underscores.', 'error');
+      return;
+    }
+    const handleProblem = findContentProblem(handle, 20, 'Handle');
+    if (handleProblem) {
+      setProfileMessage(handleProblem, 'error');
+      return;
+    }
+
+    const currentProfile = await getPublicProfile(currentUserId);
+    const oldHandleKey = currentProfile ? currentProfile.handleKey : null;
+
+    try {
+      if (handleKey !== oldHandleKey) {
+        const handleSnap = await getDoc(doc(db, 'handles', handleKey));
+        if (handleSnap.exists()) {
+          setProfileMessage(`Error: @${handle} is already taken.`, 'error');
+          return;
+        }
+      }
+
+      const profile = {
+        handle: handle,
+        handleKey: handleKey,
+        experience: profileExperienceInput.value,
+        growSpace: profileGrowSpaceInput.value,
+        medium: profileMediumInput.value,
+        avatarUrl: currentProfile ? currentProfile.avatarUrl || '' : '',
+        updatedAt: serverTimestamp()
+      };
+
+      // Avatars go through the same resize/EXIF-stripping as gallery photos
+      const avatarFile = profileAvatarInput.files[0];
+      if (avatarFile) {
+        setProfileMessage('Uploading avatar...', 'success');
+        const bitmap = await createImageBitmap(avatarFile, { imageOrientation: 'from-image' });
+        const avatar = await resizeToJpeg(bitmap, AVATAR_MAX_SIDE, 0.85);
+        bitmap.close();
+        const avatarRef = ref(storage, `avatars/${currentUserId}/avatar.jpg`);
+        await uploadBytes(avatarRef, avatar, { contentType: 'image/jpeg' });
+        profile.avatarUrl = await getDownloadURL(avatarRef);
+      }
+
+      const batch = writeBatch(db);
+      batch.set(getPublicProfileRef(currentUserId), profile);
+      if (handleKey !== oldHandleKey) {
+        batch.set(doc(db, 'handles', handleKey), { uid: currentUserId });
+        if (oldHandleKey) batch.delete(doc(db, 'handles', oldHandleKey));
+      }
+      await batch.commit();
+
+      profileCache.delete(currentUserId);
+      setProfileMessage('Profile saved!', 'success');
+      navigateTo(`profile/${handle}`);
+    } catch (error) {
+      console.error("Error saving profile: ", error);
+      setProfileMessage(error.code === 'permission-denied'
+        ? 'Error: That handle was just taken, or your profile broke a community rule.'
+        : 'Error: Could not save your profile.', 'error');
+    }
+  });
+
+  // Helper for profile message
+  function setProfileMessage(message, type) {
+    profileMessage.textContent = message;
+    profileMessage.className = `text-sm text-center md:col-span-4 mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    profileMessage.classList.remove('hidden');
+    setTimeout(() => profileMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- My Data (Export, Import & Delete Account) ---
+  // A backup is one JSON file:
+  //   { app: 'grohio', version: 1, exportedAt, userId,
+  //     profile, publicProfile,                  // user-profiles/{uid} and .../public/profile
+  //     plants: [{ id, data, logs: [...] }],     // logs are { id, data } too
+  //     feedCharts: [...], tents: [{ id, data, readings: [...] }],
+  //     scenarios: [...],                        // cost calculator scenarios (older backups have none)
+  //     tasks: [...],                            // scheduled grow tasks (older backups have none)
+  //     posts: [...], galleryImages: [...],      // journalPosts and gallery-images by this user (both re-posted on restore)
+  //     strains: [...], strainOutcomes: [...],   // Strain Library entries and results (outcomes also have strainKey)
+  //     files: { '<storage path>': 'data:image/jpeg;base64,...' } }  // Only if photos were included
+  // Firestore Timestamps are saved as { $timestamp: '<ISO date>' }.
+  // Sensor device tokens are secrets, so they're never exported (not even
+  // the deviceToken on each reading).
+  const myDataPanel = document.getElementById('my-data');
+  const exportIncludeFiles = document.getElementById('export-include-files');
+  const exportJsonBtn = document.getElementById('export-json-btn');
+  const exportCsvType = document.getElementById('export-csv-type');
+  const exportCsvBtn = document.getElementById('export-csv-btn');
+  const importFileInput = document.getElementById('import-file-input');
+  const importPreview = document.getElementById('import-preview');
+  const deleteAccountConfirm = document.getElementById('delete-account-confirm');
+  const deleteAccountBtn = document.getElementById('delete-account-btn');
+  const dataMessage = document.getElementById('data-message');
+
+  const ARCHIVE_VERSION = 1;
+  const DATA_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+  let pendingImport = null; // { archive, plan } while the preview is open
+  let dataMessageTimeout = null;
+
+  function toArchiveValue(value) {
+    if (value instanceof Timestamp) return { $timestamp: value.toDate().toISOString() };
+    if (Array.isArray(value)) return value.map(toArchiveValue);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toArchiveValue(item)]));
+    }
+    return value;
+  }
+
+  function fromArchiveValue(value) {
+    if (Array.isArray(value)) return value.map(fromArchiveValue);
+    if (value && typeof value === 'object') {
+      if (typeof value.$timestamp === 'string') return new Date(value.$timestamp);
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromArchiveValue(item)]));
+    }
+    return value;
+  }
+
+  async function getArchiveDocs(collectionRef) {
+    const snapshot = await getDocs(collectionRef);
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, data: toArchiveValue(docSnap.data()) }));
+  }
+
+  // Reads everything this user owns into one archive object
+  async function collectMyData(includeFiles) {
+    const ownedBy = (collectionName) => query(collection(db, collectionName), where('userId', '==', currentUserId));
+    const [profileSnap, publicProfileSnap, plants, feedCharts, tents, scenarios, tasks, posts, galleryImages, strains, outcomesSnap] = await Promise.all([
+      getDoc(getUserProfileRef()),
+      getDoc(getPublicProfileRef(currentUserId)),
+      getArchiveDocs(getPlantsCollectionRef()),
+      getArchiveDocs(getFeedChartsCollectionRef()),
+      getArchiveDocs(getTentsCollectionRef()),
+      getArchiveDocs(getScenariosCollectionRef()),
+      getArchiveDocs(getTasksCollectionRef()),
+      getArchiveDocs(ownedBy('journalPosts')),
+      getArchiveDocs(ownedBy('gallery-images')),
+      getArchiveDocs(ownedBy('strains')),
+      // Uses the collection group index on outcomes.userId (firestore.indexes.json)
+      getDocs(query(collectionGroup(db, 'outcomes'), where('userId', '==', currentUserId)))
+    ]);
+    const strainOutcomes = outcomesSnap.docs.map(outcomeDoc => ({
+      id: outcomeDoc.id,
+      strainKey: outcomeDoc.ref.parent.parent.id,
+      data: toArchiveValue(outcomeDoc.data())
+    }));
+
+    // Firestore doesn't include subcollections with their parent
+    for (const plant of plants) {
+      setDataMessage(`Reading grow logs... (${plant.data.name})`, 'success', true);
+      plant.logs = await getArchiveDocs(getLogCollectionRef(plant.id));
+    }
+    for (const tent of tents) {
+      setDataMessage(`Reading sensor data... (${tent.data.name})`, 'success', true);
+      // Readings from a device carry its token, which would let anyone with
+      // the backup post readings to this tent
+      tent.readings = (await getArchiveDocs(getReadingsCollectionRef(tent.id)))
+        .map(({ id, data: { deviceToken, ...data } }) => ({ id, data }));
+    }
+
+    const publicProfile = publicProfileSnap.exists() ? toArchiveValue(publicProfileSnap.data()) : null;
+    const profile = profileSnap.exists() ? toArchiveValue(profileSnap.data()) : {};
+    if (profile.calculators) profile.calculators = withoutUnsavedFields(profile.calculators);
+    const archive = {
+      app: 'grohio',
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      userId: currentUserId,
+      profile,
+      publicProfile,
+      plants,
+      feedCharts,
+      tents,
+      scenarios,
+      tasks,
+      posts,
+      galleryImages,
+      strains,
+      strainOutcomes
+    };
+
+    if (includeFiles) {
+      const paths = [
+        ...galleryImages.flatMap(image => [image.data.storagePath, image.data.thumbPath]),
+        ...posts.flatMap(post => (post.data.photos || []).flatMap(photo => [photo.path, photo.thumbPath])),
+        publicProfile && publicProfile.avatarUrl ? `avatars/${currentUserId}/avatar.jpg` : null
+      ].filter(Boolean);
+
+      archive.files = {};
+      archive.missingFiles = [];
+      for (const [index, path] of paths.entries()) {
+        setDataMessage(`Downloading photos... ${index + 1} / ${paths.length}`, 'success', true);
+        try {
+          archive.files[path] = await blobToDataUrl(await getBlob(ref(storage, path)));
+        } catch (error) {
+          // Keep going: one missing photo shouldn't sink the whole backup
+          console.error(`Error downloading ${path}: `, error);
+          archive.missingFiles.push(path);
+        }
+      }
+    }
+    return archive;
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function downloadFile(content, type, fileName) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+
+  function getExportDate() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  // Wraps the export buttons so a second click can't start a second export
+  async function runExport(button, task) {
+    if (!currentUserId) {
+      setDataMessage('Error: You must be signed in to export your data.', 'error');
+      return;
+    }
+    button.disabled = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error("Error exporting data: ", error);
+      setDataMessage('Error: Could not export your data. Check your connection and try again.', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  exportJsonBtn.addEventListener('click', () => runExport(exportJsonBtn, async () => {
+    setDataMessage('Gathering your data...', 'success', true);
+    const archive = await collectMyData(exportIncludeFiles.checked);
+    downloadFile(JSON.stringify(archive, null, 2), 'application/json', `grohio-backup-${getExportDate()}.json`);
+    const missing = archive.missingFiles && archive.missingFiles.length;
+    setDataMessage(missing
+      ? `Backup downloaded, but ${missing} photo file(s) couldn't be downloaded.`
+      : 'Backup downloaded! Keep it somewhere safe.', missing ? 'error' : 'success');
+  }));
+
+  // --- CSV Export ---
+  function toCsv(rows) {
+    return rows.map(row => row.map(cell => {
+      const text = cell === undefined || cell === null ? '' : String(cell);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Archive dates are { $timestamp } objects, plain strings or missing
+  function getCsvDate(value) {
+    return value && value.$timestamp ? value.$timestamp : value || '';
+  }
+
+  const CSV_EXPORTS = {
+    log: (archive) => [
+      ['Plant', 'Logged At', 'Type', 'Volume', 'pH', 'EC', 'PPM', 'Weight (g)', 'Temp (°C)', 'RH (%)', 'Note'],
+      ...archive.plants.flatMap(plant => plant.logs.map(({ data: entry }) => [
+        plant.data.name, getCsvDate(entry.loggedAt), entry.type, entry.volume, entry.ph, entry.ec,
+        entry.ppm, entry.weight, entry.tempC, entry.rh, entry.note
+      ]))
+    ],
+    plants: (archive) => [
+      ['Plant', 'Status', 'Stage', 'Started', 'Harvested On', 'Wet Weight (g)', 'Dry Weight (g)', 'Jarred On', 'Jars'],
+      ...archive.plants.map(({ data: plant }) => {
+        const harvest = plant.harvest || {};
+        return [
+          plant.name, plant.status, plant.stage, getCsvDate(plant.startDate), getCsvDate(harvest.harvestedOn),
+          harvest.wetWeight, harvest.dryWeight, getCsvDate(harvest.jarredOn), harvest.jarCount
+        ];
+      })
+    ],
+    readings: (archive) => [
+      ['Tent', 'Recorded At', 'Temp (°C)', 'Temp (°F)', 'RH (%)', 'VPD (kPa)', 'CO2 (ppm)', 'PPFD', 'Source'],
+      ...archive.tents.flatMap(tent => tent.readings.map(({ data: reading }) => [
+        tent.data.name, getCsvDate(reading.recordedAt), reading.tempC, celsiusToFahrenheit(reading.tempC).toFixed(1),
+        reading.rh, computeVPD(reading.tempC, reading.rh).toFixed(2), reading.co2, reading.ppfd, reading.source
+      ]))
+    ],
+    calculators: (archive) => [
+      ['Field', 'Value'],
+      ...Object.entries(archive.profile.calculators || {}).map(([field, value]) =>
+        [field, typeof value === 'object' ? JSON.stringify(value) : value])
+    ]
+  };
+
+  exportCsvBtn.addEventListener('click', () => runExport(exportCsvBtn, async () => {
+    setDataMessage('Gathering your data...', 'success', true);
+    const rows = CSV_EXPORTS[exportCsvType.value](await collectMyData(false));
+    if (rows.length < 2) {
+      setDataMessage('Nothing to export there yet.', 'error');
+      return;
+    }
+    downloadFile(toCsv(rows), 'text/csv;charset=utf-8', `grohio-${exportCsvType.value}-${getExportDate()}.csv`);
+    setDataMessage(`Downloaded ${rows.length - 1} rows.`, 'success');
+  }));
+
+  // --- Import ---
+  // Private data (calculators, plants, logs, feed charts, tents, readings)
+  // is written back with its original IDs, so anything already in the
+  // account is spotted and skipped. Posts are re-posted with their original
+  // dates (see restorePosts), one a minute to stay under the posting limit,
+  // skipping any already in the account. Gallery photos can be re-posted
+  // (through the outbox) if the backup includes their files.
+  async function getExistingIds(collectionRef) {
+    const snapshot = await getDocs(collectionRef);
+    return new Set(snapshot.docs.map(docSnap => docSnap.id));
+  }
+
+  // The outbox re-uploads to "<time>-<original upload name>.jpg", so a
+  // photo that was re-posted before still carries its original name
+  function getUploadName(storagePath) {
+    return storagePath.split('/').pop().replace(/\.jpg$/, '');
+  }
+
+  async function buildImportPlan(archive) {
+    const [profileSnap, plantIds, feedChartIds, tentIds, scenarioIds, taskIds, myImages, myPosts] = await Promise.all([
+      getDoc(getUserProfileRef()),
+      getExistingIds(getPlantsCollectionRef()),
+      getExistingIds(getFeedChartsCollectionRef()),
+      getExistingIds(getTentsCollectionRef()),
+      getExistingIds(getScenariosCollectionRef()),
+      getExistingIds(getTasksCollectionRef()),
+      getDocs(query(collection(db, 'gallery-images'), where('userId', '==', currentUserId))),
+      getDocs(query(collection(db, 'journalPosts'), where('userId', '==', currentUserId)))
+    ]);
+
+    const savedCalculators = (profileSnap.exists() && profileSnap.data().calculators) || {};
+    // Older backups may still hold form fields (like a typed password)
+    const archivedCalculators = withoutUnsavedFields(archive.profile.calculators || {});
+    const calculators = Object.fromEntries(Object.entries(archivedCalculators)
+      .filter(([field]) => !(field in savedCalculators)));
+
+    const plants = archive.plants.filter(plant => !plantIds.has(plant.id));
+    const logs = [];
+    for (const plant of archive.plants) {
+      const logIds = plantIds.has(plant.id) ? await getExistingIds(getLogCollectionRef(plant.id)) : new Set();
+      (plant.logs || []).filter(entry => !logIds.has(entry.id)).forEach(entry => logs.push({ plantId: plant.id, ...entry }));
+    }
+
+    const tents = archive.tents.filter(tent => !tentIds.has(tent.id));
+    const archivedScenarios = archive.scenarios || [];
+    const archivedTasks = archive.tasks || [];
+    // Reading IDs are their time, so re-saving one just overwrites it with the same values
+    const readings = archive.tents.flatMap(tent => (tent.readings || []).map(reading => ({ tentId: tent.id, ...reading })));
+
+    const myUploadNames = [
+      ...myImages.docs.map(imageDoc => getUploadName(imageDoc.data().storagePath)),
+      ...queuedUploads.map(item => item.fileName.replace(/\.jpg$/, ''))
+    ];
+    const files = archive.files || {};
+    const photos = archive.galleryImages.filter(image => {
+      const uploadName = getUploadName(image.data.storagePath);
+      return files[image.data.storagePath]
+        && !myUploadNames.some(name => name === uploadName || name.endsWith(`-${uploadName}`));
+    });
+
+    // Restored posts get new IDs but keep their date, which is how a post
+    // that's already here is spotted. Posts a moderator hid stay in the file.
+    const myPostTimes = new Set(myPosts.docs.map(postDoc => postDoc.data().createdAt?.toMillis()));
+    const visiblePosts = archive.posts.filter(post => !post.data.hidden && post.data.createdAt);
+    const posts = visiblePosts
+      .filter(post => !myPostTimes.has(Date.parse(post.data.createdAt.$timestamp)))
+      .sort((a, b) => Date.parse(a.data.createdAt.$timestamp) - Date.parse(b.data.createdAt.$timestamp));
+    const isMissingFile = photo => !files[photo.path];
+
+    const counts = {
+      calculators: Object.keys(archivedCalculators).length,
+      plants: archive.plants.length,
+      logs: archive.plants.reduce((total, plant) => total + (plant.logs || []).length, 0),
+      feedCharts: archive.feedCharts.length,
+      tents: archive.tents.length,
+      scenarios: archivedScenarios.length,
+      tasks: archivedTasks.length,
+      galleryImages: archive.galleryImages.length,
+      galleryFiles: archive.galleryImages.filter(image => files[image.data.storagePath]).length,
+      posts: visiblePosts.length,
+      hiddenPosts: archive.posts.length - visiblePosts.length,
+      postPhotosMissing: posts.reduce((total, post) => total + (post.data.photos || []).filter(isMissingFile).length, 0)
+    };
+
+    return {
+      counts,
+      calculators,
+      plants,
+      logs,
+      feedCharts: archive.feedCharts.filter(chart => !feedChartIds.has(chart.id)),
+      tents,
+      readings,
+      scenarios: archivedScenarios.filter(scenario => !scenarioIds.has(scenario.id)),
+      tasks: archivedTasks.filter(task => !taskIds.has(task.id)),
+      photos,
+      posts
+    };
+  }
+
+  function isValidArchive(archive) {
+    return archive && archive.app === 'grohio' && archive.version === ARCHIVE_VERSION
+      && ['plants', 'feedCharts', 'tents', 'posts', 'galleryImages'].every(key => Array.isArray(archive[key]))
+      && archive.profile && typeof archive.profile === 'object';
+  }
+
+  importFileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Picking the same file again should still work
+    if (!file) return;
+    if (!currentUserId) {
+      setDataMessage('Error: You must be signed in to restore a backup.', 'error');
+      return;
+    }
+
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch (error) {
+      archive = null;
+    }
+    if (!isValidArchive(archive)) {
+      setDataMessage('Error: That isn\'t a GROHIO backup file (or it\'s from a newer version of the app).', 'error');
+      return;
+    }
+
+    try {
+      setDataMessage('Checking the backup against your account...', 'success', true);
+      pendingImport = { archive, plan: await buildImportPlan(archive) };
+      renderImportPreview();
+      dataMessage.classList.add('hidden');
+    } catch (error) {
+      console.error("Error reading backup: ", error);
+      setDataMessage('Error: Could not check the backup against your account.', 'error');
+    }
+  });
+
+  function renderImportPreview() {
+    const { archive, plan } = pendingImport;
+    const row = (label, total, adding, note = '') => `
+      <tr>
+        <td>${label}</td>
+        <td>${total}</td>
+        <td>${adding}</td>
+        <td class="text-gray-500">${total > adding ? `${total - adding} already here` : ''}${note}</td>
+      </tr>
+    `;
+    const sameAccount = archive.userId === currentUserId;
+
+    importPreview.innerHTML = `
+      <p class="text-sm mt-4">Backup from <strong>${escapeHTML(new Date(archive.exportedAt).toLocaleString())}</strong>${sameAccount ? ' (this account)' : ' (a different account)'}:</p>
+      <table class="import-preview-table">
+        <thead><tr><th>What</th><th>In Backup</th><th>Will Add</th><th></th></tr></thead>
+        <tbody>
+          ${row('Calculator values', plan.counts.calculators, Object.keys(plan.calculators).length)}
+          ${row('Plants', plan.counts.plants, plan.plants.length)}
+          ${row('Grow log entries', plan.counts.logs, plan.logs.length)}
+          ${row('Feed charts', plan.counts.feedCharts, plan.feedCharts.length)}
+          ${row('Tents', plan.counts.tents, plan.tents.length)}
+          ${row('Calculator scenarios', plan.counts.scenarios, plan.scenarios.length, plan.scenarios.some(scenario => scenario.data.shareId) ? ' (share links aren\'t restored)' : '')}
+          ${row('Tasks', plan.counts.tasks, plan.tasks.length)}
+          ${row('Sensor readings', plan.readings.length, plan.readings.length, 'Matched by time, never doubled up')}
+          ${row('Gallery photos', plan.counts.galleryImages, plan.photos.length, plan.counts.galleryFiles < plan.counts.galleryImages ? ' (only photos with files in the backup can be re-posted)' : '')}
+          ${row('Community posts', plan.counts.posts, plan.posts.length, [
+            plan.posts.length ? ` (re-posted with their original dates, one a minute, without comments or reactions)` : '',
+            plan.counts.postPhotosMissing ? ` (${plan.counts.postPhotosMissing} photo(s) left off, their files aren't in the backup)` : '',
+            plan.counts.hiddenPosts ? ` (${plan.counts.hiddenPosts} hidden by a moderator, not re-posted)` : ''
+          ].join(''))}
+          ${row('Strains & strain results', (archive.strains || []).length + (archive.strainOutcomes || []).length, 0, 'Kept in the file, not re-posted')}
+        </tbody>
+      </table>
+      ${plan.photos.length ? `
+        <label class="text-sm text-gray-400 block mt-2">
+          <input type="checkbox" id="import-repost-photos" checked>
+          Re-post my ${plan.photos.length} gallery photo(s). They go up one at a time through the outbox and show as new in the gallery.
+        </label>
+      ` : ''}
+      ${archive.publicProfile && !sameAccount ? `<p class="text-sm text-gray-400 mt-2">Your handle (@${escapeHTML(archive.publicProfile.handle)}) isn't restored. Pick it again in Edit My Profile above (if it's still free).</p>` : ''}
+      <div class="flex gap-2 mt-4">
+        <button type="button" id="import-confirm-btn" class="gallery-upload-btn">Restore</button>
+        <button type="button" id="import-cancel-btn" class="plant-status-btn">Cancel</button>
+      </div>
+    `;
+    importPreview.classList.remove('hidden');
+  }
+
+  importPreview.addEventListener('click', async (e) => {
+    if (e.target.id === 'import-cancel-btn') {
+      pendingImport = null;
+      importPreview.classList.add('hidden');
+      return;
+    }
+    if (e.target.id !== 'import-confirm-btn' || !pendingImport) return;
+
+    const { archive, plan } = pendingImport;
+    const repostCheckbox = document.getElementById('import-repost-photos');
+    const repostPhotos = repostCheckbox ? repostCheckbox.checked : false;
+    e.target.disabled = true;
+
+    try {
+      await restoreArchive(archive, plan, repostPhotos);
+      pendingImport = null;
+      importPreview.classList.add('hidden');
+      loadSavedCalculatorData();
+      setDataMessage(repostPhotos
+        ? 'Backup restored! Your photos are in the outbox and will upload one at a time.'
+        : 'Backup restored!', 'success');
+      if (plan.posts.length) loadCommunityFeed();
+    } catch (error) {
+      console.error("Error restoring backup: ", error);
+      e.target.disabled = false;
+      setDataMessage('Error: The restore stopped part-way. Restoring the same file again is safe.', 'error');
+    }
+  });
+
+  // Runs writeOne(batch, item) for every item, DATA_BATCH_SIZE per batch
+  async function writeInBatches(items, writeOne, label) {
+    for (let i = 0; i < items.length; i += DATA_BATCH_SIZE) {
+      if (label) setDataMessage(`${label}... ${i} / ${items.length}`, 'success', true);
+      const batch = writeBatch(db);
+      items.slice(i, i + DATA_BATCH_SIZE).forEach(item => writeOne(batch, item));
+      await batch.commit();
+    }
+  }
+
+  async function restoreArchive(archive, plan, repostPhotos) {
+    if (Object.keys(plan.calculators).length) {
+      await setDoc(getUserProfileRef(), { calculators: fromArchiveValue(plan.calculators) }, { merge: true });
+    }
+
+    const plantsRef = getPlantsCollectionRef();
+    const feedChartsRef = getFeedChartsCollectionRef();
+    const tentsRef = getTentsCollectionRef();
+    const scenariosRef = getScenariosCollectionRef();
+    const tasksRef = getTasksCollectionRef();
+    const records = [
+      ...plan.plants.map(plant => ({ ref: doc(plantsRef, plant.id), data: plant.data })),
+      ...plan.feedCharts.map(chart => ({ ref: doc(feedChartsRef, chart.id), data: chart.data })),
+      ...plan.tents.map(tent => ({ ref: doc(tentsRef, tent.id), data: tent.data })),
+      // A share link belongs to the account that made it, so it has to be shared again
+      ...plan.scenarios.map(({ id, data: { shareId, ...data } }) => ({ ref: doc(scenariosRef, id), data })),
+      ...plan.tasks.map(task => ({ ref: doc(tasksRef, task.id), data: task.data })),
+      ...plan.logs.map(entry => ({ ref: doc(getLogCollectionRef(entry.plantId), entry.id), data: entry.data })),
+      ...plan.readings.map(reading => ({ ref: doc(getReadingsCollectionRef(reading.tentId), reading.id), data: reading.data }))
+    ];
+    await writeInBatches(records, (batch, record) => batch.set(record.ref, fromArchiveValue(record.data)), 'Restoring');
+
+    await restorePosts(archive, plan.posts);
+
+    if (!repostPhotos) return;
+    for (const image of plan.photos) {
+      const { storagePath, thumbPath, caption, strain, strainKey, week, stage } = image.data;
+      const [file, thumbnail] = await Promise.all([storagePath, thumbPath || storagePath].map(path =>
+        fetch(archive.files[path] || archive.files[storagePath]).then(response => response.blob())));
+      const details = Object.fromEntries(Object.entries({ caption, strain, strainKey, week, stage })
+        .filter(([, value]) => value !== undefined && value !== ''));
+      await outboxRequest('readwrite', store => store.add({
+        userId: currentUserId,
+        file,
+        thumbnail,
+        fileName: `${getUploadName(storagePath)}.jpg`,
+        details,
+        queuedAt: Date.now()
+      }));
+    }
+    flushGalleryOutbox();
+  }
+
+  // Posts go up one at a time like any other post (same rules and rate
+  // limit), but keep their original date. Their photos are uploaded again
+  // from the backup's files, and any without a file are left off.
+  async function restorePosts(archive, posts) {
+    for (const [index, post] of posts.entries()) {
+      const waitMs = getRateLimitWait('post');
+      if (waitMs > 0) {
+        setDataMessage(`Restoring posts... ${index} / ${posts.length} (next one in ${Math.ceil(waitMs / 1000)} seconds)`, 'success', true);
+        await new Promise(resolve => setTimeout(resolve, waitMs + 1000));
+      }
+      setDataMessage(`Restoring posts... ${index} / ${posts.length}`, 'success', true);
+
+      const { title, body, grow, photos = [], createdAt } = fromArchiveValue(post.data);
+      const photoFiles = await Promise.all(photos.filter(photo => archive.files && archive.files[photo.path])
+        .map(photo => fetch(archive.files[photo.path]).then(response => response.blob())));
+      const uploaded = photoFiles.length ? await uploadJournalPhotos(photoFiles) : [];
+
+      const restoredPost = { userId: currentUserId, title, body, hidden: false, createdAt, restoredAt: serverTimestamp() };
+      if (grow) restoredPost.grow = grow;
+      if (uploaded.length) restoredPost.photos = uploaded;
+      try {
+        const batch = writeBatch(db);
+        batch.set(doc(collection(db, 'journalPosts')), restoredPost);
+        stampRateLimit(batch, 'post');
+        await batch.commit();
+      } catch (error) {
+        await deleteJournalPhotos(uploaded);
+        throw error;
+      }
+    }
+  }
+
+  // --- Delete Account ---
+  deleteAccountConfirm.addEventListener('input', () => {
+    deleteAccountBtn.disabled = deleteAccountConfirm.value.trim() !== 'DELETE';
+  });
+
+  // Deletes every document in the query, DATA_BATCH_SIZE at a time
+  async function deleteAll(collectionRef) {
+    const snapshot = await getDocs(collectionRef);
+    await writeInBatches(snapshot.docs, (batch, docSnap) => batch.delete(docSnap.ref));
+    return snapshot.docs;
+  }
+
+  // A post hidden by a moderator can't be read, but it's still there
+  async function postExists(postRef) {
+    try {
+      return (await getDoc(postRef)).exists();
+    } catch (error) {
+      if (error.code !== 'permission-denied') throw error;
+      return true;
+    }
+  }
+
+  async function deleteMyData() {
+    const ownedBy = (collectionName) => query(collection(db, collectionName), where('userId', '==', currentUserId));
+
+    // Comments on other people's posts (and the counts on those posts)
+    // Uses the collection group index on comments.userId (firestore.indexes.json)
+    setDataMessage('Deleting your comments...', 'success', true);
+    const comments = await getDocs(query(collectionGroup(db, 'comments'), where('userId', '==', currentUserId)));
+    for (const commentDoc of comments.docs) {
+      const postRef = commentDoc.ref.parent.parent;
+      const batch = writeBatch(db);
+      batch.delete(commentDoc.ref);
+      // The rules only take the count down along with the comment, and
+      // there's no count to fix if the post is already gone
+      if (await postExists(postRef)) {
+        batch.update(postRef, { commentCount: increment(-1), lastCommentId: commentDoc.id });
+      }
+      await batch.commit();
+    }
+
+    setDataMessage('Deleting your posts and photos...', 'success', true);
+    const posts = await getDocs(ownedBy('journalPosts'));
+    for (const postDoc of posts.docs) {
+      await deletePostAndComments(postDoc.id);
+      await deleteJournalPhotos(postDoc.data().photos);
+    }
+    const images = await getDocs(ownedBy('gallery-images'));
+    for (const imageDoc of images.docs) {
+      await deleteGalleryImage(imageDoc.id);
+    }
+
+    // Results shared on strain pages (same index note as comments), and
+    // strains added to the library. Other growers' results on those stay.
+    setDataMessage('Deleting your strains and strain results...', 'success', true);
+    await deleteAll(query(collectionGroup(db, 'outcomes'), where('userId', '==', currentUserId)));
+    await deleteAll(ownedBy('strains'));
+
+    setDataMessage('Deleting your grow data...', 'success', true);
+    await deleteAll(ownedBy('sensorDevices'));
+    await deleteAll(ownedBy('sharedScenarios'));
+    await deleteAll(getScenariosCollectionRef());
+    await deleteAll(getTasksCollectionRef());
+    for (const plantDoc of await deleteAll(getPlantsCollectionRef())) {
+      await deleteAll(getLogCollectionRef(plantDoc.id));
+    }
+    for (const tentDoc of await deleteAll(getTentsCollectionRef())) {
+      await deleteAll(getReadingsCollectionRef(tentDoc.id));
+    }
+    await deleteAll(getFeedChartsCollectionRef());
+
+    // The handle can only be given up in the same batch as the public profile
+    const publicProfile = await getPublicProfile(currentUserId);
+    if (publicProfile && publicProfile.avatarUrl) {
+      await deleteObject(ref(storage, `avatars/${currentUserId}/avatar.jpg`)).catch(error => {
+        if (error.code !== 'storage/object-not-found') throw error;
+      });
+    }
+    // rateLimits/{uid} stays behind: the rules don't allow deleting it
+    const batch = writeBatch(db);
+    batch.delete(getPublicProfileRef(currentUserId));
+    if (publicProfile && publicProfile.handleKey) batch.delete(doc(db, 'handles', publicProfile.handleKey));
+    batch.delete(getUserProfileRef());
+    await batch.commit();
+    profileCache.delete(currentUserId);
+
+    // Photos waiting in this browser's outbox, and task reminders
+    await Promise.all(queuedUploads.map(item => outboxRequest('readwrite', store => store.delete(item.id))));
+    await refreshQueuedUploads();
+    await clearReminders(currentUserId);
+  }
+
+  deleteAccountBtn.addEventListener('click', async () => {
+    if (!currentUserId || deleteAccountConfirm.value.trim() !== 'DELETE') return;
+    if (!confirm('Last chance: delete your account and ALL of your data for good?')) return;
+
+    deleteAccountBtn.disabled = true;
+    try {
+      await deleteMyData();
+    } catch (error) {
+      console.error("Error deleting data: ", error);
+      deleteAccountBtn.disabled = false;
+      setDataMessage('Error: Some of your data couldn\'t be deleted. Try again, it picks up where it left off.', 'error');
+      return;
+    }
+
+    try {
+      await deleteUser(auth.currentUser);
+      deleteAccountConfirm.value = '';
+      signInAsGuest();
+      navigateTo(DEFAULT_SECTION);
+    } catch (error) {
+      console.error("Error deleting account: ", error);
+      deleteAccountBtn.disabled = false;
+      // Firebase only deletes accounts that signed in recently
+      setDataMessage(error.code === 'auth/requires-recent-login'
+        ? 'Your data is deleted. To remove the login itself, sign out, sign back in and press Delete again.'
+        : 'Error: Your data is deleted, but the account itself couldn\'t be. Try again.', 'error');
+    }
+  });
+
+  // Helper for data message. Progress messages stay up until replaced.
+  function setDataMessage(message, type, keepOpen = false) {
+    dataMessage.textContent = message;
+    dataMessage.className = `text-sm text-center md:col-span-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    dataMessage.classList.remove('hidden');
+    clearTimeout(dataMessageTimeout);
+    if (!keepOpen) dataMessageTimeout = setTimeout(() => dataMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Plant Count Tracker (Firestore) ---
+  // Each plant is saved as its own document in a private "plants"
+  // subcollection that lives right under the user's profile doc:
+  // user-profiles/{uid}/plants/{plantId}
+  const householdAdultsInput = document.getElementById('household-adults');
+  const plantCountOutput = document.getElementById('plant-count-output');
+  const plantForm = document.getElementById('plant-form');
+  const plantNameInput = document.getElementById('plant-name');
+  const plantStrainInput = document.getElementById('plant-strain');
+  const plantStartDateInput = document.getElementById('plant-start-date');
+  const plantStageInput = document.getElementById('plant-stage');
+  const plantMessage = document.getElementById('plant-message');
+  const plantList = document.getElementById('plant-list');
+
+  // Ohio limits (see the Legal section)
+  const PLANTS_PER_ADULT = 6;
+  const PLANTS_PER_HOUSEHOLD = 12;
+  const PLANT_SAFETY_BUFFER = 10;
+  const PLANT_STAGES = {
+    seedling: 'Seedling',
+    veg: 'Veg',
+    flower: 'Flower',
+    drying: 'Drying'
+  };
+
+  // Holds the latest snapshot of the user's plants so the counter
+  // can be re-drawn when the number of adults changes.
+  let registeredPlants = [];
+  let unsubscribePlants = null;
+
+  // Function to get a reference to the user's private plants subcollection
+  function getPlantsCollectionRef() {
+    if (!currentUserId) return null;
+    return collection(db, 'user-profiles', currentUserId, 'plants');
+  }
+
+  // A plant "counts" if it still has roots: active and not chopped for drying.
+  function plantCounts(plant) {
+    return plant.status === 'active' && plant.stage !== 'drying';
+  }
+
+  // The legal limit for this household: 6 per adult, never more than 12.
+  function getHouseholdPlantLimit() {
+    const adults = Math.max(1, parseInt(householdAdultsInput.value, 10) || 1);
+    return Math.min(adults * PLANTS_PER_ADULT, PLANTS_PER_HOUSEHOLD);
+  }
+
+  function updatePlantCounter() {
+    if (!householdAdultsInput || !plantCountOutput) return;
+    const adults = Math.max(1, parseInt(householdAdultsInput.value, 10) || 1);
+    const limit = getHouseholdPlantLimit();
+    const counted = registeredPlants.filter(plantCounts).length;
+
+    let countText = `${counted} / ${limit} plants (${adults} adult${adults === 1 ? '' : 's'})`;
+    let colorClass = 'calc-output-green';
+
+    if (counted > limit) {
+      countText += ' (OVER THE LIMIT - Cull Now!)';
+      colorClass = 'calc-output-red';
+    } else if (counted === limit) {
+      countText += ' (At Your Limit - No New Plants)';
+      colorClass = 'calc-output-red';
+    } else if (counted >= PLANT_SAFETY_BUFFER) {
+      countText += ' (Past the 10-Plant Safety Buffer)';
+      colorClass = 'calc-output-warning';
+    }
+
+    plantCountOutput.textContent = countText;
+    plantCountOutput.className = `calc-output flex items-center justify-center ${colorClass}`;
+  }
+
+  // Load and listen for the user's plants
+  function loadPlantRegistry() {
+    const plantsRef = getPlantsCollectionRef();
+    if (!plantsRef || !plantList) return;
+
+    // Only keep one listener alive if auth state fires more than once
+    if (unsubscribePlants) unsubscribePlants();
+
+    const q = query(plantsRef, orderBy('startDate', 'asc'));
+    unsubscribePlants = onSnapshot(q, (querySnapshot) => {
+      registeredPlants = [];
+      querySnapshot.forEach((plantDoc) => {
+        registeredPlants.push({ id: plantDoc.id, ...plantDoc.data() });
+      });
+      renderPlantList();
+      updatePlantCounter();
+      updateLogPlantOptions();
+      updateDiagnosePlantOptions();
+      renderHarvestTracker();
+      renderStrainPlants();
+      updateReminders(); // Reminders show the plant's name
+    }, (error) => {
+      console.error("Error loading plants: ", error);
+      plantList.innerHTML = '<p class="text-center text-red-500 italic">Error loading your plants.</p>';
+    });
+  }
+
+  function renderPlantList() {
+    if (registeredPlants.length === 0) {
+      plantList.innerHTML = '<p class="text-center text-gray-600 italic">No plants registered yet.</p>';
+      return;
+    }
+
+    plantList.innerHTML = '';
+    registeredPlants.forEach((plant) => {
+      const isCulled = plant.status !== 'active';
+      const plantElement = document.createElement('div');
+      plantElement.className = `plant-row${isCulled ? ' plant-row-culled' : ''}`;
+      plantElement.dataset.plantId = plant.id;
+
+      const stageOptions = Object.entries(PLANT_STAGES).map(([value, label]) =>
+        `<option value="${value}"${plant.stage === value ? ' selected' : ''}>${label}</option>`
+      ).join('');
+
+      plantElement.innerHTML = `
+        <div>
+          <p class="font-bold text-white">${escapeHTML(plant.name)}</p>
+          <p class="text-xs text-gray-500">${plant.strainKey ? `<a href="#/genetics/strain/${encodeURIComponent(plant.strainKey)}" class="route-link">${escapeHTML(plant.strain)}</a> &middot; ` : ''}Started ${escapeHTML(plant.startDate)}${plantCounts(plant) ? '' : ' &middot; Not counted'}</p>
+        </div>
+        <select class="calc-input plant-stage-select" aria-label="Stage for ${escapeHTML(plant.name)}" ${isCulled ? 'disabled' : ''}>
+          ${stageOptions}
+        </select>
+        <button type="button" class="plant-status-btn plant-log-btn">Log</button>
+        <button type="button" class="plant-status-btn">${isCulled ? 'Restore' : 'Cull'}</button>
+      `;
+      plantList.appendChild(plantElement);
+    });
+  }
+
+  // Handle new plant submission
+  plantForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const plantsRef = getPlantsCollectionRef();
+    if (!plantsRef) {
+      setPlantMessage('Error: You must be signed in to track plants.', 'error');
+      return;
+    }
+
+    const name = plantNameInput.value.trim();
+    const strain = plantStrainInput.value.trim();
+    const startDate = plantStartDateInput.value;
+    const stage = plantStageInput.value;
+
+    if (!name || !startDate) {
+      setPlantMessage('Error: Name and start date are required.', 'error');
+      return;
+    }
+    if (strain.length > 60) {
+      setPlantMessage('Error: Strain is too long (max 60 characters).', 'error');
+      return;
+    }
+
+    // Block the entry if this plant would put the household over its limit
+    const counted = registeredPlants.filter(plantCounts).length;
+    if (stage !== 'drying' && counted >= getHouseholdPlantLimit()) {
+      setPlantMessage(`Error: You're already at your ${getHouseholdPlantLimit()}-plant limit. Cull or harvest a plant first.`, 'error');
+      return;
+    }
+
+    try {
+      const plant = {
+        name: name,
+        startDate: startDate,
+        stage: stage,
+        status: 'active',
+        createdAt: serverTimestamp()
+      };
+      // The strain links the plant to its Strain Library page
+      if (strain) {
+        plant.strain = strain;
+        plant.strainKey = getStrainKey(strain);
+      }
+      await addDoc(plantsRef, plant);
+
+      plantNameInput.value = '';
+      if (counted + 1 >= PLANT_SAFETY_BUFFER) {
+        setPlantMessage('Plant added. Heads up: you are past the 10-plant safety buffer.', 'error');
+      } else {
+        setPlantMessage('Plant added!', 'success');
+      }
+    } catch (error) {
+      console.error('Error adding plant: ', error);
+      setPlantMessage('Error: Could not add plant.', 'error');
+    }
+  });
+
+  // Stage changes and cull/restore buttons (event delegation on the list)
+  plantList.addEventListener('change', async (e) => {
+    if (!e.target.classList.contains('plant-stage-select')) return;
+    const plantId = e.target.closest('.plant-row').dataset.plantId;
+    const plant = registeredPlants.find(p => p.id === plantId);
+    if (!plant) return;
+
+    // Moving a drying plant back to a growing stage makes it count again
+    const movedPlant = { ...plant, stage: e.target.value };
+    if (!plantCounts(plant) && plantCounts(movedPlant) &&
+        registeredPlants.filter(plantCounts).length >= getHouseholdPlantLimit()) {
+      e.target.value = plant.stage;
+      setPlantMessage('Error: Moving this plant out of drying would put you over your limit.', 'error');
+      return;
+    }
+
+    try {
+      await updateDoc(doc(getPlantsCollectionRef(), plantId), { stage: e.target.value });
+    } catch (error) {
+      console.error('Error updating plant stage: ', error);
+      setPlantMessage('Error: Could not update plant.', 'error');
+    }
+  });
+
+  plantList.addEventListener('click', async (e) => {
+    if (!e.target.classList.contains('plant-status-btn')) return;
+    const plantId = e.target.closest('.plant-row').dataset.plantId;
+
+    // "Log" jumps to this plant's private grow log
+    if (e.target.classList.contains('plant-log-btn')) {
+      openGrowLog(plantId);
+      return;
+    }
+
+    const plant = registeredPlants.find(p => p.id === plantId);
+    if (!plant) return;
+
+    const restoring = plant.status !== 'active';
+    // Restoring a culled plant is just like adding one, so check the limit
+    if (restoring && plant.stage !== 'drying' &&
+        registeredPlants.filter(plantCounts).length >= getHouseholdPlantLimit()) {
+      setPlantMessage('Error: Restoring this plant would put you over your limit.', 'error');
+      return;
+    }
+
+    try {
+      await updateDoc(doc(getPlantsCollectionRef(), plantId), {
+        status: restoring ? 'active' : 'culled'
+      });
+    } catch (error) {
+      console.error('Error updating plant status: ', error);
+      setPlantMessage('Error: Could not update plant.', 'error');
+    }
+  });
+
+  // Helper for plant tracker message
+  function setPlantMessage(message, type) {
+    plantMessage.textContent = message;
+    plantMessage.className = `text-sm text-center md:col-span-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    plantMessage.classList.remove('hidden');
+    setTimeout(() => plantMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Private Grow Log (Firestore) ---
+  // Log entries live under each plant, so they stay just as private:
+  // user-profiles/{uid}/plants/{plantId}/logs/{entryId}
+  const logPlantSelect = document.getElementById('log-plant-select');
+  const logForm = document.getElementById('log-form');
+  const logTypeInput = document.getElementById('log-type');
+  const logTimestampInput = document.getElementById('log-timestamp');
+  const logVolumeInput = document.getElementById('log-volume');
+  const logPhInput = document.getElementById('log-ph');
+  const logEcInput = document.getElementById('log-ec');
+  const logPpmInput = document.getElementById('log-ppm');
+  const logNoteInput = document.getElementById('log-note');
+  const logUseConverterBtn = document.getElementById('log-use-converter-btn');
+  const logMessage = document.getElementById('log-message');
+  const logTimeline = document.getElementById('log-timeline');
+  const logPhChart = document.getElementById('log-ph-chart');
+  const logEcChart = document.getElementById('log-ec-chart');
+
+  // Which numeric fields make sense for each entry type
+  const LOG_ENTRY_TYPES = {
+    water: { label: '💧 Water', fields: ['volume', 'ph'] },
+    feed: { label: '🧪 Feed', fields: ['volume', 'ph', 'ec', 'ppm'] },
+    ph: { label: '⚗️ pH Reading', fields: ['ph'] },
+    ec: { label: '⚡ EC / PPM Reading', fields: ['ec', 'ppm'] },
+    training: { label: '🪢 Training', fields: [] },
+    defoliation: { label: '✂️ Defoliation', fields: [] },
+    note: { label: '📝 Note', fields: [] },
+    diagnosis: { label: '🩺 Diagnosis', fields: ['ph'] }, // Saved from the Problem Hub's symptom checker
+    // Saved by the Harvest, Dry & Cure tracker
+    harvest: { label: '✂️ Harvest', fields: ['weight'] },
+    dry: { label: '🌬️ Dry Check', fields: ['weight', 'tempC', 'rh'] },
+    jar: { label: '🫙 Jarred', fields: ['weight'] },
+    burp: { label: '🫙 Burp', fields: ['rh'] },
+    task: { label: '✅ Task Done', fields: [] } // Saved when a scheduled task is marked done
+  };
+
+  let unsubscribeLog = null;
+
+  function getLogCollectionRef(plantId) {
+    if (!currentUserId || !plantId) return null;
+    return collection(db, 'user-profiles', currentUserId, 'plants', plantId, 'logs');
+  }
+
+  // Keep the plant picker in sync with the plant tracker
+  function updateLogPlantOptions() {
+    if (!logPlantSelect) return;
+    const selectedId = logPlantSelect.value;
+
+    if (registeredPlants.length === 0) {
+      logPlantSelect.innerHTML = '<option value="">No plants registered yet</option>';
+    } else {
+      logPlantSelect.innerHTML = registeredPlants.map(plant =>
+        `<option value="${escapeHTML(plant.id)}">${escapeHTML(plant.name)}${plant.status === 'active' ? '' : ' (culled)'}</option>`
+      ).join('');
+    }
+
+    // Keep the same plant selected, otherwise fall back to the first one
+    if (registeredPlants.some(plant => plant.id === selectedId)) {
+      logPlantSelect.value = selectedId;
+    } else {
+      loadGrowLog(logPlantSelect.value);
+    }
+  }
+
+  function openGrowLog(plantId) {
+    navigateTo('grow-log');
+    logPlantSelect.value = plantId;
+    loadGrowLog(plantId);
+  }
+
+  // Show only the inputs that apply to the chosen entry type
+  function updateLogFields() {
+    const fields = LOG_ENTRY_TYPES[logTypeInput.value].fields;
+    logForm.querySelectorAll('[data-log-field]').forEach(field => {
+      field.classList.toggle('hidden', !fields.includes(field.dataset.logField));
+    });
+  }
+
+  // Default the timestamp to "right now" in the local timezone
+  function resetLogTimestamp() {
+    const now = new Date();
+    now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+    logTimestampInput.value = now.toISOString().slice(0, 16);
+  }
+
+  // Load and listen for the selected plant's log entries
+  function loadGrowLog(plantId) {
+    if (unsubscribeLog) {
+      unsubscribeLog();
+      unsubscribeLog = null;
+    }
+
+    renderHarvestTracker();
+    renderTaskList();
+
+    const logRef = getLogCollectionRef(plantId);
+    if (!logRef) {
+      logTimeline.innerHTML = '<p class="text-center text-gray-600 italic mt-8">Pick a plant to see its log.</p>';
+      renderLogChart(logPhChart, [], 'pH');
+      renderLogChart(logEcChart, [], 'EC');
+      return;
+    }
+
+    const q = query(logRef, orderBy('loggedAt', 'desc'));
+    unsubscribeLog = onSnapshot(q, (querySnapshot) => {
+      const entries = [];
+      querySnapshot.forEach((entryDoc) => {
+        entries.push(entryDoc.data());
+      });
+      renderLogTimeline(entries);
+
+      // Charts read oldest to newest
+      const chronological = entries.slice().reverse();
+      renderLogChart(logPhChart, chronological.filter(entry => typeof entry.ph === 'number').map(entry => entry.ph), 'pH');
+      renderLogChart(logEcChart, chronological.filter(entry => typeof entry.ec === 'number').map(entry => entry.ec), 'EC');
+    }, (error) => {
+      console.error("Error loading grow log: ", error);
+      logTimeline.innerHTML = '<p class="text-center text-red-500 italic mt-8">Error loading grow log.</p>';
+    });
+  }
+
+  function renderLogTimeline(entries) {
+    if (entries.length === 0) {
+      logTimeline.innerHTML = '<p class="text-center text-gray-600 italic mt-8">No entries yet. Log your first watering!</p>';
+      return;
+    }
+
+    logTimeline.innerHTML = '';
+    entries.forEach((entry) => {
+      const entryType = LOG_ENTRY_TYPES[entry.type] || LOG_ENTRY_TYPES.note;
+      const date = entry.loggedAt ? entry.loggedAt.toDate().toLocaleString() : 'Just now';
+
+      const values = [];
+      if (typeof entry.volume === 'number') values.push(`${entry.volume} L`);
+      if (typeof entry.ph === 'number') values.push(`pH ${entry.ph.toFixed(1)}`);
+      if (typeof entry.ec === 'number') values.push(`EC ${entry.ec.toFixed(2)}`);
+      if (typeof entry.ppm === 'number') values.push(`${entry.ppm.toFixed(0)} PPM${entry.ppmScale ? ` (${entry.ppmScale})` : ''}`);
+      if (typeof entry.weight === 'number') values.push(`${entry.weight} g`);
+      if (typeof entry.tempC === 'number') values.push(`${celsiusToFahrenheit(entry.tempC).toFixed(0)}°F / ${entry.tempC.toFixed(1)}°C`);
+      if (typeof entry.rh === 'number') values.push(`${entry.rh}% RH`);
+
+      const entryElement = document.createElement('div');
+      entryElement.className = 'log-entry';
+      entryElement.innerHTML = `
+        <div class="flex justify-between text-sm">
+          <span class="font-bold text-white">${entryType.label}</span>
+          <span class="text-gray-500">${date}</span>
+        </div>
+        ${values.length ? `<div class="log-entry-values">${values.map(value => `<span>${escapeHTML(value)}</span>`).join('')}</div>` : ''}
+        ${entry.note ? `<p class="text-sm mt-2 mb-0">${escapeHTML(entry.note)}</p>` : ''}
+      `;
+      logTimeline.appendChild(entryElement);
+    });
+  }
+
+  // Draw a tiny line chart (sparkline) as inline SVG. No chart library needed.
+  function renderLogChart(container, values, label) {
+    if (values.length === 0) {
+      container.innerHTML = `<p class="text-sm text-gray-600 italic">No ${label} readings yet.</p>`;
+      return;
+    }
+
+    const width = 300;
+    const height = 80;
+    const padding = 6;
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = (max - min) || 1; // Avoid dividing by zero on a flat line
+    const stepX = values.length > 1 ? (width - padding * 2) / (values.length - 1) : 0;
+
+    const points = values.map((value, i) => {
+      const x = values.length > 1 ? padding + i * stepX : width / 2;
+      const y = height - padding - ((value - min) / range) * (height - padding * 2);
+      return [x.toFixed(1), y.toFixed(1)];
+    });
+
+    container.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${label} over time">
+        <polyline points="${points.map(point => point.join(',')).join(' ')}"></polyline>
+        ${points.map(([x, y]) => `<circle cx="${x}" cy="${y}" r="3"></circle>`).join('')}
+      </svg>
+      <div class="grow-log-chart-range">
+        <span>Low: ${min}</span>
+        <span>Latest: ${values[values.length - 1]}</span>
+        <span>High: ${max}</span>
+      </div>
+    `;
+  }
+
+  // Handle new log entry submission
+  logForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const logRef = getLogCollectionRef(logPlantSelect.value);
+    if (!logRef) {
+      setLogMessage('Error: Pick a plant first.', 'error');
+      return;
+    }
+
+    const type = logTypeInput.value;
+    const loggedAt = logTimestampInput.value ? new Date(logTimestampInput.value) : new Date();
+    const entry = {
+      type: type,
+      loggedAt: loggedAt, // Firestore stores JS Dates as Timestamps
+      createdAt: serverTimestamp()
+    };
+
+    // Only save the numbers that belong to this entry type
+    const numericInputs = { volume: logVolumeInput, ph: logPhInput, ec: logEcInput, ppm: logPpmInput };
+    LOG_ENTRY_TYPES[type].fields.forEach(field => {
+      const value = parseFloat(numericInputs[field].value);
+      if (!isNaN(value)) entry[field] = value;
+    });
+    if (typeof entry.ppm === 'number' && logPpmInput.dataset.scale) {
+      entry.ppmScale = parseInt(logPpmInput.dataset.scale, 10);
+    }
+
+    const note = logNoteInput.value.trim();
+    if (note) entry.note = note;
+
+    const hasReading = LOG_ENTRY_TYPES[type].fields.some(field => field in entry);
+    if (!hasReading && !note) {
+      setLogMessage('Error: Add a reading or a note.', 'error');
+      return;
+    }
+
+    try {
+      await addDoc(logRef, entry);
+
+      // Clear the form and show success
+      [logVolumeInput, logPhInput, logEcInput, logPpmInput, logNoteInput].forEach(input => {
+        input.value = '';
+      });
+      delete logPpmInput.dataset.scale;
+      resetLogTimestamp();
+      setLogMessage('Log entry saved!', 'success');
+    } catch (error) {
+      console.error('Error adding log entry: ', error);
+      setLogMessage('Error: Could not save log entry.', 'error');
+    }
+  });
+
+  // Copy the current EC/PPM converter reading so it doesn't have to be retyped
+  logUseConverterBtn.addEventListener('click', () => {
+    const reading = calculatePPM();
+    if (!reading) {
+      setLogMessage('Error: Enter a reading in the converter on the Tools page first.', 'error');
+      return;
+    }
+    logEcInput.value = reading.ec.toFixed(2);
+    logPpmInput.value = reading.ppm.toFixed(0);
+    logPpmInput.dataset.scale = reading.scale;
+  });
+
+  // A typed PPM no longer matches the converter's scale
+  logPpmInput.addEventListener('input', () => {
+    delete logPpmInput.dataset.scale;
+  });
+
+  logPlantSelect.addEventListener('change', () => loadGrowLog(logPlantSelect.value));
+  logTypeInput.addEventListener('change', updateLogFields);
+
+  // Helper for grow log message
+  function setLogMessage(message, type) {
+    logMessage.textContent = message;
+    logMessage.className = `text-sm text-center md:col-span-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    logMessage.classList.remove('hidden');
+    setTimeout(() => logMessage.classList.add('hidden'), 4000);
+  }
+
+  updateLogFields();
+  resetLogTimestamp();
+
+  // --- Harvest, Dry & Cure Tracker ---
+  // Follows the plant picked in the grow log through three phases:
+  //   growing -> drying (after "Record Harvest") -> curing (after "Move to Jars")
+  // The summary lives on the plant document as a "harvest" map:
+  //   { harvestedOn, wetWeight, lastWeight, jarredOn, dryWeight, jarCount, lastBurpAt }
+  // and every reading is also a grow log entry, so it shows up in the timeline.
+  const harvestStatus = document.getElementById('harvest-status');
+  const harvestForm = document.getElementById('harvest-form');
+  const harvestDateInput = document.getElementById('harvest-date');
+  const harvestWetWeightInput = document.getElementById('harvest-wet-weight');
+  const dryCheckForm = document.getElementById('dry-check-form');
+  const dryWeightInput = document.getElementById('dry-weight');
+  const dryTempUnit = document.getElementById('dry-temp-unit');
+  const dryTempInput = document.getElementById('dry-temp');
+  const dryRhInput = document.getElementById('dry-rh');
+  const dryRoomOutput = document.getElementById('dry-room-output');
+  const dryProgressOutput = document.getElementById('dry-progress-output');
+  const jarDryWeightInput = document.getElementById('jar-dry-weight');
+  const jarCountInput = document.getElementById('jar-count');
+  const cureForm = document.getElementById('cure-form');
+  const cureRhInput = document.getElementById('cure-rh');
+  const cureOutput = document.getElementById('cure-output');
+  const burpReminders = document.getElementById('burp-reminders');
+  const harvestMessage = document.getElementById('harvest-message');
+
+  // The "60/60 rule", give or take. VPD is air-only (buds are at room temp).
+  const DRY_ROOM_TARGET = { minTempC: 15, maxTempC: 21, minRh: 55, maxRh: 65, minVpd: 0.6, maxVpd: 1.0 };
+  const DRY_WEIGHT_RATIO = 0.25; // Dry buds weigh about a quarter of their wet weight
+  const JAR_RH_TARGET = { min: 58, max: 65 };
+  const CURE_READY_DAYS = 14; // Smokable after 2 weeks...
+  const CURE_FULL_DAYS = 42; // ...and at its best after about 6
+  // Plants chopped this close together count as one harvest in the cost calculator
+  const HARVEST_RUN_DAYS = 14;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function getHarvestPhase(plant) {
+    if (!plant || !plant.harvest) return 'growing';
+    return plant.harvest.jarredOn ? 'curing' : 'drying';
+  }
+
+  function getSelectedHarvestPlant() {
+    return registeredPlants.find(plant => plant.id === logPlantSelect.value) || null;
+  }
+
+  // Whole days since a 'YYYY-MM-DD' date, counted in local time
+  function daysSince(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return Math.floor((Date.now() - new Date(year, month - 1, day).getTime()) / DAY_MS);
+  }
+
+  // Burp every day for the first 2 weeks, every 3 days until week 4, then weekly
+  function getBurpIntervalDays(daysInJars) {
+    if (daysInJars < 14) return 1;
+    if (daysInJars < 28) return 3;
+    return 7;
+  }
+
+  function getNextBurpDate(harvest) {
+    const [year, month, day] = harvest.jarredOn.split('-').map(Number);
+    const lastBurp = harvest.lastBurpAt ? harvest.lastBurpAt.toDate() : new Date(year, month - 1, day);
+    return new Date(lastBurp.getTime() + getBurpIntervalDays(daysSince(harvest.jarredOn)) * DAY_MS);
+  }
+
+  function renderHarvestTracker() {
+    if (!harvestStatus) return;
+    const plant = getSelectedHarvestPlant();
+    const phase = plant ? getHarvestPhase(plant) : null;
+
+    [harvestForm, dryCheckForm, cureForm].forEach(form => {
+      form.classList.toggle('hidden', form.dataset.harvestPhase !== phase);
+    });
+    renderBurpReminders();
+
+    if (!plant) {
+      harvestStatus.textContent = 'Pick a plant to track its harvest.';
+      return;
+    }
+
+    const harvest = plant.harvest;
+    if (phase === 'growing') {
+      harvestStatus.textContent = `${plant.name} is still growing. Record the harvest on the day you chop.`;
+      if (!harvestDateInput.value) harvestDateInput.value = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD
+    } else if (phase === 'drying') {
+      harvestStatus.textContent = `${plant.name}: drying, day ${daysSince(harvest.harvestedOn) + 1}. Wet weight ${harvest.wetWeight} g.`;
+      calculateDryRoom();
+    } else {
+      const daysInJars = daysSince(harvest.jarredOn);
+      const lost = (1 - harvest.dryWeight / harvest.wetWeight) * 100;
+      harvestStatus.textContent = `${plant.name}: curing, day ${daysInJars + 1} in ${harvest.jarCount} jar${harvest.jarCount === 1 ? '' : 's'}. Final dry weight ${harvest.dryWeight} g (${lost.toFixed(0)}% lost while drying).`;
+      renderCureStatus(harvest);
+    }
+  }
+
+  // Live check of the drying room (runs as the inputs are typed in)
+  function calculateDryRoom() {
+    if (!dryRoomOutput || !dryTempInput || !dryRhInput) return;
+    const temp = parseFloat(dryTempInput.value);
+    const rh = parseFloat(dryRhInput.value);
+
+    if (!isNaN(temp) && !isNaN(rh)) {
+      const tempC = dryTempUnit.value === 'F' ? fahrenheitToCelsius(temp) : temp;
+      const vpd = computeVPD(tempC, rh);
+      let status = 'In the sweet spot';
+      let colorClass = 'calc-output-green';
+
+      if (vpd < DRY_ROOM_TARGET.minVpd || rh > DRY_ROOM_TARGET.maxRh) {
+        status = 'Too damp - mold risk. Lower the RH or add gentle airflow';
+        colorClass = 'calc-output-blue';
+      } else if (vpd > DRY_ROOM_TARGET.maxVpd || rh < DRY_ROOM_TARGET.minRh) {
+        status = 'Drying too fast - buds turn harsh. Raise the RH';
+        colorClass = 'calc-output-red';
+      } else if (tempC < DRY_ROOM_TARGET.minTempC || tempC > DRY_ROOM_TARGET.maxTempC) {
+        status = 'RH is fine, but aim for 60-70°F';
+        colorClass = 'calc-output-warning';
+      }
+      dryRoomOutput.textContent = `${vpd.toFixed(2)} kPa: ${status}`;
+      dryRoomOutput.className = `calc-output flex items-center justify-center ${colorClass}`;
+    }
+
+    const plant = getSelectedHarvestPlant();
+    if (getHarvestPhase(plant) !== 'drying') return;
+    const wetWeight = plant.harvest.wetWeight;
+    const weight = parseFloat(dryWeightInput.value) || plant.harvest.lastWeight;
+    if (!weight) {
+      dryProgressOutput.textContent = `Expect about ${Math.round(wetWeight * DRY_WEIGHT_RATIO)} g when dry`;
+      return;
+    }
+    const lost = (1 - weight / wetWeight) * 100;
+    dryProgressOutput.textContent = `${lost.toFixed(0)}% lost (about ${Math.round(wetWeight * DRY_WEIGHT_RATIO)} g when dry)`;
+    dryProgressOutput.className = `calc-output flex items-center justify-center ${lost >= 70 ? 'calc-output-green' : ''}`;
+  }
+
+  function renderCureStatus(harvest) {
+    const daysInJars = daysSince(harvest.jarredOn);
+    const nextBurp = getNextBurpDate(harvest);
+    const isDue = nextBurp <= new Date();
+    const curedText = daysInJars >= CURE_FULL_DAYS ? 'Fully cured! Burp weekly to keep it fresh'
+      : daysInJars >= CURE_READY_DAYS ? `Ready to enjoy, best after ${CURE_FULL_DAYS / 7} weeks`
+      : `${CURE_READY_DAYS - daysInJars} more days until it's ready`;
+
+    cureOutput.textContent = `${isDue ? '🔔 Burp now!' : `Next burp: ${nextBurp.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}`} · ${curedText}`;
+    cureOutput.className = `calc-output flex items-center justify-center ${isDue ? 'calc-output-warning' : 'calc-output-green'}`;
+  }
+
+  // Every plant in jars that needs burping, shown at the top of the tracker
+  function renderBurpReminders() {
+    const due = registeredPlants.filter(plant =>
+      getHarvestPhase(plant) === 'curing' && getNextBurpDate(plant.harvest) <= new Date()
+    );
+    burpReminders.classList.toggle('hidden', due.length === 0);
+    burpReminders.innerHTML = due.length ? `
+      <div class="burp-reminder">
+        🔔 <strong>Time to burp:</strong>
+        ${due.map(plant => `<button type="button" class="plant-status-btn" data-burp-plant-id="${escapeHTML(plant.id)}">🫙 ${escapeHTML(plant.name)}</button>`).join(' ')}
+      </div>
+    ` : '';
+  }
+
+  burpReminders.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-burp-plant-id]');
+    if (!button) return;
+    logPlantSelect.value = button.dataset.burpPlantId;
+    loadGrowLog(logPlantSelect.value);
+    cureRhInput.focus();
+  });
+
+  // Updates the plant's harvest summary and adds the reading to its log
+  async function saveHarvestStep(plant, changes, logEntry) {
+    const batch = writeBatch(db);
+    if (Object.keys(changes).length) batch.update(doc(getPlantsCollectionRef(), plant.id), changes);
+    batch.set(doc(getLogCollectionRef(plant.id)), {
+      ...logEntry,
+      loggedAt: new Date(),
+      createdAt: serverTimestamp()
+    });
+    await batch.commit();
+  }
+
+  harvestForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const plant = getSelectedHarvestPlant();
+    const wetWeight = parseFloat(harvestWetWeightInput.value);
+    if (!plant || !harvestDateInput.value || !(wetWeight > 0)) {
+      setHarvestMessage('Error: Enter the harvest date and wet weight.', 'error');
+      return;
+    }
+
+    try {
+      // A chopped plant moves to "Drying", so it stops counting toward the limit
+      await saveHarvestStep(plant, {
+        stage: 'drying',
+        harvest: { harvestedOn: harvestDateInput.value, wetWeight: wetWeight }
+      }, { type: 'harvest', weight: wetWeight });
+      harvestWetWeightInput.value = '';
+      setHarvestMessage('Harvest recorded! Hang it up and log a dry check every day or two.', 'success');
+    } catch (error) {
+      console.error('Error recording harvest: ', error);
+      setHarvestMessage('Error: Could not record harvest.', 'error');
+    }
+  });
+
+  dryCheckForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const plant = getSelectedHarvestPlant();
+    if (getHarvestPhase(plant) !== 'drying') return;
+
+    const weight = parseFloat(dryWeightInput.value);
+    const temp = parseFloat(dryTempInput.value);
+    const rh = parseFloat(dryRhInput.value);
+    const entry = { type: 'dry' };
+    const changes = {};
+    if (weight > 0) {
+      entry.weight = weight;
+      changes['harvest.lastWeight'] = weight;
+    }
+    if (!isNaN(temp)) entry.tempC = Math.round((dryTempUnit.value === 'F' ? fahrenheitToCelsius(temp) : temp) * 10) / 10;
+    if (!isNaN(rh)) entry.rh = rh;
+    if (Object.keys(entry).length === 1) {
+      setHarvestMessage('Error: Add a weight or a room reading.', 'error');
+      return;
+    }
+
+    try {
+      await saveHarvestStep(plant, changes, entry);
+      dryWeightInput.value = '';
+      setHarvestMessage('Dry check logged!', 'success');
+    } catch (error) {
+      console.error('Error logging dry check: ', error);
+      setHarvestMessage('Error: Could not log dry check.', 'error');
+    }
+  });
+
+  document.getElementById('jar-start-btn').addEventListener('click', async () => {
+    const plant = getSelectedHarvestPlant();
+    if (getHarvestPhase(plant) !== 'drying') return;
+
+    const dryWeight = parseFloat(jarDryWeightInput.value) || plant.harvest.lastWeight;
+    const jarCount = Math.max(1, parseInt(jarCountInput.value, 10) || 1);
+    if (!(dryWeight > 0)) {
+      setHarvestMessage('Error: Enter the final dry weight.', 'error');
+      return;
+    }
+
+    try {
+      await saveHarvestStep(plant, {
+        'harvest.jarredOn': new Date().toLocaleDateString('en-CA'),
+        'harvest.dryWeight': dryWeight,
+        'harvest.jarCount': jarCount
+      }, { type: 'jar', weight: dryWeight });
+      jarDryWeightInput.value = '';
+      const runTotal = useHarvestInCostCalculator({ ...plant, harvest: { ...plant.harvest, dryWeight } });
+      setHarvestMessage(`In the jars! Cost Calculator yield set to ${runTotal} g. Burp daily for the first two weeks.`, 'success');
+    } catch (error) {
+      console.error('Error moving to jars: ', error);
+      setHarvestMessage('Error: Could not save.', 'error');
+    }
+  });
+
+  // Real yield beats a guess: plants chopped within two weeks of this one
+  // count as one harvest, and their total goes into the cost calculator
+  function useHarvestInCostCalculator(plant) {
+    const harvestedAt = new Date(plant.harvest.harvestedOn).getTime();
+    const runTotal = registeredPlants
+      .map(other => other.id === plant.id ? plant : other)
+      .filter(other => other.harvest && other.harvest.dryWeight
+        && Math.abs(new Date(other.harvest.harvestedOn).getTime() - harvestedAt) <= HARVEST_RUN_DAYS * DAY_MS)
+      .reduce((total, other) => total + other.harvest.dryWeight, 0);
+
+    const roundedTotal = Math.round(runTotal * 10) / 10;
+    costYieldGrams.value = roundedTotal;
+    debouncedSave(costYieldGrams.id, costYieldGrams.value);
+    calculateCost();
+    return roundedTotal;
+  }
+
+  cureForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const plant = getSelectedHarvestPlant();
+    if (getHarvestPhase(plant) !== 'curing') return;
+
+    const rh = parseFloat(cureRhInput.value);
+    const entry = { type: 'burp' };
+    if (!isNaN(rh)) entry.rh = rh;
+
+    try {
+      await saveHarvestStep(plant, { 'harvest.lastBurpAt': new Date() }, entry);
+      cureRhInput.value = '';
+      if (isNaN(rh)) {
+        setHarvestMessage('Burp logged!', 'success');
+      } else if (rh > JAR_RH_TARGET.max) {
+        setHarvestMessage(`Burp logged. ${rh}% is too wet: leave the lids off for an hour, or put the buds back on the rack for a day.`, 'error');
+      } else if (rh < JAR_RH_TARGET.min) {
+        setHarvestMessage(`Burp logged. ${rh}% is on the dry side: add a 62% humidity pack and burp less often.`, 'error');
+      } else {
+        setHarvestMessage(`Burp logged. ${rh}% is right where it should be!`, 'success');
+      }
+    } catch (error) {
+      console.error('Error logging burp: ', error);
+      setHarvestMessage('Error: Could not log burp.', 'error');
+    }
+  });
+
+  // Switching units converts the number already typed in (like the VPD calculator)
+  dryTempUnit.addEventListener('input', () => {
+    const temp = parseFloat(dryTempInput.value);
+    if (isNaN(temp)) return;
+    dryTempInput.value = (dryTempUnit.value === 'F' ? celsiusToFahrenheit(temp) : fahrenheitToCelsius(temp)).toFixed(1);
+    calculateDryRoom();
+  });
+
+  // These aren't autosaved, so runAllCalculations doesn't hear them
+  [dryWeightInput, dryTempInput, dryRhInput].forEach(input => input.addEventListener('input', calculateDryRoom));
+
+  // Helper for harvest message
+  function setHarvestMessage(message, type) {
+    harvestMessage.textContent = message;
+    harvestMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    harvestMessage.classList.remove('hidden');
+    setTimeout(() => harvestMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Grow Tasks & Reminders ---
+  // Each task is one doc under the user: user-profiles/{uid}/tasks/{taskId}
+  //   { plantId, title, type, dueAt, repeatDays, endsAt?, schedule?, doneAt?, createdAt }
+  // repeatDays 0 is a one-off. "Done" adds a grow log entry and moves a
+  // repeating task to its next date; a one-off (or one past endsAt) gets doneAt.
+  //
+  // Reminders are shown by the service worker (sw.js), so no push server is
+  // needed. The page copies every open task into the "grohio-reminders"
+  // IndexedDB database, and the worker shows the due ones when the page asks
+  // it to check, or on a periodic background sync while the app is closed.
+  // Done/Snooze taps on a notification are queued in the same database and
+  // saved to Firestore here, as soon as the app is open.
+  const taskNotifyBtn = document.getElementById('task-notify-btn');
+  const taskTestBtn = document.getElementById('task-test-btn');
+  const taskNotifyStatus = document.getElementById('task-notify-status');
+  const taskList = document.getElementById('task-list');
+  const taskTemplateSelect = document.getElementById('task-template');
+  const taskTemplateBtn = document.getElementById('task-template-btn');
+  const taskForm = document.getElementById('task-form');
+  const taskTitleInput = document.getElementById('task-title');
+  const taskTypeInput = document.getElementById('task-type');
+  const taskRepeatInput = document.getElementById('task-repeat');
+  const taskDueInput = document.getElementById('task-due');
+  const taskMessage = document.getElementById('task-message');
+
+  // KEEP THESE IN SYNC with sw.js (and tools/notification-harness.html)
+  const REMINDERS_DB_NAME = 'grohio-reminders';
+  const REMINDER_STORE = 'reminders'; // { taskId, userId, title, body, url, dueAt, notifiedAt? }
+  const REMINDER_ACTION_STORE = 'actions'; // { id, taskId, userId, action, dueAt, at, until? }
+  const REMINDER_SYNC_TAG = 'grohio-task-reminders';
+
+  const REMINDER_SYNC_INTERVAL_MS = 60 * 60 * 1000; // Browsers treat this as "no more often than"
+  const REMINDER_CHECK_MAX_MS = 60 * 60 * 1000; // Re-check at least hourly while the app is open
+  const TASK_REMINDER_HOUR = 9; // Schedule tasks are due at 9am
+  const TASK_TITLE_MAX = 80;
+  const TASK_REPEAT_MAX_DAYS = 60;
+  const TASK_SNOOZE_MS = { hour: 60 * 60 * 1000, day: DAY_MS };
+
+  // Tasks that match a grow log entry type are logged as that type
+  const TASK_TYPES = {
+    water: { label: '💧 Water', logType: 'water' },
+    feed: { label: '🧪 Feed', logType: 'feed' },
+    light: { label: '💡 Light Change', logType: 'task' },
+    training: { label: '🪢 Training', logType: 'training' },
+    check: { label: '🔍 Check', logType: 'task' },
+    other: { label: '📝 Other', logType: 'task' }
+  };
+
+  // Built from "Chapter 3: Your First Grow" in the Indoor Guide. Days count
+  // from the plant's start date (the day the seed went in the paper towel).
+  //   { day, type, title, every?, until? }  (every and until are in days)
+  const TASK_SCHEDULES = {
+    photo: [
+      { day: 1, every: 1, until: 5, type: 'check', title: 'Check the seed for a 1/4" taproot' },
+      { day: 5, type: 'other', title: 'Plant the seed root down, 1/2" deep in a Solo cup' },
+      { day: 5, type: 'light', title: 'Light on, dimmed to 25-40% and 24-30" above the seedling' },
+      { day: 7, every: 2, until: 21, type: 'water', title: 'Water the seedling: a few tablespoons in a ring around it' },
+      { day: 21, type: 'light', title: 'Set the timer to 18/6 and raise the dimmer to 50-75%' },
+      { day: 28, type: 'other', title: 'Transplant to the 5-gallon pot once the leaves reach the cup edges' },
+      { day: 28, every: 4, until: 56, type: 'water', title: 'Water if the pot feels light, until a little runs out' },
+      { day: 35, type: 'training', title: 'Start LST: gently bend the main stalk over' },
+      { day: 35, every: 7, until: 55, type: 'feed', title: 'Feed veg nutrients' },
+      { day: 56, type: 'light', title: 'THE FLIP: timer to 12/12, light to 100%, check for light leaks' },
+      { day: 56, every: 4, until: 126, type: 'water', title: 'Water if the pot feels light' },
+      { day: 56, every: 7, until: 119, type: 'feed', title: 'Feed bloom nutrients' },
+      { day: 63, type: 'check', title: 'Stretch check: raise the light if the tops are getting close' },
+      { day: 105, every: 3, until: 126, type: 'check', title: 'Check trichomes with a loupe: chop when milky with a few amber' }
+    ],
+    auto: [
+      { day: 1, every: 1, until: 5, type: 'check', title: 'Check the seed for a 1/4" taproot' },
+      { day: 5, type: 'other', title: 'Plant the seed root down, 1/2" deep in a Solo cup' },
+      { day: 5, type: 'light', title: 'Set the timer to 18/6 for the whole grow (autos never get flipped)' },
+      { day: 7, every: 2, until: 21, type: 'water', title: 'Water the seedling: a few tablespoons in a ring around it' },
+      { day: 21, type: 'other', title: 'Transplant to the final pot once the leaves reach the cup edges' },
+      { day: 21, every: 3, until: 77, type: 'water', title: 'Water if the pot feels light, until a little runs out' },
+      { day: 24, type: 'training', title: 'Gentle LST only: autos have no time to recover from topping' },
+      { day: 24, every: 7, until: 34, type: 'feed', title: 'Feed veg nutrients' },
+      { day: 35, type: 'check', title: 'Look for the first pistils: flowering starts on its own' },
+      { day: 35, every: 7, until: 70, type: 'feed', title: 'Feed bloom nutrients' },
+      { day: 63, every: 3, until: 84, type: 'check', title: 'Check trichomes with a loupe: chop when milky with a few amber' }
+    ]
+  };
+
+  let tasks = []; // { id, ...task doc }
+  let hasLoadedTasks = false; // Until then, an empty list doesn't mean "no tasks"
+  let unsubscribeTasks = null;
+  let reminderTimer = null;
+  let isFlushingTaskActions = false;
+
+  function getTasksCollectionRef() {
+    if (!currentUserId) return null;
+    return collection(db, 'user-profiles', currentUserId, 'tasks');
+  }
+
+  function openRemindersDB() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(REMINDERS_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(REMINDER_STORE, { keyPath: 'taskId' });
+        request.result.createObjectStore(REMINDER_ACTION_STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Like outboxRequest, for one of the reminder stores. The action may make
+  // several requests; the last one it returns is what this resolves with.
+  async function remindersRequest(storeName, mode, action) {
+    const remindersDB = await openRemindersDB();
+    return new Promise((resolve, reject) => {
+      const transaction = remindersDB.transaction(storeName, mode);
+      const request = action(transaction.objectStore(storeName));
+      transaction.oncomplete = () => {
+        remindersDB.close();
+        resolve(request ? request.result : undefined);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  function loadTasks() {
+    const tasksRef = getTasksCollectionRef();
+    if (!tasksRef) return;
+
+    // Only keep one listener alive if auth state fires more than once
+    if (unsubscribeTasks) unsubscribeTasks();
+    hasLoadedTasks = false;
+
+    unsubscribeTasks = onSnapshot(query(tasksRef, orderBy('dueAt', 'asc')), (querySnapshot) => {
+      tasks = querySnapshot.docs.map(taskDoc => ({ id: taskDoc.id, ...taskDoc.data() }));
+      hasLoadedTasks = true;
+      renderTaskList();
+      updateReminders();
+    }, (error) => {
+      console.error("Error loading tasks: ", error);
+      taskList.innerHTML = '<p class="text-center text-red-500 italic">Error loading your tasks.</p>';
+    });
+  }
+
+  function getOpenTasks() {
+    return tasks.filter(task => !task.doneAt);
+  }
+
+  function formatTaskDue(date) {
+    const time = date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return `Today, ${time}`;
+    return `${date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}, ${time}`;
+  }
+
+  function renderTaskList() {
+    if (!taskList) return;
+    const plantId = logPlantSelect.value;
+    if (!plantId) {
+      taskList.innerHTML = '<p class="text-center text-gray-600 italic">Pick a plant to see its tasks.</p>';
+      return;
+    }
+
+    const plantTasks = getOpenTasks().filter(task => task.plantId === plantId);
+    if (plantTasks.length === 0) {
+      taskList.innerHTML = '<p class="text-center text-gray-600 italic">No tasks for this plant yet. Add one below or load a schedule.</p>';
+      return;
+    }
+
+    const now = new Date();
+    taskList.innerHTML = plantTasks.map(task => {
+      const dueAt = task.dueAt.toDate();
+      const type = TASK_TYPES[task.type] || TASK_TYPES.other;
+      const repeat = task.repeatDays
+        ? ` &middot; Every ${task.repeatDays === 1 ? 'day' : `${task.repeatDays} days`}${task.endsAt ? ` until ${escapeHTML(task.endsAt.toDate().toLocaleDateString(undefined, { month: 'short', day: 'numeric' }))}` : ''}`
+        : '';
+      return `
+        <div class="task-row${dueAt <= now ? ' task-row-due' : ''}" data-task-id="${escapeHTML(task.id)}">
+          <div>
+            <p class="font-bold text-white mb-0">${escapeHTML(task.title)}</p>
+            <p class="text-xs text-gray-500 mb-0">${type.label} &middot; ${dueAt <= now ? '🔔 Due ' : ''}${escapeHTML(formatTaskDue(dueAt))}${repeat}</p>
+          </div>
+          <div class="flex flex-wrap gap-2">
+            <button type="button" class="plant-status-btn" data-task-action="done">✅ Done</button>
+            <button type="button" class="plant-status-btn" data-task-action="hour">+1 hr</button>
+            <button type="button" class="plant-status-btn" data-task-action="day">Tomorrow</button>
+            <button type="button" class="plant-status-btn" data-task-action="delete">Delete</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // A repeating task comes back repeatDays after it was done, at its usual time
+  function getNextDueDate(task, doneAt, dueAt) {
+    const next = new Date(doneAt);
+    next.setDate(next.getDate() + task.repeatDays);
+    next.setHours(dueAt.getHours(), dueAt.getMinutes(), 0, 0);
+    return next;
+  }
+
+  // Adds the task to the plant's grow log and moves it along. Resolves with
+  // the next due date, or null if the task is finished.
+  async function completeTask(task, doneAt = new Date(), dueAt = task.dueAt.toDate()) {
+    const nextDue = task.repeatDays ? getNextDueDate(task, doneAt, dueAt) : null;
+    const isFinished = !nextDue || (task.endsAt && nextDue > task.endsAt.toDate());
+    const batch = writeBatch(db);
+    batch.update(doc(getTasksCollectionRef(), task.id), isFinished ? { doneAt: doneAt } : { dueAt: nextDue });
+    batch.set(doc(getLogCollectionRef(task.plantId)), {
+      type: (TASK_TYPES[task.type] || TASK_TYPES.other).logType,
+      note: task.title,
+      loggedAt: doneAt,
+      createdAt: serverTimestamp()
+    });
+    await batch.commit();
+    return isFinished ? null : nextDue;
+  }
+
+  taskList.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-task-action]');
+    if (!button) return;
+    const task = tasks.find(t => t.id === button.closest('.task-row').dataset.taskId);
+    if (!task) return;
+    const action = button.dataset.taskAction;
+
+    button.disabled = true;
+    try {
+      if (action === 'done') {
+        const nextDue = await completeTask(task);
+        setTaskMessage(nextDue ? `Logged! Next one: ${formatTaskDue(nextDue)}.` : 'Logged! That task is finished.', 'success');
+      } else if (action === 'delete') {
+        await deleteDoc(doc(getTasksCollectionRef(), task.id));
+      } else {
+        await updateDoc(doc(getTasksCollectionRef(), task.id), { dueAt: new Date(Date.now() + TASK_SNOOZE_MS[action]) });
+      }
+    } catch (error) {
+      console.error('Error updating task: ', error);
+      setTaskMessage('Error: Could not update task.', 'error');
+      button.disabled = false;
+    }
+  });
+
+  // Default new tasks to tomorrow at the usual time, in the local timezone
+  function resetTaskDue() {
+    const due = new Date();
+    due.setDate(due.getDate() + 1);
+    due.setHours(TASK_REMINDER_HOUR, 0, 0, 0);
+    due.setMinutes(due.getMinutes() - due.getTimezoneOffset());
+    taskDueInput.value = due.toISOString().slice(0, 16);
+  }
+
+  taskForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const tasksRef = getTasksCollectionRef();
+    if (!tasksRef || !logPlantSelect.value) {
+      setTaskMessage('Error: Pick a plant first.', 'error');
+      return;
+    }
+
+    const title = taskTitleInput.value.trim();
+    const repeatDays = parseInt(taskRepeatInput.value, 10) || 0;
+    if (!title || !taskDueInput.value) {
+      setTaskMessage('Error: Enter the task and when it\'s first due.', 'error');
+      return;
+    }
+    if (title.length > TASK_TITLE_MAX) {
+      setTaskMessage(`Error: Task is too long (max ${TASK_TITLE_MAX} characters).`, 'error');
+      return;
+    }
+    if (repeatDays < 0 || repeatDays > TASK_REPEAT_MAX_DAYS) {
+      setTaskMessage(`Error: Repeat every 1-${TASK_REPEAT_MAX_DAYS} days, or leave it blank for a one-off.`, 'error');
+      return;
+    }
+
+    try {
+      await addDoc(tasksRef, {
+        plantId: logPlantSelect.value,
+        title: title,
+        type: taskTypeInput.value,
+        dueAt: new Date(taskDueInput.value),
+        repeatDays: repeatDays,
+        createdAt: serverTimestamp()
+      });
+      taskTitleInput.value = '';
+      taskRepeatInput.value = '';
+      resetTaskDue();
+      setTaskMessage('Task added!', 'success');
+    } catch (error) {
+      console.error('Error adding task: ', error);
+      setTaskMessage('Error: Could not add task.', 'error');
+    }
+  });
+
+  // Turns a schedule into tasks for this plant. Steps that are already
+  // behind it are skipped, and repeating ones start at their next date.
+  function getScheduleTasks(plant, scheduleId) {
+    const [year, month, day] = plant.startDate.split('-').map(Number);
+    const onDay = (days) => new Date(year, month - 1, day + days, TASK_REMINDER_HOUR);
+    const startOfToday = new Date();
+    startOfToday.setHours(0, 0, 0, 0);
+
+    return TASK_SCHEDULES[scheduleId].map(step => {
+      let dayNumber = step.day;
+      if (step.every) {
+        while (onDay(dayNumber) < startOfToday) dayNumber += step.every;
+        if (dayNumber > step.until) return null;
+      } else if (onDay(dayNumber) < startOfToday) {
+        return null;
+      }
+
+      const task = {
+        plantId: plant.id,
+        title: step.title,
+        type: step.type,
+        dueAt: onDay(dayNumber),
+        repeatDays: step.every || 0,
+        schedule: scheduleId,
+        createdAt: serverTimestamp()
+      };
+      if (step.every) task.endsAt = onDay(step.until);
+      return task;
+    }).filter(Boolean);
+  }
+
+  taskTemplateBtn.addEventListener('click', async () => {
+    const plant = registeredPlants.find(p => p.id === logPlantSelect.value);
+    const tasksRef = getTasksCollectionRef();
+    if (!plant || !tasksRef) {
+      setTaskMessage('Error: Pick a plant first.', 'error');
+      return;
+    }
+
+    const scheduleId = taskTemplateSelect.value;
+    const scheduleTasks = getScheduleTasks(plant, scheduleId);
+    if (scheduleTasks.length === 0) {
+      setTaskMessage(`Error: ${plant.name} is past the end of this schedule (it counts from the start date, ${plant.startDate}).`, 'error');
+      return;
+    }
+    const oldTasks = getOpenTasks().filter(task => task.plantId === plant.id && task.schedule === scheduleId);
+    if (oldTasks.length && !confirm(`${plant.name} already has this schedule. Replace its ${oldTasks.length} open task(s)?`)) return;
+
+    taskTemplateBtn.disabled = true;
+    try {
+      const batch = writeBatch(db);
+      oldTasks.forEach(task => batch.delete(doc(tasksRef, task.id)));
+      scheduleTasks.forEach(task => batch.set(doc(tasksRef), task));
+      await batch.commit();
+      setTaskMessage(`Added ${scheduleTasks.length} tasks for ${plant.name}. Turn on reminders so you don't miss one!`, 'success');
+    } catch (error) {
+      console.error('Error adding schedule: ', error);
+      setTaskMessage('Error: Could not add the schedule.', 'error');
+    } finally {
+      taskTemplateBtn.disabled = false;
+    }
+  });
+
+  // --- Reminders (Notifications via the Service Worker) ---
+  function canShowReminders() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+  }
+
+  // Periodic background sync lets the worker check for due tasks with the
+  // app closed. Only some browsers have it, and only for an installed app.
+  async function registerReminderSync() {
+    const registration = await navigator.serviceWorker.ready;
+    if (!('periodicSync' in registration)) return false;
+    try {
+      await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_INTERVAL_MS });
+      return true;
+    } catch (error) {
+      // Not installed, or the browser turned it down
+      return false;
+    }
+  }
+
+  function renderNotifyStatus(hasBackgroundSync) {
+    const permission = canShowReminders() ? Notification.permission : 'unsupported';
+    taskNotifyBtn.classList.toggle('hidden', permission === 'granted' || permission === 'unsupported');
+    taskTestBtn.classList.toggle('hidden', permission !== 'granted');
+    taskNotifyStatus.textContent = {
+      unsupported: 'This browser can\'t show reminders. Check the list above instead.',
+      denied: 'Notifications are blocked for this site. Allow them in your browser\'s site settings.',
+      default: '',
+      granted: hasBackgroundSync
+        ? '🔔 Reminders are on, even with GROHIO closed.'
+        : '🔔 Reminders are on while GROHIO is open in a tab. Installed apps in Chrome or Edge also get them while closed.'
+    }[permission];
+  }
+
+  async function initReminders() {
+    if (!canShowReminders() || Notification.permission !== 'granted') {
+      renderNotifyStatus(false);
+      return;
+    }
+    renderNotifyStatus(await registerReminderSync());
+  }
+
+  // Asks the worker to show anything that's due, then waits for the next one
+  async function checkReminders() {
+    clearTimeout(reminderTimer);
+    const now = Date.now();
+    const nextDue = Math.min(...getOpenTasks().map(task => task.dueAt.toMillis()).filter(dueAt => dueAt > now));
+    if (isFinite(nextDue)) {
+      reminderTimer = setTimeout(checkReminders, Math.min(nextDue - now, REMINDER_CHECK_MAX_MS));
+    }
+
+    if (!canShowReminders() || Notification.permission !== 'granted') return;
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.active) registration.active.postMessage({ type: 'check-reminders' });
+  }
+
+  // Copies this user's open tasks into IndexedDB for the worker. Skipped
+  // while notification taps are still waiting to be saved, so a snoozed
+  // reminder doesn't get its old time back; the next snapshot tries again.
+  async function syncReminders() {
+    const userId = currentUserId;
+    if (!userId) return;
+    const [saved, actions] = await Promise.all([
+      remindersRequest(REMINDER_STORE, 'readonly', store => store.getAll()),
+      remindersRequest(REMINDER_ACTION_STORE, 'readonly', store => store.getAll())
+    ]);
+    if (actions.some(action => action.userId === userId)) return;
+
+    const savedById = new Map(saved.map(reminder => [reminder.taskId, reminder]));
+    const reminders = getOpenTasks().map(task => {
+      const plant = registeredPlants.find(p => p.id === task.plantId);
+      const dueAt = task.dueAt.toMillis();
+      const previous = savedById.get(task.id);
+      return {
+        taskId: task.id,
+        userId,
+        title: `${(TASK_TYPES[task.type] || TASK_TYPES.other).label} · ${plant ? plant.name : 'Your plant'}`,
+        body: task.title,
+        url: './app.html#/grow-log/grow-tasks',
+        dueAt,
+        // Don't show the same reminder twice
+        notifiedAt: previous && previous.dueAt === dueAt ? previous.notifiedAt : null
+      };
+    });
+
+    await remindersRequest(REMINDER_STORE, 'readwrite', store => {
+      saved.filter(reminder => reminder.userId === userId).forEach(reminder => store.delete(reminder.taskId));
+      reminders.forEach(reminder => store.put(reminder));
+    });
+  }
+
+  async function updateReminders() {
+    // Before the first tasks snapshot (the plants one can come first), every
+    // queued tap would look out of date and every saved reminder finished
+    if (hasLoadedTasks) {
+      try {
+        await flushTaskActions();
+        await syncReminders();
+      } catch (error) {
+        console.error("Error updating reminders: ", error);
+      }
+    }
+    checkReminders();
+  }
+
+  // Saves the Done/Snooze taps the worker queued, oldest first. Taps on a
+  // reminder that's out of date (the task was done or moved since) are dropped.
+  async function flushTaskActions() {
+    if (!currentUserId || isFlushingTaskActions || !navigator.onLine) return;
+    isFlushingTaskActions = true;
+    try {
+      const actions = (await remindersRequest(REMINDER_ACTION_STORE, 'readonly', store => store.getAll()))
+        .filter(action => action.userId === currentUserId);
+      // Where each task is due, as the actions below move it along
+      const dueTimes = new Map(getOpenTasks().map(task => [task.id, task.dueAt.toMillis()]));
+
+      for (const action of actions) {
+        const task = tasks.find(t => t.id === action.taskId);
+        if (task && dueTimes.get(task.id) === action.dueAt) {
+          if (action.action === 'complete') {
+            const nextDue = await completeTask(task, new Date(action.at), new Date(action.dueAt));
+            dueTimes.set(task.id, nextDue ? nextDue.getTime() : null);
+          } else {
+            await updateDoc(doc(getTasksCollectionRef(), task.id), { dueAt: new Date(action.until) });
+            dueTimes.set(task.id, action.until);
+          }
+        }
+        await remindersRequest(REMINDER_ACTION_STORE, 'readwrite', store => store.delete(action.id));
+      }
+    } catch (error) {
+      // Leave whatever failed in the queue and try again next time
+      console.error("Error saving reminder actions: ", error);
+    } finally {
+      isFlushingTaskActions = false;
+    }
+  }
+
+  // Removes a user's reminders from this device (sign out, delete account)
+  async function clearReminders(userId) {
+    await Promise.all([REMINDER_STORE, REMINDER_ACTION_STORE].map(async (storeName) => {
+      const items = await remindersRequest(storeName, 'readonly', store => store.getAll());
+      await remindersRequest(storeName, 'readwrite', store => {
+        items.filter(item => item.userId === userId).forEach(item => store.delete(item[store.keyPath]));
+      });
+    }));
+  }
+
+  taskNotifyBtn.addEventListener('click', async () => {
+    if (!canShowReminders()) {
+      renderNotifyStatus(false);
+      return;
+    }
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      setTaskMessage('Error: Reminders need permission to show notifications.', 'error');
+      renderNotifyStatus(false);
+      return;
+    }
+    renderNotifyStatus(await registerReminderSync());
+    checkReminders();
+  });
+
+  // Goes through the same path as a real task: IndexedDB, then the worker
+  taskTestBtn.addEventListener('click', async () => {
+    if (!currentUserId) return;
+    try {
+      await remindersRequest(REMINDER_STORE, 'readwrite', store => store.put({
+        taskId: `test-${Date.now()}`,
+        userId: currentUserId,
+        title: '🔔 Test Reminder',
+        body: 'Reminders work! Done and Snooze don\'t do anything on this one.',
+        url: './app.html#/grow-log/grow-tasks',
+        dueAt: Date.now(),
+        notifiedAt: null
+      }));
+      await checkReminders();
+    } catch (error) {
+      console.error("Error sending test reminder: ", error);
+      setTaskMessage('Error: Could not send a test reminder.', 'error');
+    }
+  });
+
+  // The worker says a notification was tapped while the app is open
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'reminder-actions') updateReminders();
+    });
+  }
+  window.addEventListener('online', updateReminders);
+
+  // Helper for task message
+  function setTaskMessage(message, type) {
+    taskMessage.textContent = message;
+    taskMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    taskMessage.classList.remove('hidden');
+    setTimeout(() => taskMessage.classList.add('hidden'), 4000);
+  }
+
+  resetTaskDue();
+  initReminders();
+
+  // --- Problem Hub: Symptom Checker ---
+  // A three-step wizard (where, what it looks like, the grow right now)
+  // that scores every row in the Problem Hub tables and lists the best
+  // matches. Each cause is a row id, so the results link straight to the
+  // row (and its fixes) with #/pests/<row id>. A pH outside the medium's
+  // range always comes first, like the "check your pH first" rule says.
+  const diagnoseForm = document.getElementById('diagnose-form');
+  const diagnoseSteps = diagnoseForm.querySelectorAll('[data-diagnose-step]');
+  const diagnoseBackBtn = document.getElementById('diagnose-back-btn');
+  const diagnoseNextBtn = document.getElementById('diagnose-next-btn');
+  const diagnoseFormMessage = document.getElementById('diagnose-form-message');
+  const diagnosePhInput = document.getElementById('diagnose-ph');
+  const diagnoseMediumInput = document.getElementById('diagnose-medium');
+  const diagnoseStageInput = document.getElementById('diagnose-stage');
+  const diagnosePotInput = document.getElementById('diagnose-pot');
+  const diagnoseResults = document.getElementById('diagnose-results');
+  const diagnoseCauses = document.getElementById('diagnose-causes');
+  const diagnosePlantSelect = document.getElementById('diagnose-plant-select');
+  const diagnoseMessage = document.getElementById('diagnose-message');
+
+  // Must match the "Target pH Range" in the Problem Hub
+  const PH_RANGES = {
+    soil: { min: 6.0, max: 6.8 },
+    coco: { min: 5.5, max: 6.5 },
+    hydro: { min: 5.5, max: 6.5 }
+  };
+
+  // How strongly each answer points at each table row. Only causes that
+  // match where or what it looks like are listed; medium, stage and pot
+  // weight just break ties.
+  const DIAGNOSIS_RULES = [
+    { rowId: 'spider-mites', where: { undersides: 3, new: 1, old: 1, buds: 1 }, looks: { webbing: 4, speckles: 3, yellowing: 1 } },
+    { rowId: 'fungus-gnats', where: { soil: 4 }, looks: { bugs: 2, drooping: 1 }, mediums: { soil: 1, coco: 1 }, pot: { heavy: 1 } },
+    { rowId: 'aphids', where: { new: 2, undersides: 2 }, looks: { curling: 3, sticky: 3, bugs: 2 } },
+    { rowId: 'caterpillars', where: { buds: 4 }, looks: { bugs: 2, spots: 1 }, stages: { flower: 1 } },
+    { rowId: 'overwatering', where: { whole: 2 }, looks: { drooping: 3 }, pot: { heavy: 3 } },
+    { rowId: 'underwatering', where: { whole: 2 }, looks: { drooping: 2, crispy: 1 }, pot: { light: 3 } },
+    { rowId: 'nutrient-burn', where: { tips: 4, new: 1 }, looks: { crispy: 3, yellowing: 1 } },
+    { rowId: 'nitrogen-deficiency', where: { old: 4 }, looks: { yellowing: 3 }, stages: { flower: 1 } },
+    { rowId: 'cal-mag-deficiency', where: { new: 2, old: 1 }, looks: { spots: 3, yellowing: 1 }, mediums: { coco: 1 } }
+  ];
+  const MAX_DIAGNOSIS_RESULTS = 4;
+
+  let diagnoseStep = 1;
+  let lastDiagnosis = null; // { answers, causes } for saving/sharing
+
+  function showDiagnoseStep(step) {
+    diagnoseStep = step;
+    diagnoseSteps.forEach(stepElement => {
+      stepElement.classList.toggle('hidden', parseInt(stepElement.dataset.diagnoseStep, 10) !== step);
+    });
+    diagnoseBackBtn.classList.toggle('hidden', step === 1);
+    diagnoseNextBtn.innerHTML = step === diagnoseSteps.length ? 'See Likely Causes' : 'Next &rarr;';
+    diagnoseFormMessage.classList.add('hidden');
+  }
+
+  function getDiagnoseAnswers() {
+    const whereInput = diagnoseForm.querySelector('input[name="diagnose-where"]:checked');
+    const ph = parseFloat(diagnosePhInput.value);
+    return {
+      where: whereInput ? whereInput.value : '',
+      looks: Array.from(diagnoseForm.querySelectorAll('input[name="diagnose-looks"]:checked')).map(input => input.value),
+      ph: isNaN(ph) ? null : ph,
+      medium: diagnoseMediumInput.value,
+      stage: diagnoseStageInput.value,
+      pot: diagnosePotInput.value
+    };
+  }
+
+  // Text of a Problem Hub table row: { name, fix }. The fix comes from the
+  // table itself so the wizard never disagrees with it.
+  function getProblemRowText(rowId) {
+    const row = document.getElementById(rowId);
+    const cells = row.querySelectorAll('td');
+    const clean = (cell) => cell.textContent.replace(/\*\*/g, '').replace(/\s+/g, ' ').trim();
+    // Pest rows end with two "fix" columns, nutrient rows with one
+    const fixCells = Array.from(cells).slice(row.closest('table').querySelectorAll('th').length > 3 ? 3 : 2);
+    return { name: clean(cells[0]), fix: fixCells.map(clean).join(' ') };
+  }
+
+  // Returns the likely causes, best first: [{ rowId, name, fix, reason, score }]
+  function diagnose(answers) {
+    const causes = [];
+    const range = PH_RANGES[answers.medium];
+
+    if (answers.ph !== null && (answers.ph < range.min || answers.ph > range.max)) {
+      causes.push({
+        rowId: 'ph-lockout',
+        name: 'pH Lockout',
+        fix: `Your pH of ${answers.ph.toFixed(1)} is outside the ${range.min.toFixed(1)} - ${range.max.toFixed(1)} range for ${answers.medium}. Fix the pH first: most "deficiencies" disappear once the plant can eat again.`,
+        score: Infinity
+      });
+    }
+
+    DIAGNOSIS_RULES
+      .map(rule => {
+        const symptomScore = (rule.where[answers.where] || 0)
+          + answers.looks.reduce((total, look) => total + (rule.looks[look] || 0), 0);
+        if (symptomScore === 0) return null;
+        const score = symptomScore
+          + ((rule.mediums && rule.mediums[answers.medium]) || 0)
+          + ((rule.stages && rule.stages[answers.stage]) || 0)
+          + ((rule.pot && rule.pot[answers.pot]) || 0);
+        return { rowId: rule.rowId, ...getProblemRowText(rule.rowId), score };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_DIAGNOSIS_RESULTS)
+      .forEach(cause => causes.push(cause));
+
+    return causes;
+  }
+
+  function renderDiagnosis(answers, causes) {
+    if (causes.length === 0) {
+      diagnoseCauses.innerHTML = '<p class="text-gray-400 italic">Nothing in our tables matches those answers. Try picking fewer symptoms, or ask the community below.</p>';
+    } else {
+      const topScore = causes[0].score;
+      diagnoseCauses.innerHTML = causes.map((cause, index) => `
+        <div class="diagnose-cause${index === 0 ? ' diagnose-cause-top' : ''}">
+          <div class="flex justify-between items-center">
+            <a href="#/pests/${encodeURIComponent(cause.rowId)}" class="route-link font-bold">${index + 1}. ${escapeHTML(cause.name)}</a>
+            <span class="text-xs text-gray-500">${cause.score === topScore ? 'Most likely' : 'Possible'}</span>
+          </div>
+          <p class="text-sm mt-1 mb-0">${escapeHTML(cause.fix)}</p>
+        </div>
+      `).join('');
+    }
+
+    // Always remind them, even when pH looked fine (or wasn't entered)
+    if (answers.ph === null) {
+      diagnoseCauses.insertAdjacentHTML('afterbegin', '<p class="text-sm text-yellow-400">⚠️ No pH entered. Check it first: <a href="#/pests/ph-lockout" class="route-link">most problems are pH problems</a>.</p>');
+    }
+
+    diagnoseResults.classList.remove('hidden');
+    diagnoseResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  diagnoseForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const answers = getDiagnoseAnswers();
+
+    if (diagnoseStep === 1 && !answers.where) {
+      setDiagnoseFormMessage('Pick where you see the problem.');
+      return;
+    }
+    if (diagnoseStep === 2 && answers.looks.length === 0) {
+      setDiagnoseFormMessage('Pick at least one thing you see.');
+      return;
+    }
+    if (diagnoseStep < diagnoseSteps.length) {
+      showDiagnoseStep(diagnoseStep + 1);
+      return;
+    }
+
+    const causes = diagnose(answers);
+    lastDiagnosis = { answers, causes };
+    renderDiagnosis(answers, causes);
+  });
+
+  diagnoseBackBtn.addEventListener('click', () => showDiagnoseStep(diagnoseStep - 1));
+
+  document.getElementById('diagnose-restart-btn').addEventListener('click', () => {
+    diagnoseForm.reset();
+    diagnoseResults.classList.add('hidden');
+    lastDiagnosis = null;
+    showDiagnoseStep(1);
+    diagnoseForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  });
+
+  // A plain-text summary for the grow log
+  function getDiagnosisSummary({ answers, causes }) {
+    const where = diagnoseForm.querySelector(`input[name="diagnose-where"][value="${answers.where}"]`).parentElement.textContent.trim();
+    const looks = answers.looks.map(look =>
+      diagnoseForm.querySelector(`input[name="diagnose-looks"][value="${look}"]`).parentElement.textContent.trim()
+    );
+    const likely = causes.length ? causes.map(cause => cause.name).join(', ') : 'No match in the Problem Hub';
+    return {
+      where,
+      looks,
+      text: `Symptom checker: ${where}. Seeing: ${looks.join(', ')}. Likely: ${likely}.`
+    };
+  }
+
+  // Only plants still growing can be diagnosed
+  function updateDiagnosePlantOptions() {
+    const activePlants = registeredPlants.filter(plant => plant.status === 'active');
+    diagnosePlantSelect.innerHTML = activePlants.length
+      ? activePlants.map(plant => `<option value="${escapeHTML(plant.id)}">${escapeHTML(plant.name)}</option>`).join('')
+      : '<option value="">No plants registered yet</option>';
+  }
+
+  document.getElementById('diagnose-save-log-btn').addEventListener('click', async () => {
+    const logRef = getLogCollectionRef(diagnosePlantSelect.value);
+    if (!lastDiagnosis || !logRef) {
+      setDiagnoseMessage('Error: Register a plant in the Plant Tracker first.', 'error');
+      return;
+    }
+
+    const entry = {
+      type: 'diagnosis',
+      loggedAt: new Date(),
+      note: getDiagnosisSummary(lastDiagnosis).text,
+      createdAt: serverTimestamp()
+    };
+    if (lastDiagnosis.answers.ph !== null) entry.ph = lastDiagnosis.answers.ph;
+
+    try {
+      await addDoc(logRef, entry);
+      setDiagnoseMessage('Saved to your grow log!', 'success');
+    } catch (error) {
+      console.error('Error saving diagnosis: ', error);
+      setDiagnoseMessage('Error: Could not save to your grow log.', 'error');
+    }
+  });
+
+  // Fills in a community post (it isn't sent until they press Submit)
+  document.getElementById('diagnose-share-btn').addEventListener('click', () => {
+    if (!lastDiagnosis) return;
+    const { answers, causes } = lastDiagnosis;
+    const { where, looks } = getDiagnosisSummary(lastDiagnosis);
+    const appUrl = `${window.location.origin}${window.location.pathname}`;
+
+    const lines = [
+      '## What I\'m seeing',
+      `- **Where:** ${where}`,
+      `- **Looks like:** ${looks.join(', ')}`,
+      `- **pH:** ${answers.ph === null ? 'Not measured yet' : answers.ph.toFixed(1)}`,
+      `- **Pot:** ${answers.pot === 'heavy' ? 'Heavy (still wet)' : answers.pot === 'light' ? 'Light (bone dry)' : 'Not sure'}`,
+      '',
+      '## The symptom checker thinks',
+      ...(causes.length
+        ? causes.map((cause, index) => `${index + 1}. [${cause.name}](${appUrl}#/pests/${encodeURIComponent(cause.rowId)})`)
+        : ['Nothing in the Problem Hub matched.']),
+      '',
+      'Anyone seen this before?'
+    ];
+
+    journalTitleInput.value = `Help? ${causes.length ? `Looks like ${causes[0].name}` : 'Not sure what this is'}`;
+    journalBodyInput.value = lines.join('\n');
+    journalMediumInput.value = answers.medium;
+    navigateTo('community');
+    journalTitleInput.focus();
+  });
+
+  function setDiagnoseFormMessage(message) {
+    diagnoseFormMessage.textContent = message;
+    diagnoseFormMessage.classList.remove('hidden');
+  }
+
+  // Helper for diagnosis message
+  function setDiagnoseMessage(message, type) {
+    diagnoseMessage.textContent = message;
+    diagnoseMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    diagnoseMessage.classList.remove('hidden');
+    setTimeout(() => diagnoseMessage.classList.add('hidden'), 4000);
+  }
+
+  updateDiagnosePlantOptions();
+
+  // --- Sensor Data (CSV Import, Devices & History Charts) ---
+  // Readings are private and stored per tent:
+  //   user-profiles/{uid}/tents/{tentId}/readings/{epoch ms}
+  //   { recordedAt, tempC, rh, co2?, ppfd?, source: 'csv' | 'device', deviceToken? }
+  // Using the time as the document ID means importing the same CSV twice
+  // (or a device re-sending a reading) doesn't create duplicates.
+  //
+  // A Raspberry Pi posts straight to Firestore's REST API without signing in.
+  // It proves which user and tent it belongs to with a device token: a long
+  // random secret that is the ID of its sensorDevices/{token} document.
+  // firestore.rules only accepts a reading if that document exists and
+  // points at the same user and tent, and the reading is sent in a commit
+  // that also stamps the device (at most once every SENSOR_DEVICE_MIN_GAP_S).
+  // See tools/simulate-sensor.js and the README.
+  const sensorTentSelect = document.getElementById('sensor-tent-select');
+  const sensorNewTentName = document.getElementById('sensor-new-tent-name');
+  const sensorRangeSelect = document.getElementById('sensor-range');
+  const sensorStageSelect = document.getElementById('sensor-stage');
+  const sensorCsvTempUnit = document.getElementById('sensor-csv-temp-unit');
+  const sensorCsvInput = document.getElementById('sensor-csv-input');
+  const sensorMessage = document.getElementById('sensor-message');
+  const sensorSummary = document.getElementById('sensor-summary');
+  const sensorTempChart = document.getElementById('sensor-temp-chart');
+  const sensorRhChart = document.getElementById('sensor-rh-chart');
+  const sensorVpdChart = document.getElementById('sensor-vpd-chart');
+  const sensorFlags = document.getElementById('sensor-flags');
+  const sensorDeviceList = document.getElementById('sensor-device-list');
+  const sensorDeviceName = document.getElementById('sensor-device-name');
+  const sensorDeviceSetup = document.getElementById('sensor-device-setup');
+
+  const SENSOR_MAX_READINGS = 5000; // Per chart load, newest first
+  const SENSOR_CSV_MAX_ROWS = 20000;
+  const SENSOR_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+  const SENSOR_GAP_MS = 60 * 60 * 1000; // A longer gap breaks the chart line
+  const SENSOR_FLAG_MIN_MS = 15 * 60 * 1000; // Ignore blips shorter than this
+  const SENSOR_MAX_FLAGS = 10;
+  const SENSOR_DEVICE_MIN_GAP_S = 10; // Must match firestore.rules
+  const FIRESTORE_REST_URL = `https://firestore.googleapis.com/v1/projects/${firebaseConfig.projectId}/databases/(default)/documents`;
+
+  let sensorTents = [];
+  let sensorReadings = []; // Oldest first: { time, tempC, rh, vpd }
+  let unsubscribeSensorTents = null;
+  let unsubscribeSensorReadings = null;
+
+  function getTentsCollectionRef() {
+    if (!currentUserId) return null;
+    return collection(db, 'user-profiles', currentUserId, 'tents');
+  }
+
+  function getReadingsCollectionRef(tentId) {
+    if (!currentUserId || !tentId) return null;
+    return collection(db, 'user-profiles', currentUserId, 'tents', tentId, 'readings');
+  }
+
+  function loadSensorTents() {
+    const tentsRef = getTentsCollectionRef();
+    if (!tentsRef || !sensorTentSelect) return;
+
+    // Only keep one listener alive if auth state fires more than once
+    if (unsubscribeSensorTents) unsubscribeSensorTents();
+
+    unsubscribeSensorTents = onSnapshot(query(tentsRef, orderBy('createdAt', 'asc')), (querySnapshot) => {
+      sensorTents = querySnapshot.docs.map(tentDoc => ({ id: tentDoc.id, ...tentDoc.data() }));
+      const selectedId = sensorTentSelect.value;
+      sensorTentSelect.innerHTML = sensorTents.length
+        ? sensorTents.map(tent => `<option value="${escapeHTML(tent.id)}">${escapeHTML(tent.name)}</option>`).join('')
+        : '<option value="">No tents yet</option>';
+      if (sensorTents.some(tent => tent.id === selectedId)) {
+        sensorTentSelect.value = selectedId;
+      } else {
+        loadSensorReadings();
+      }
+      loadSensorDevices();
+    }, (error) => {
+      console.error("Error loading tents: ", error);
+    });
+  }
+
+  // Load and listen for the selected tent's readings, so a device's posts show up live
+  function loadSensorReadings() {
+    if (unsubscribeSensorReadings) {
+      unsubscribeSensorReadings();
+      unsubscribeSensorReadings = null;
+    }
+
+    const readingsRef = getReadingsCollectionRef(sensorTentSelect.value);
+    if (!readingsRef) {
+      sensorReadings = [];
+      renderSensorCharts();
+      return;
+    }
+
+    const since = new Date(Date.now() - parseInt(sensorRangeSelect.value, 10) * 24 * 60 * 60 * 1000);
+    const q = query(readingsRef, where('recordedAt', '>=', since), orderBy('recordedAt', 'desc'), limit(SENSOR_MAX_READINGS));
+    unsubscribeSensorReadings = onSnapshot(q, (querySnapshot) => {
+      sensorReadings = querySnapshot.docs
+        .map(readingDoc => {
+          const reading = readingDoc.data();
+          return {
+            time: reading.recordedAt.toMillis(),
+            tempC: reading.tempC,
+            rh: reading.rh,
+            vpd: computeVPD(reading.tempC, reading.rh)
+          };
+        })
+        .reverse();
+      renderSensorCharts();
+    }, (error) => {
+      console.error("Error loading sensor readings: ", error);
+      sensorSummary.innerHTML = '<p class="text-red-500 italic">Error loading sensor readings.</p>';
+    });
+  }
+
+  function renderSensorCharts() {
+    if (sensorReadings.length === 0) {
+      sensorSummary.textContent = sensorTents.length
+        ? 'No readings in this time range yet. Import a CSV or connect a device below.'
+        : 'Add a tent to get started.';
+      [sensorTempChart, sensorRhChart, sensorVpdChart].forEach(chart => { chart.innerHTML = ''; });
+      sensorFlags.innerHTML = '';
+      return;
+    }
+
+    const band = VPD_BANDS[sensorStageSelect.value];
+    const flags = findVpdFlags(sensorReadings, band);
+    const inRange = sensorReadings.filter(reading => reading.vpd >= band.min && reading.vpd <= band.max).length;
+    const latest = sensorReadings[sensorReadings.length - 1];
+
+    const countText = sensorReadings.length === SENSOR_MAX_READINGS ? `Latest ${SENSOR_MAX_READINGS} readings` : `${sensorReadings.length} readings`;
+    sensorSummary.textContent = `${countText} · VPD in range ${Math.round(inRange / sensorReadings.length * 100)}% of the time · Latest: ${celsiusToFahrenheit(latest.tempC).toFixed(1)}°F, ${latest.rh.toFixed(0)}% RH, ${latest.vpd.toFixed(2)} kPa (${new Date(latest.time).toLocaleString()})`;
+
+    renderSensorChart(sensorTempChart, sensorReadings.map(reading => ({ time: reading.time, value: celsiusToFahrenheit(reading.tempC) })), { decimals: 1 });
+    renderSensorChart(sensorRhChart, sensorReadings.map(reading => ({ time: reading.time, value: reading.rh })), { decimals: 0 });
+    renderSensorChart(sensorVpdChart, sensorReadings.map(reading => ({ time: reading.time, value: reading.vpd })), { decimals: 2, band, flags });
+
+    sensorFlags.innerHTML = flags.length ? `
+      <p class="font-bold text-white mb-1">⚠️ VPD out of range (${band.label.replace('Ideal for ', '')} target ${band.min}-${band.max} kPa):</p>
+      <ul class="sensor-flag-list">
+        ${flags.slice(-SENSOR_MAX_FLAGS).reverse().map(flag => `
+          <li>${new Date(flag.start).toLocaleString()} &ndash; ${new Date(flag.end).toLocaleTimeString()}:
+            ${flag.direction === 'low' ? '💧 too low (mold risk)' : '🔥 too high (stress)'}, worst ${flag.worst.toFixed(2)} kPa</li>
+        `).join('')}
+      </ul>
+    ` : '<p class="text-green-500 text-sm">✅ VPD stayed in range the whole time.</p>';
+  }
+
+  // Groups back-to-back out-of-range readings into periods:
+  // [{ start, end, direction: 'low' | 'high', worst }]
+  function findVpdFlags(readings, band) {
+    const flags = [];
+    let current = null;
+    readings.forEach(reading => {
+      const direction = reading.vpd < band.min ? 'low' : reading.vpd > band.max ? 'high' : null;
+      const continues = current && direction === current.direction && reading.time - current.end <= SENSOR_GAP_MS;
+      if (continues) {
+        current.end = reading.time;
+        current.worst = direction === 'low' ? Math.min(current.worst, reading.vpd) : Math.max(current.worst, reading.vpd);
+        return;
+      }
+      if (current) flags.push(current);
+      current = direction ? { start: reading.time, end: reading.time, direction, worst: reading.vpd } : null;
+    });
+    if (current) flags.push(current);
+    return flags.filter(flag => flag.end - flag.start >= SENSOR_FLAG_MIN_MS);
+  }
+
+  // A time-based line chart as inline SVG (like the grow log's sparklines).
+  // Optional: a shaded target band and shaded out-of-range periods.
+  function renderSensorChart(container, points, { decimals, band = null, flags = [] }) {
+    const width = 600;
+    const height = 120;
+    const padding = 6;
+    const values = points.map(point => point.value);
+    const min = Math.min(...values, band ? band.min : Infinity);
+    const max = Math.max(...values, band ? band.max : -Infinity);
+    const range = (max - min) || 1;
+    const startTime = points[0].time;
+    const timeRange = (points[points.length - 1].time - startTime) || 1;
+
+    const x = (time) => (padding + ((time - startTime) / timeRange) * (width - padding * 2)).toFixed(1);
+    const y = (value) => (height - padding - ((value - min) / range) * (height - padding * 2)).toFixed(1);
+
+    // Start a new line wherever the sensor went quiet for a while
+    const lines = [];
+    points.forEach((point, i) => {
+      if (i === 0 || point.time - points[i - 1].time > SENSOR_GAP_MS) lines.push([]);
+      lines[lines.length - 1].push(`${x(point.time)},${y(point.value)}`);
+    });
+
+    const bandRect = band
+      ? `<rect class="sensor-chart-band" x="0" width="${width}" y="${y(band.max)}" height="${(y(band.min) - y(band.max)).toFixed(1)}"></rect>`
+      : '';
+    const flagRects = flags.map(flag =>
+      `<rect class="sensor-chart-flag" x="${x(flag.start)}" width="${Math.max(2, x(flag.end) - x(flag.start)).toFixed(1)}" y="0" height="${height}"></rect>`
+    ).join('');
+
+    container.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img">
+        ${bandRect}${flagRects}
+        ${lines.map(line => `<polyline points="${line.join(' ')}"></polyline>`).join('')}
+      </svg>
+      <div class="grow-log-chart-range">
+        <span>${new Date(startTime).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+        <span>Low: ${Math.min(...values).toFixed(decimals)} &middot; High: ${Math.max(...values).toFixed(decimals)}</span>
+        <span>${new Date(points[points.length - 1].time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+      </div>
+    `;
+  }
+
+  document.getElementById('sensor-add-tent-btn').addEventListener('click', async () => {
+    const tentsRef = getTentsCollectionRef();
+    const name = sensorNewTentName.value.trim();
+    if (!tentsRef || !name) {
+      setSensorMessage('Error: Give the tent a name.', 'error');
+      return;
+    }
+    try {
+      const tentRef = await addDoc(tentsRef, { name: name.slice(0, 40), createdAt: serverTimestamp() });
+      sensorNewTentName.value = '';
+      sensorTentSelect.value = tentRef.id;
+      loadSensorReadings();
+    } catch (error) {
+      console.error('Error adding tent: ', error);
+      setSensorMessage('Error: Could not add tent.', 'error');
+    }
+  });
+
+  sensorTentSelect.addEventListener('change', loadSensorReadings);
+  sensorRangeSelect.addEventListener('change', loadSensorReadings);
+  sensorStageSelect.addEventListener('change', renderSensorCharts);
+
+  // --- CSV Import ---
+  // Splits one CSV line, keeping commas inside "quoted, values"
+  function parseCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && inQuotes && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if ((char === ',' || char === ';' || char === '\t') && !inQuotes) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  // Header names differ between brands, e.g. "Temperature(℉)", "Temp_C",
+  // "Relative_Humidity(%)", "RH", "CO2 (ppm)", "PAR"
+  const SENSOR_CSV_COLUMNS = {
+    time: /time|date/,
+    temp: /temp/,
+    rh: /humid|\brh\b/,
+    co2: /co2|co₂/,
+    ppfd: /ppfd|\bpar\b/
+  };
+
+  // Epoch seconds/milliseconds or a date string -> milliseconds
+  function parseSensorTime(value) {
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      const number = parseFloat(value);
+      return number < 1e12 ? number * 1000 : number;
+    }
+    // "2026-10-01 14:30:00" isn't valid everywhere without the "T"
+    return Date.parse(value.replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'));
+  }
+
+  function getCsvTempUnit(header, temps) {
+    if (sensorCsvTempUnit.value !== 'auto') return sensorCsvTempUnit.value;
+    if (/°f|℉|\(f\)|fahrenheit|_f\b/.test(header)) return 'F';
+    if (/°c|℃|\(c\)|celsius|_c\b/.test(header)) return 'C';
+    // No hint: room temperatures over 45 must be Fahrenheit
+    const sorted = temps.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)] > 45 ? 'F' : 'C';
+  }
+
+  // Returns { readings: [{ time, tempC, rh, co2?, ppfd? }], skipped } or { error }
+  function parseSensorCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return { error: 'Error: That CSV is empty.' };
+
+    const headers = parseCsvLine(lines[0]).map(header => header.toLowerCase());
+    const columns = {};
+    Object.entries(SENSOR_CSV_COLUMNS).forEach(([key, pattern]) => {
+      const index = headers.findIndex(header => pattern.test(header));
+      if (index !== -1) columns[key] = index;
+    });
+    if (columns.time === undefined || columns.temp === undefined || columns.rh === undefined) {
+      return { error: 'Error: Couldn\'t find time, temperature and humidity columns in the header row.' };
+    }
+
+    const rows = lines.slice(1).slice(-SENSOR_CSV_MAX_ROWS).map(parseCsvLine);
+    const tempUnit = getCsvTempUnit(headers[columns.temp], rows.map(row => parseFloat(row[columns.temp])).filter(value => !isNaN(value)));
+    const readings = [];
+    let skipped = 0;
+
+    rows.forEach(row => {
+      const time = parseSensorTime(row[columns.time] || '');
+      const temp = parseFloat(row[columns.temp]);
+      const rh = parseFloat(row[columns.rh]);
+      if (isNaN(time) || isNaN(temp) || isNaN(rh) || rh < 0 || rh > 100) {
+        skipped++;
+        return;
+      }
+      const reading = { time, tempC: tempUnit === 'F' ? fahrenheitToCelsius(temp) : temp, rh };
+      const co2 = parseFloat(row[columns.co2]);
+      const ppfd = parseFloat(row[columns.ppfd]);
+      if (!isNaN(co2)) reading.co2 = co2;
+      if (!isNaN(ppfd)) reading.ppfd = ppfd;
+      readings.push(reading);
+    });
+    return { readings, skipped, tempUnit };
+  }
+
+  sensorCsvInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Picking the same file again should still import
+    if (!file) return;
+    const readingsRef = getReadingsCollectionRef(sensorTentSelect.value);
+    if (!readingsRef) {
+      setSensorMessage('Error: Add or pick a tent first.', 'error');
+      return;
+    }
+
+    const { readings, skipped, tempUnit, error } = parseSensorCsv(await file.text());
+    if (error) {
+      setSensorMessage(error, 'error');
+      return;
+    }
+    if (readings.length === 0) {
+      setSensorMessage('Error: No readable rows in that CSV.', 'error');
+      return;
+    }
+
+    try {
+      for (let i = 0; i < readings.length; i += SENSOR_BATCH_SIZE) {
+        setSensorMessage(`Importing... ${i} / ${readings.length}`, 'success');
+        const batch = writeBatch(db);
+        readings.slice(i, i + SENSOR_BATCH_SIZE).forEach(({ time, ...values }) => {
+          batch.set(doc(readingsRef, String(Math.round(time))), {
+            ...values,
+            recordedAt: new Date(time),
+            source: 'csv'
+          });
+        });
+        await batch.commit();
+      }
+      setSensorMessage(`Imported ${readings.length} readings (temperatures read as °${tempUnit})${skipped ? `, skipped ${skipped} unreadable rows` : ''}.`, 'success');
+    } catch (importError) {
+      console.error('Error importing sensor CSV: ', importError);
+      setSensorMessage('Error: Import stopped part-way. Importing the same file again is safe.', 'error');
+    }
+  });
+
+  // --- Sensor Devices ---
+  async function loadSensorDevices() {
+    if (!currentUserId) return;
+    try {
+      const devices = await getDocs(query(collection(db, 'sensorDevices'), where('userId', '==', currentUserId)));
+      sensorDeviceList.innerHTML = devices.empty
+        ? '<p class="text-sm text-gray-600 italic">No devices yet.</p>'
+        : devices.docs.map(deviceDoc => {
+          const device = deviceDoc.data();
+          const tent = sensorTents.find(t => t.id === device.tentId);
+          return `
+            <div class="sensor-device" data-token="${escapeHTML(deviceDoc.id)}">
+              <span><strong>${escapeHTML(device.name)}</strong> &rarr; ${escapeHTML(tent ? tent.name : 'Deleted tent')}</span>
+              <span>
+                <button type="button" class="plant-status-btn" data-device-action="setup">Setup</button>
+                <button type="button" class="plant-status-btn" data-device-action="remove">Remove</button>
+              </span>
+            </div>
+          `;
+        }).join('');
+    } catch (error) {
+      console.error("Error loading sensor devices: ", error);
+    }
+  }
+
+  document.getElementById('sensor-add-device-btn').addEventListener('click', async () => {
+    const tentId = sensorTentSelect.value;
+    const name = sensorDeviceName.value.trim();
+    if (!currentUserId || !tentId || !name) {
+      setSensorMessage('Error: Pick a tent and name the device.', 'error');
+      return;
+    }
+
+    // 192 random bits: impossible to guess, and it's the only key the device needs
+    const tokenBytes = crypto.getRandomValues(new Uint8Array(24));
+    const token = Array.from(tokenBytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    try {
+      await setDoc(doc(db, 'sensorDevices', token), {
+        userId: currentUserId,
+        tentId: tentId,
+        name: name.slice(0, 40),
+        createdAt: serverTimestamp()
+      });
+      sensorDeviceName.value = '';
+      showDeviceSetup(token, tentId);
+      loadSensorDevices();
+    } catch (error) {
+      console.error('Error adding sensor device: ', error);
+      setSensorMessage('Error: Could not add device.', 'error');
+    }
+  });
+
+  sensorDeviceList.addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-device-action]');
+    if (!button) return;
+    const token = button.closest('.sensor-device').dataset.token;
+
+    if (button.dataset.deviceAction === 'setup') {
+      const deviceSnap = await getDoc(doc(db, 'sensorDevices', token));
+      if (deviceSnap.exists()) showDeviceSetup(token, deviceSnap.data().tentId);
+      return;
+    }
+
+    if (!confirm('Remove this device? It won\'t be able to send readings anymore (readings already sent are kept).')) return;
+    try {
+      await deleteDoc(doc(db, 'sensorDevices', token));
+      sensorDeviceSetup.classList.add('hidden');
+      loadSensorDevices();
+    } catch (error) {
+      console.error('Error removing sensor device: ', error);
+      setSensorMessage('Error: Could not remove device.', 'error');
+    }
+  });
+
+  // Everything the device's script needs, ready to copy
+  function showDeviceSetup(token, tentId) {
+    const endpoint = `${FIRESTORE_REST_URL}/user-profiles/${currentUserId}/tents/${tentId}/readings`;
+    const command = `node tools/simulate-sensor.js --endpoint "${endpoint}" --key ${firebaseConfig.apiKey} --token ${token}`;
+    sensorDeviceSetup.innerHTML = `
+      <p class="text-sm mt-4"><strong>Keep the token secret</strong>, anyone with it can send readings to this tent. Remove the device to cancel it.</p>
+      <label class="block text-gray-400 text-sm">Device token</label>
+      <input type="text" readonly class="calc-input w-full sensor-setup-field" value="${escapeHTML(token)}">
+      <label class="block text-gray-400 text-sm mt-2">Readings path (POST each reading to <code>documents:commit?key=${escapeHTML(firebaseConfig.apiKey)}</code> together with the device stamp, at most one every ${SENSOR_DEVICE_MIN_GAP_S} seconds)</label>
+      <input type="text" readonly class="calc-input w-full sensor-setup-field" value="${escapeHTML(endpoint)}">
+      <label class="block text-gray-400 text-sm mt-2">Try it with the simulated sensor</label>
+      <input type="text" readonly class="calc-input w-full sensor-setup-field" value="${escapeHTML(command)}">
+    `;
+    sensorDeviceSetup.classList.remove('hidden');
+  }
+
+  // Click a setup field to select all of it for copying
+  sensorDeviceSetup.addEventListener('click', (e) => {
+    if (e.target.classList.contains('sensor-setup-field')) e.target.select();
+  });
+
+  // Helper for sensor message
+  function setSensorMessage(message, type) {
+    sensorMessage.textContent = message;
+    sensorMessage.className = `text-sm text-center md:col-span-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    sensorMessage.classList.remove('hidden');
+    setTimeout(() => sensorMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Calculators & Data Persistence ---
+  // We will save calculator data to a *single document* per user
+  // in a 'user-profiles' collection. This is more efficient.
+
+  // (file pickers share the look but can't be saved or given a value, and
+  // fields marked data-no-autosave, like the account delete confirmation,
+  // must start empty every time)
+  const calculatorInputs = document.querySelectorAll('.calc-input:not([type="file"]):not([data-no-autosave])');
+  const autosavedFieldIds = new Set([...calculatorInputs].map(input => input.id));
+
+  // Form fields that were saved before they were kept out of autosave
+  // (including the account password). They're never put back on screen,
+  // so they're cleared from the profile and left out of backups.
+  function getUnsavedFieldIds(calcData) {
+    return Object.keys(calcData).filter(fieldId => {
+      const input = document.getElementById(fieldId);
+      return input && input.classList.contains('calc-input') && !autosavedFieldIds.has(fieldId);
+    });
+  }
+
+  function withoutUnsavedFields(calcData) {
+    const unsavedFieldIds = getUnsavedFieldIds(calcData);
+    return Object.fromEntries(Object.entries(calcData).filter(([fieldId]) => !unsavedFieldIds.includes(fieldId)));
+  }
+  
+  // Function to get a reference to the user's profile document
+  function getUserProfileRef() {
+    if (!currentUserId) return null;
+    // Use 'user-profiles' as the collection for private user data
+    return doc(db, 'user-profiles', currentUserId);
+  }
+
+  // Save data whenever a calculator input changes (debounced).
+  // Changes are collected and saved together, so editing two fields
+  // within the same second doesn't lose the first one.
+  const pendingCalculatorValues = {};
+
+  async function saveCalculatorValues() {
+    if (!currentUserId || Object.keys(pendingCalculatorValues).length === 0) return;
+    const userProfileRef = getUserProfileRef();
+    const values = { ...pendingCalculatorValues };
+    Object.keys(pendingCalculatorValues).forEach(key => delete pendingCalculatorValues[key]);
+    try {
+      const batch = writeBatch(db);
+      batch.set(userProfileRef, {
+        calculators: values
+      }, { merge: true });
+      // Keep the open scenario (if any) in step with the tools
+      const scenarioValues = Object.fromEntries(Object.entries(values).filter(([fieldId]) => isScenarioField(fieldId)));
+      if (activeScenarioId && Object.keys(scenarioValues).length) {
+        batch.set(doc(getScenariosCollectionRef(), activeScenarioId), {
+          values: scenarioValues,
+          updatedAt: serverTimestamp()
+        }, { merge: true });
+      }
+      await batch.commit();
+    } catch (error) {
+      console.error("Error saving calculator data: ", error);
+    }
+  }
+
+  const flushCalculatorValues = debounce(saveCalculatorValues, 1000); // Wait 1 second after user stops typing to save
+
+  function debouncedSave(fieldId, value) {
+    pendingCalculatorValues[fieldId] = value;
+    flushCalculatorValues();
+  }
+
+  calculatorInputs.forEach(input => {
+    input.addEventListener('input', () => { // 'input' is better than 'change' for live updates
+      debouncedSave(input.id, input.value);
+    });
+  });
+
+  // Load saved calculator data when the user signs in
+  async function loadSavedCalculatorData() {
+    const userProfileRef = getUserProfileRef();
+    if (!userProfileRef) return;
+
+    try {
+      const docSnap = await getDoc(userProfileRef);
+      if (docSnap.exists()) {
+        activeScenarioId = docSnap.data().activeScenario || '';
+        renderScenarioOptions();
+      }
+      if (docSnap.exists() && docSnap.data().calculators) {
+        const calculators = docSnap.data().calculators;
+        const unsavedFieldIds = getUnsavedFieldIds(calculators);
+        if (unsavedFieldIds.length) {
+          updateDoc(userProfileRef, Object.fromEntries(unsavedFieldIds.map(fieldId => [`calculators.${fieldId}`, deleteField()])))
+            .catch(error => console.error("Error clearing old form values: ", error));
+        }
+        applyCalculatorValues(calculators);
+      }
+    } catch (error) {
+      console.error("Error loading calculator data: ", error);
+    }
+  }
+
+  // Puts saved values into the tools (from the profile or a scenario)
+  function applyCalculatorValues(calcData) {
+    calculatorInputs.forEach(input => {
+      // A saved 0 or blank is a real value too, only missing fields are skipped
+      if (input.id in calcData && calcData[input.id] !== null) {
+        input.value = calcData[input.id];
+      }
+    });
+    // The mixer's chart list may not be loaded yet, so remember the picks
+    if (calcData['mix-chart']) selectedMixChartId = calcData['mix-chart'];
+    if (calcData['mix-week']) selectedMixWeek = parseInt(calcData['mix-week'], 10) || 0;
+    renderMixChartOptions();
+    // The cost calculator's equipment list is saved as one array
+    if (Array.isArray(calcData['cost-devices'])) {
+      costDevices = calcData['cost-devices'];
+      renderCostDevices();
+    }
+    // After loading, trigger calculations to update outputs
+    runAllCalculations();
+  }
+
+  // --- Run Calculations (VPD, DLI, Cost) ---
+  // Grab all calculator inputs and outputs
+  const vpdTemp = document.getElementById('temp-c'); // In whichever unit vpdTempUnit says
+  const vpdTempLabel = document.getElementById('temp-c-label');
+  const vpdTempUnit = document.getElementById('vpd-temp-unit');
+  const vpdLeafOffset = document.getElementById('leaf-offset');
+  const vpdLeafOffsetLabel = document.getElementById('leaf-offset-label');
+  const vpdRh = document.getElementById('rh');
+  const vpdOutput = document.getElementById('vpd-output');
+  const vpdTargetStage = document.getElementById('vpd-target-stage');
+  const vpdTargetRh = document.getElementById('vpd-target-rh');
+  const vpdChart = document.getElementById('vpd-chart');
+
+  const dliPpfd = document.getElementById('ppfd-input');
+  const dliHours = document.getElementById('hours-on-input');
+  const dliOutput = document.getElementById('dli-output');
+  const dliPresetButtons = document.querySelectorAll('.dli-preset-btn');
+  const dliTargetStage = document.getElementById('dli-target-stage');
+  const dliTarget = document.getElementById('dli-target');
+  const dliRequiredPpfd = document.getElementById('dli-required-ppfd');
+
+  const luxInput = document.getElementById('lux-input');
+  const luxUnit = document.getElementById('lux-unit');
+  const luxLightSource = document.getElementById('lux-light-source');
+  const luxPpfdOutput = document.getElementById('lux-ppfd-output');
+  const luxUsePpfdBtn = document.getElementById('lux-use-ppfd-btn');
+
+  const ppmDirection = document.getElementById('ppm-direction');
+  const ecInputWrapper = document.getElementById('ec-input-wrapper');
+  const ppmInputWrapper = document.getElementById('ppm-input-wrapper');
   const ecInput = document.getElementById('ec-input');
+  const ppmInput = document.getElementById('ppm-input');
   const ppmScale = document.getElementById('ppm-scale');
+  const ppmOutputLabel = document.getElementById('ppm-output-label');
   const ppmOutput = document.getElementById('ppm-output');
 
-  const costOnetimeTent = document.getElementById('cost-onetime-tent');
-  const costOnetimeLight = document.getElementById('cost-onetime-light');
-  const costOnetimeOther = document.getElementById('cost-onetime-other');
-  const costRecurringSeeds = document.getElementById('cost-recurring-seeds');
-  const costRecurringSoil = document.getElementById('cost-recurring-soil');
-  const costRecurringNutrients = document.getElementById('cost-recurring-nutrients');
-  const costLightWatts = document.getElementById('cost-light-watts');
-  const costKwhRate = document.getElementById('cost-kwh-rate');
-  const costTotalDays = document.getElementById('cost-total-days');
-  const costYieldGrams = document.getElementById('cost-yield-grams');
-  const costDispensaryPrice = document.getElementById(
-    'cost-dispensary-price'
-  );
+  const costOnetimeTent = document.getElementById('cost-onetime-tent');
+  const costOnetimeLight = document.getElementById('cost-onetime-light');
+  const costOnetimeOther = document.getElementById('cost-onetime-other');
+  const costRecurringSeeds = document.getElementById('cost-recurring-seeds');
+  const costRecurringSoil = document.getElementById('cost-recurring-soil');
+  const costRecurringNutrients = document.getElementById('cost-recurring-nutrients');
+  const costLightWatts = document.getElementById('cost-light-watts');
+  const costKwhRate = document.getElementById('cost-kwh-rate');
+  const costGrowType = document.getElementById('cost-grow-type');
+  const costPhotoperiodStages = document.getElementById('cost-photoperiod-stages');
+  const costAutoflowerStages = document.getElementById('cost-autoflower-stages');
+  const costVegDays = document.getElementById('cost-veg-days');
+  const costVegHours = document.getElementById('cost-veg-hours');
+  const costFlowerDays = document.getElementById('cost-flower-days');
+  const costFlowerHours = document.getElementById('cost-flower-hours');
+  const costAutoDays = document.getElementById('cost-auto-days');
+  const costAutoHours = document.getElementById('cost-auto-hours');
+  const costDevicesList = document.getElementById('cost-devices-list');
+  const costAddDeviceBtn = document.getElementById('cost-add-device-btn');
+  const costYieldGrams = document.getElementById('cost-yield-grams');
+  const costDispensaryPrice = document.getElementById(
+    'cost-dispensary-price'
+  );
+
+  const outputOnetimeCost = document.getElementById('output-onetime-cost');
+  const outputElectricCost = document.getElementById('output-electric-cost');
+  const outputElectricBreakdown = document.getElementById('output-electric-breakdown');
+  const outputRecurringCost = document.getElementById('output-recurring-cost');
+  const outputTotalCost = document.getElementById('output-total-cost');
+  const outputCostPerGram = document.getElementById('output-cost-per-gram');
+  const outputCostPerGramFuture = document.getElementById('output-cost-per-gram-future');
+  const outputHarvestValue = document.getElementById('output-harvest-value');
+  const outputTotalSavings = document.getElementById('output-total-savings');
+
+  // VPD stage bands (kPa). Shared by the calculator, the chart and reverse mode.
+  const VPD_BANDS = {
+    low: { label: 'Too Low - Mold Risk', colorClass: 'calc-output-blue' },
+    seedling: { min: 0.4, max: 0.8, label: 'Ideal for Seedlings', colorClass: 'calc-output-blue' },
+    veg: { min: 0.8, max: 1.2, label: 'Ideal for Veg', colorClass: 'calc-output-green' },
+    flower: { min: 1.2, max: 1.6, label: 'Ideal for Flower', colorClass: 'calc-output-green' },
+    high: { label: 'Too High - Stress', colorClass: 'calc-output-red' }
+  };
+
+  // Which band a VPD reading falls in
+  function getVpdBand(vpd) {
+    if (vpd < 0.4) return 'low';
+    if (vpd < 0.8) return 'seedling';
+    if (vpd <= 1.2) return 'veg';
+    if (vpd <= 1.6) return 'flower';
+    return 'high';
+  }
+
+  // Saturation Vapor Pressure (SVP) in kPa using Buck's equation
+  function saturationVaporPressure(T) {
+    return 0.61121 * Math.exp(((18.678 - T / 234.5) * (T / (257.14 + T))));
+  }
+
+  // Vapor Pressure Deficit (VPD) in kPa. With a leaf offset this is
+  // "Leaf VPD": the leaf's saturation pressure minus the air's actual
+  // vapor pressure.
+  function computeVPD(airTempC, RH, leafOffsetC = 0) {
+    const leafSVP = saturationVaporPressure(airTempC - leafOffsetC);
+    const airVaporPressure = saturationVaporPressure(airTempC) * (RH / 100);
+    return leafSVP - airVaporPressure;
+  }
+
+  // The RH that gives a target VPD at this temperature (reverse of computeVPD)
+  function computeRhForVPD(airTempC, targetVPD, leafOffsetC = 0) {
+    const leafSVP = saturationVaporPressure(airTempC - leafOffsetC);
+    return ((leafSVP - targetVPD) / saturationVaporPressure(airTempC)) * 100;
+  }
+
+  function fahrenheitToCelsius(F) {
+    return (F - 32) * 5 / 9;
+  }
+
+  function celsiusToFahrenheit(C) {
+    return C * 9 / 5 + 32;
+  }
+
+  // Reads the temp and leaf offset inputs and converts them to Celsius
+  function getVpdInputsCelsius() {
+    const isFahrenheit = vpdTempUnit.value === 'F';
+    const temp = parseFloat(vpdTemp.value);
+    const offset = parseFloat(vpdLeafOffset.value) || 0; // Blank = plain Air VPD
+    return {
+      airTempC: isFahrenheit ? fahrenheitToCelsius(temp) : temp,
+      leafOffsetC: isFahrenheit ? offset * 5 / 9 : offset // An offset is a difference, so no -32
+    };
+  }
+
+  function calculateVPD() {
+    if (!vpdTemp || !vpdRh || !vpdOutput || !vpdTempUnit || !vpdLeafOffset) return;
+    const { airTempC: T, leafOffsetC } = getVpdInputsCelsius();
+    const RH = parseFloat(vpdRh.value); // RH in %
+
+    updateVpdUnitLabels();
+
+    // Reverse mode only needs the temperature, so it runs even without an RH
+    calculateTargetRH(T, leafOffsetC);
+
+    if (isNaN(T) || isNaN(RH)) return;
+
+    const VPD = computeVPD(T, RH, leafOffsetC);
+    const band = VPD_BANDS[getVpdBand(VPD)];
+
+    vpdOutput.textContent = `${VPD.toFixed(2)} kPa (${band.label})`;
+    vpdOutput.className = `calc-output flex items-center justify-center ${band.colorClass}`;
+
+    renderVpdChart(T, RH, leafOffsetC);
+    return VPD; // Also read by the journal's VPD/DLI snapshot
+  }
+
+  function updateVpdUnitLabels() {
+    const unit = vpdTempUnit.value === 'F' ? '&deg;F' : '&deg;C';
+    vpdTempLabel.innerHTML = `Air Temp (${unit})`;
+    vpdLeafOffsetLabel.innerHTML = `Leaf Is Cooler By (${unit})`;
+  }
+
+  // Reverse mode: the RH range that puts this temperature in the stage's band
+  function calculateTargetRH(airTempC, leafOffsetC) {
+    if (!vpdTargetStage || !vpdTargetRh || isNaN(airTempC)) return;
+    const band = VPD_BANDS[vpdTargetStage.value];
+
+    // Higher VPD = drier air, so the band's max VPD gives the LOW end of the RH range
+    const rhLow = computeRhForVPD(airTempC, band.max, leafOffsetC);
+    const rhHigh = computeRhForVPD(airTempC, band.min, leafOffsetC);
+    const rhTarget = computeRhForVPD(airTempC, (band.min + band.max) / 2, leafOffsetC);
+
+    if (rhHigh <= 0) {
+      vpdTargetRh.textContent = 'Too cold for this stage - raise the temperature';
+      vpdTargetRh.className = 'calc-output flex items-center justify-center calc-output-red';
+      return;
+    }
+    if (rhLow >= 100) {
+      vpdTargetRh.textContent = 'Too hot for this stage - lower the temperature';
+      vpdTargetRh.className = 'calc-output flex items-center justify-center calc-output-red';
+      return;
+    }
+
+    const clamp = (value) => Math.min(100, Math.max(0, value));
+    vpdTargetRh.textContent = `${clamp(rhLow).toFixed(0)}% - ${clamp(rhHigh).toFixed(0)}% RH (aim for ${clamp(rhTarget).toFixed(0)}%)`;
+    vpdTargetRh.className = 'calc-output flex items-center justify-center calc-output-green';
+  }
+
+  // Draws the temperature x RH grid, colored by stage band
+  function renderVpdChart(airTempC, RH, leafOffsetC) {
+    if (!vpdChart) return;
+    const isFahrenheit = vpdTempUnit.value === 'F';
+
+    // Rows in the unit the grower is using
+    const temps = [];
+    if (isFahrenheit) {
+      for (let F = 64; F <= 90; F += 2) temps.push(F);
+    } else {
+      for (let C = 18; C <= 32; C += 1) temps.push(C);
+    }
+    const humidities = [];
+    for (let h = 30; h <= 85; h += 5) humidities.push(h);
+
+    // Outline the square closest to the current reading
+    const currentTemp = isFahrenheit ? celsiusToFahrenheit(airTempC) : airTempC;
+    const closest = (values, target) => values.reduce((best, value) =>
+      Math.abs(value - target) < Math.abs(best - target) ? value : best);
+    const currentRow = closest(temps, currentTemp);
+    const currentCol = closest(humidities, RH);
+
+    const header = humidities.map(h => `<th>${h}%</th>`).join('');
+    const rows = temps.map(temp => {
+      const tempC = isFahrenheit ? fahrenheitToCelsius(temp) : temp;
+      const cells = humidities.map(h => {
+        const vpd = computeVPD(tempC, h, leafOffsetC);
+        const bandKey = getVpdBand(vpd);
+        const isCurrent = temp === currentRow && h === currentCol;
+        return `<td class="vpd-cell-${bandKey}${isCurrent ? ' vpd-cell-current' : ''}" data-temp="${temp}" data-rh="${h}" title="${temp}&deg;${isFahrenheit ? 'F' : 'C'}, ${h}% RH: ${vpd.toFixed(2)} kPa (${VPD_BANDS[bandKey].label})">${vpd.toFixed(1)}</td>`;
+      }).join('');
+      return `<tr><th>${temp}&deg;</th>${cells}</tr>`;
+    }).join('');
+
+    vpdChart.innerHTML = `<table><thead><tr><th>Temp \\ RH</th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  // Tap a square to load it into the calculator (and save it like typing would)
+  vpdChart.addEventListener('click', (e) => {
+    const cell = e.target.closest('td[data-temp]');
+    if (!cell) return;
+    vpdTemp.value = cell.dataset.temp;
+    vpdRh.value = cell.dataset.rh;
+    debouncedSave(vpdTemp.id, vpdTemp.value);
+    debouncedSave(vpdRh.id, vpdRh.value);
+    calculateVPD();
+  });
+
+  // Switching units converts the numbers already typed in
+  vpdTempUnit.addEventListener('input', () => {
+    const toFahrenheit = vpdTempUnit.value === 'F';
+    const temp = parseFloat(vpdTemp.value);
+    const offset = parseFloat(vpdLeafOffset.value);
+
+    if (!isNaN(temp)) {
+      vpdTemp.value = (toFahrenheit ? celsiusToFahrenheit(temp) : fahrenheitToCelsius(temp)).toFixed(1);
+      debouncedSave(vpdTemp.id, vpdTemp.value);
+    }
+    if (!isNaN(offset)) {
+      vpdLeafOffset.value = (toFahrenheit ? offset * 9 / 5 : offset * 5 / 9).toFixed(1);
+      debouncedSave(vpdLeafOffset.id, vpdLeafOffset.value);
+    }
+  });
+
+  function calculateDLI() {
+    if (!dliPpfd || !dliHours || !dliOutput) return;
+    const ppfd = parseFloat(dliPpfd.value);
+    const hours = parseFloat(dliHours.value);
+
+    // Reverse mode only needs the hours, so it runs even without a PPFD
+    calculateRequiredPPFD(hours);
+
+    // Light up the preset button that matches the hours, if any
+    dliPresetButtons.forEach(btn => {
+      btn.classList.toggle('active', parseFloat(btn.dataset.hours) === hours);
+    });
+
+    if (isNaN(ppfd) || isNaN(hours)) return;
+
+    // DLI = (PPFD * hours * 3600) / 1,000,000
+    const dli = (ppfd * hours * 3600) / 1000000;
+
+    let dliText = `${dli.toFixed(2)} mol/m²/day`;
+    let colorClass = 'calc-output-green';
+
+    if (dli < 15) {
+      dliText += " (Seedlings)";
+      colorClass = 'calc-output-blue';
+    } else if (dli >= 15 && dli < 30) {
+      dliText += " (Good for Veg)";
+    } else if (dli >= 30 && dli < 45) {
+      dliText += " (Great for Flower)";
+    } else if (dli > 45) {
+      dliText += " (Max Yield / CO2)";
+      colorClass = 'calc-output-red';
+    }
+    
+    dliOutput.textContent = dliText;
+    dliOutput.className = `calc-output flex items-center justify-center ${colorClass}`;
+    return dli;
+  }
+
+  // Reverse mode: PPFD = (DLI * 1,000,000) / (hours * 3600)
+  function calculateRequiredPPFD(hours) {
+    if (!dliTarget || !dliRequiredPpfd) return;
+    const targetDli = parseFloat(dliTarget.value);
+    if (isNaN(targetDli) || !(hours > 0)) return;
+
+    const ppfd = (targetDli * 1000000) / (hours * 3600);
+    let ppfdText = `${ppfd.toFixed(0)} μmol/m²/s over ${hours} hours`;
+    let colorClass = 'calc-output-green';
+
+    // Most plants can't use much more than this without added CO2
+    if (ppfd > 1000) {
+      ppfdText += ' (Needs CO2 - try more hours)';
+      colorClass = 'calc-output-red';
+    }
+
+    dliRequiredPpfd.textContent = ppfdText;
+    dliRequiredPpfd.className = `calc-output flex items-center justify-center ${colorClass}`;
+  }
+
+  // Photoperiod presets just fill in the hours (and save them like typing would)
+  dliPresetButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      dliHours.value = button.dataset.hours;
+      debouncedSave(dliHours.id, dliHours.value);
+      runAllCalculations();
+    });
+  });
+
+  // Picking a stage fills in its typical DLI; typing a number switches to "Custom"
+  dliTargetStage.addEventListener('input', () => {
+    if (dliTargetStage.value === 'custom') return;
+    dliTarget.value = dliTargetStage.value;
+    debouncedSave(dliTarget.id, dliTarget.value);
+  });
+  dliTarget.addEventListener('input', () => {
+    const matchingStage = Array.from(dliTargetStage.options).find(option => option.value === dliTarget.value);
+    dliTargetStage.value = matchingStage ? matchingStage.value : 'custom';
+    debouncedSave(dliTargetStage.id, dliTargetStage.value);
+  });
+
+  // PPFD per lux for common light sources (eyes and plants see color differently)
+  const LUX_TO_PPFD = {
+    sunlight: 0.0185,
+    led: 0.015,
+    hps: 0.0122,
+    cmh: 0.0141
+  };
+  const LUX_PER_FOOT_CANDLE = 10.764;
+
+  function calculateLuxToPPFD() {
+    if (!luxInput || !luxUnit || !luxLightSource || !luxPpfdOutput) return null;
+    const reading = parseFloat(luxInput.value);
+    if (isNaN(reading)) return null;
+
+    const lux = luxUnit.value === 'fc' ? reading * LUX_PER_FOOT_CANDLE : reading;
+    const ppfd = lux * LUX_TO_PPFD[luxLightSource.value];
+
+    luxPpfdOutput.textContent = `~${ppfd.toFixed(0)} μmol/m²/s`;
+    luxPpfdOutput.className = 'calc-output flex items-center justify-center calc-output-green';
+    return ppfd;
+  }
+
+  // Send the estimated PPFD up to the DLI calculator
+  luxUsePpfdBtn.addEventListener('click', () => {
+    const ppfd = calculateLuxToPPFD();
+    if (ppfd === null) return;
+    dliPpfd.value = ppfd.toFixed(0);
+    debouncedSave(dliPpfd.id, dliPpfd.value);
+    runAllCalculations();
+    navigateTo('calculators/dli');
+  });
+  
+  // Every PPM scale is just EC (mS/cm) times the scale's factor
+  const PPM_SCALES = [500, 640, 700];
+
+  // Converts in whichever direction is picked and returns the reading
+  // as { ec, ppm, scale } (or null if the input is empty)
+  function calculatePPM() {
+    if (!ecInput || !ppmInput || !ppmScale || !ppmOutput) return null;
+    const isPpmToEc = ppmDirection.value === 'ppm-to-ec';
+    const scale = parseFloat(ppmScale.value);
+
+    ecInputWrapper.classList.toggle('hidden', isPpmToEc);
+    ppmInputWrapper.classList.toggle('hidden', !isPpmToEc);
+    ppmOutputLabel.textContent = isPpmToEc ? 'Calculated EC' : 'Calculated PPM';
+
+    let ec;
+    let ppm;
+    if (isPpmToEc) {
+      ppm = parseFloat(ppmInput.value);
+      if (isNaN(ppm)) return null;
+      ec = ppm / scale;
+      ppmOutput.textContent = `${ec.toFixed(2)} EC (mS/cm)`;
+    } else {
+      ec = parseFloat(ecInput.value);
+      if (isNaN(ec)) return null;
+      ppm = ec * scale;
+      ppmOutput.textContent = `${ppm.toFixed(0)} PPM (${scale} Scale)`;
+    }
+
+    ppmOutput.className = 'calc-output flex items-center justify-center calc-output-green';
+    return { ec, ppm, scale };
+  }
+
+  function calculateCost() {
+    // Check if all elements exist
+    if (!costOnetimeTent || !costOnetimeLight || !costOnetimeOther ||
+        !costRecurringSeeds || !costRecurringSoil || !costRecurringNutrients ||
+        !costLightWatts || !costKwhRate || !costGrowType || !costYieldGrams ||
+        !costDispensaryPrice || !outputOnetimeCost || !outputElectricCost ||
+        !outputRecurringCost || !outputTotalCost || !outputCostPerGram ||
+        !outputCostPerGramFuture || !outputHarvestValue || !outputTotalSavings) {
+      console.error("One or more cost calculator elements are missing.");
+      return; 
+    }
+
+    const cost = computeGrowCost(getCurrentCostValues());
+
+    // --- Update UI ---
+    outputOnetimeCost.textContent = `$${cost.totalOnetime.toFixed(2)}`;
+    outputElectricCost.textContent = `$${cost.electricity.totalCost.toFixed(2)}`;
+    renderElectricBreakdown(cost.electricity);
+    outputRecurringCost.textContent = `$${cost.totalRecurring.toFixed(2)}`;
+    outputTotalCost.textContent = `$${cost.totalFirstGrowCost.toFixed(2)}`;
+    
+    outputCostPerGram.textContent = `$${cost.costPerGramFirst.toFixed(2)} / gram`;
+    outputCostPerGramFuture.textContent = `$${cost.costPerGramFuture.toFixed(2)} / gram`;
+    
+    outputHarvestValue.textContent = `$${cost.harvestValue.toFixed(2)}`;
+    outputTotalSavings.textContent = `$${cost.totalSavings.toFixed(2)}`;
+
+    renderScenarioComparison(); // "Current numbers" may be one of the columns
+  }
+
+  // Every cost calculator field, saved under these IDs in the calculators map
+  const COST_FIELD_IDS = [
+    'cost-onetime-tent', 'cost-onetime-light', 'cost-onetime-other',
+    'cost-recurring-seeds', 'cost-recurring-soil', 'cost-recurring-nutrients',
+    'cost-grow-type', 'cost-veg-days', 'cost-veg-hours', 'cost-flower-days', 'cost-flower-hours',
+    'cost-auto-days', 'cost-auto-hours', 'cost-light-watts', 'cost-kwh-rate',
+    'cost-yield-grams', 'cost-dispensary-price'
+  ];
+
+  function getCurrentCostValues() {
+    const values = Object.fromEntries(COST_FIELD_IDS.map(id => [id, document.getElementById(id).value]));
+    values['cost-devices'] = costDevices;
+    return values;
+  }
+
+  // All the cost calculator's numbers from a map of field values
+  // ({ 'cost-onetime-tent': '250', ..., 'cost-devices': [...] }), so saved
+  // scenarios can be costed without putting them on screen
+  function computeGrowCost(values) {
+    const number = (id) => parseFloat(values[id]) || 0;
+
+    const totalOnetime = number('cost-onetime-tent') + number('cost-onetime-light') + number('cost-onetime-other');
+
+    // Electric cost: the light + every device, stage by stage
+    const electricity = calculateElectricity(values);
+
+    const totalRecurring = number('cost-recurring-seeds') + number('cost-recurring-soil') + number('cost-recurring-nutrients') + electricity.totalCost;
+    const totalFirstGrowCost = totalOnetime + totalRecurring;
+
+    const yieldGrams = number('cost-yield-grams');
+    const harvestValue = yieldGrams * number('cost-dispensary-price');
+
+    return {
+      totalOnetime,
+      electricity,
+      totalRecurring,
+      totalFirstGrowCost,
+      costPerGramFirst: (yieldGrams > 0) ? (totalFirstGrowCost / yieldGrams) : 0,
+      costPerGramFuture: (yieldGrams > 0) ? (totalRecurring / yieldGrams) : 0,
+      harvestValue,
+      totalSavings: harvestValue - totalRecurring
+    };
+  }
+  
+  // --- Cost Calculator: Light Schedule & Equipment ---
+  // Extra devices are kept as a list of { name, watts, duty } and saved
+  // to the calculators map as one array under 'cost-devices'.
+  let costDevices = [
+    { name: 'Exhaust Fan', watts: 35, duty: 100 },
+    { name: 'Clip Fan', watts: 15, duty: 100 }
+  ];
+
+  // The grow's stages with how long they last and how long the light runs
+  function getCostStages(values) {
+    const number = (id) => parseFloat(values[id]) || 0;
+    if (values['cost-grow-type'] === 'autoflower') {
+      return [
+        { name: 'Seed to Harvest', days: number('cost-auto-days'), lightHours: number('cost-auto-hours') }
+      ];
+    }
+    return [
+      { name: 'Veg', days: number('cost-veg-days'), lightHours: number('cost-veg-hours') },
+      { name: 'Flower', days: number('cost-flower-days'), lightHours: number('cost-flower-hours') }
+    ];
+  }
+
+  // kWh and cost for every device in every stage
+  function calculateElectricity(values) {
+    const stages = getCostStages(values);
+    const kwhRateDollars = (parseFloat(values['cost-kwh-rate']) || 0) / 100;
+    const devices = [
+      // The grow light only draws power while it's on
+      { name: 'Grow Light', hoursPerDay: (stage) => stage.lightHours, watts: parseFloat(values['cost-light-watts']) || 0 },
+      // Everything else runs its duty cycle around the clock
+      ...(values['cost-devices'] || []).map(device => ({
+        name: device.name || 'Device',
+        hoursPerDay: () => 24 * (Math.min(100, Math.max(0, device.duty)) / 100),
+        watts: device.watts || 0
+      }))
+    ];
+
+    const rows = devices.map(device => {
+      const stageCosts = stages.map(stage => {
+        const kwh = (device.watts / 1000) * device.hoursPerDay(stage) * stage.days;
+        return kwh * kwhRateDollars;
+      });
+      return { name: device.name, stageCosts, total: stageCosts.reduce((a, b) => a + b, 0) };
+    });
+
+    const stageTotals = stages.map((_, i) => rows.reduce((sum, row) => sum + row.stageCosts[i], 0));
+    return {
+      stages,
+      rows,
+      stageTotals,
+      totalCost: stageTotals.reduce((a, b) => a + b, 0)
+    };
+  }
+
+  function renderElectricBreakdown(electricity) {
+    if (!outputElectricBreakdown) return;
+    const money = (value) => `$${value.toFixed(2)}`;
+    const header = electricity.stages.map(stage => `<th>${escapeHTML(stage.name)} (${stage.days}d)</th>`).join('');
+    const body = electricity.rows.map(row => `
+      <tr>
+        <td>${escapeHTML(row.name)}</td>
+        ${row.stageCosts.map(cost => `<td>${money(cost)}</td>`).join('')}
+        <td>${money(row.total)}</td>
+      </tr>
+    `).join('');
+    const footer = electricity.stageTotals.map(total => `<td>${money(total)}</td>`).join('');
+
+    outputElectricBreakdown.innerHTML = `
+      <table>
+        <thead><tr><th>Device</th>${header}<th>Total</th></tr></thead>
+        <tbody>${body}</tbody>
+        <tfoot><tr><td>All Devices</td>${footer}<td>${money(electricity.totalCost)}</td></tr></tfoot>
+      </table>
+    `;
+  }
+
+  function renderCostDevices() {
+    costDevicesList.innerHTML = '';
+    costDevices.forEach((device, index) => {
+      const row = document.createElement('div');
+      row.className = 'cost-device-row';
+      row.dataset.index = index;
+      row.innerHTML = `
+        <input type="text" class="calc-input cost-device-field" data-field="name" value="${escapeHTML(String(device.name || ''))}" placeholder="Device" aria-label="Device name">
+        <input type="number" class="calc-input cost-device-field" data-field="watts" value="${device.watts}" min="0" placeholder="Watts" aria-label="Watts">
+        <input type="number" class="calc-input cost-device-field" data-field="duty" value="${device.duty}" min="0" max="100" placeholder="Duty %" aria-label="Duty cycle (%)">
+        <button type="button" class="plant-status-btn cost-device-remove" aria-label="Remove device">&times;</button>
+      `;
+      costDevicesList.appendChild(row);
+    });
+  }
+
+  function saveCostDevices() {
+    debouncedSave('cost-devices', costDevices);
+    calculateCost();
+  }
+
+  // Typing in a device row updates that device
+  costDevicesList.addEventListener('input', (e) => {
+    if (!e.target.classList.contains('cost-device-field')) return;
+    const index = parseInt(e.target.closest('.cost-device-row').dataset.index, 10);
+    const field = e.target.dataset.field;
+    costDevices[index][field] = field === 'name' ? e.target.value : (parseFloat(e.target.value) || 0);
+    saveCostDevices();
+  });
+
+  costDevicesList.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('cost-device-remove')) return;
+    const index = parseInt(e.target.closest('.cost-device-row').dataset.index, 10);
+    costDevices.splice(index, 1);
+    renderCostDevices();
+    saveCostDevices();
+  });
+
+  costAddDeviceBtn.addEventListener('click', () => {
+    costDevices.push({ name: '', watts: 0, duty: 100 });
+    renderCostDevices();
+    saveCostDevices();
+  });
+
+  // Show the schedule inputs that match the plant type
+  function updateCostGrowType() {
+    const isAutoflower = costGrowType.value === 'autoflower';
+    costPhotoperiodStages.classList.toggle('hidden', isAutoflower);
+    costAutoflowerStages.classList.toggle('hidden', !isAutoflower);
+  }
+  costGrowType.addEventListener('input', updateCostGrowType);
+
+  renderCostDevices();
+
+  // --- Cost Calculator: Scenarios, Comparison & Share Links ---
+  // A scenario is a named copy of every value on the Tools and Cost pages:
+  //   user-profiles/{uid}/scenarios/{scenarioId} = { name, values, shareId?, createdAt, updatedAt }
+  // "values" looks just like the profile's calculators map. The open
+  // scenario is saved on the profile as activeScenario, and every change
+  // made while it's open is saved to it too (see flushCalculatorValues).
+  //
+  // Sharing copies just the cost calculator's values to a public doc,
+  //   sharedScenarios/{shareId} = { userId, name, values, sharedAt }
+  // that anyone with the #/cost-calc/scenario/<shareId> link can view.
+  const scenarioSelect = document.getElementById('scenario-select');
+  const scenarioNameInput = document.getElementById('scenario-name');
+  const scenarioShareLink = document.getElementById('scenario-share-link');
+  const scenarioMessage = document.getElementById('scenario-message');
+  const sharedScenarioView = document.getElementById('shared-scenario-view');
+  const compareSelects = document.querySelectorAll('.compare-select');
+  const compareOutput = document.getElementById('compare-output');
+
+  const SCENARIO_NAME_MAX = 60; // Must match firestore.rules
+  const CURRENT_NUMBERS = 'current'; // Compare picker value for what's on screen
+  const scenarioInputs = [...calculatorInputs].filter(input => input.closest('#calculators, #cost-calc'));
+  const defaultCostDevices = costDevices.map(device => ({ ...device }));
+
+  let scenarios = []; // { id, name, values, shareId? }
+  let activeScenarioId = '';
+  let unsubscribeScenarios = null;
+  let sharedScenario = null; // The one open from a share link
+
+  function getScenariosCollectionRef() {
+    if (!currentUserId) return null;
+    return collection(db, 'user-profiles', currentUserId, 'scenarios');
+  }
+
+  function isScenarioField(fieldId) {
+    return fieldId === 'cost-devices' || scenarioInputs.some(input => input.id === fieldId);
+  }
+
+  // What the page shipped with, for fields a scenario doesn't have
+  function getDefaultInputValue(input) {
+    if (input.tagName === 'SELECT') {
+      const option = [...input.options].find(opt => opt.defaultSelected) || input.options[0];
+      return option ? option.value : '';
+    }
+    return input.defaultValue;
+  }
+
+  function getCurrentScenarioValues() {
+    const values = Object.fromEntries(scenarioInputs.map(input => [input.id, input.value]));
+    values['cost-devices'] = costDevices.map(device => ({ ...device }));
+    return values;
+  }
+
+  function getScenarioValues(pick) {
+    if (pick === CURRENT_NUMBERS) return getCurrentScenarioValues();
+    const scenario = scenarios.find(s => s.id === pick);
+    return scenario ? scenario.values : null;
+  }
+
+  function getActiveScenario() {
+    return scenarios.find(scenario => scenario.id === activeScenarioId) || null;
+  }
+
+  function loadScenarios() {
+    const scenariosRef = getScenariosCollectionRef();
+    if (!scenariosRef) return;
+
+    // Only keep one listener alive if auth state fires more than once
+    if (unsubscribeScenarios) unsubscribeScenarios();
+
+    unsubscribeScenarios = onSnapshot(query(scenariosRef, orderBy('createdAt', 'asc')), (querySnapshot) => {
+      scenarios = querySnapshot.docs.map(scenarioDoc => ({ id: scenarioDoc.id, ...scenarioDoc.data() }));
+      renderScenarioOptions();
+      renderScenarioComparison();
+    }, (error) => {
+      console.error("Error loading scenarios: ", error);
+    });
+  }
+
+  function renderScenarioOptions() {
+    const options = scenarios.map(scenario => `<option value="${escapeHTML(scenario.id)}">${escapeHTML(scenario.name)}</option>`).join('');
+    scenarioSelect.innerHTML = `<option value="">None (changes aren't saved to a scenario)</option>${options}`;
+    scenarioSelect.value = getActiveScenario() ? activeScenarioId : '';
+    const activeScenario = getActiveScenario();
+    if (document.activeElement !== scenarioNameInput) {
+      scenarioNameInput.value = activeScenario ? activeScenario.name : '';
+    }
+
+    // A: what's on screen, B: the first scenario, C: nothing (unless picked before)
+    compareSelects.forEach((select, index) => {
+      const picked = select.value;
+      select.innerHTML = `${index === 2 ? '<option value="">None</option>' : ''}<option value="${CURRENT_NUMBERS}">Current Numbers</option>${options}`;
+      const fallback = [CURRENT_NUMBERS, scenarios.length ? scenarios[0].id : CURRENT_NUMBERS, ''][index];
+      select.value = picked && getScenarioValues(picked) ? picked : fallback;
+    });
+  }
+
+  // Opens a scenario: its values replace everything on the Tools and Cost pages
+  async function openScenario(scenarioId) {
+    await saveCalculatorValues(); // Unsaved edits belong to the scenario that was open
+    activeScenarioId = scenarioId;
+    scenarioShareLink.classList.add('hidden');
+    const scenario = getActiveScenario();
+    const userProfileRef = getUserProfileRef();
+    if (!userProfileRef) return;
+
+    let values = null;
+    if (scenario) {
+      values = Object.fromEntries(scenarioInputs.map(input => [input.id, getDefaultInputValue(input)]));
+      values['cost-devices'] = defaultCostDevices;
+      Object.assign(values, scenario.values);
+      // Device rows are edited in place, so never hand over the saved list itself
+      values['cost-devices'] = (values['cost-devices'] || []).map(device => ({ ...device }));
+      applyCalculatorValues(values);
+    }
+    renderScenarioOptions();
+
+    try {
+      await setDoc(userProfileRef, {
+        activeScenario: scenarioId,
+        ...(values ? { calculators: values } : {})
+      }, { merge: true });
+    } catch (error) {
+      console.error("Error opening scenario: ", error);
+      setScenarioMessage('Error: Could not switch scenarios.', 'error');
+    }
+  }
+
+  scenarioSelect.addEventListener('change', () => openScenario(scenarioSelect.value));
+
+  function getScenarioName() {
+    const name = scenarioNameInput.value.trim();
+    if (!name) {
+      setScenarioMessage('Error: Give the scenario a name first.', 'error');
+      return null;
+    }
+    return name.slice(0, SCENARIO_NAME_MAX);
+  }
+
+  async function createScenario(name, values) {
+    const scenarioRef = await addDoc(getScenariosCollectionRef(), {
+      name: name,
+      values: values,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp()
+    });
+    scenarios.push({ id: scenarioRef.id, name, values }); // Don't wait for the listener
+    await openScenario(scenarioRef.id);
+  }
+
+  document.getElementById('scenario-save-new-btn').addEventListener('click', async () => {
+    if (!currentUserId) return;
+    const name = getScenarioName();
+    if (!name) return;
+    try {
+      await createScenario(name, getCurrentScenarioValues());
+      setScenarioMessage(`Saved "${name}". Changes you make now are saved to it.`, 'success');
+    } catch (error) {
+      console.error("Error saving scenario: ", error);
+      setScenarioMessage('Error: Could not save scenario.', 'error');
+    }
+  });
+
+  document.getElementById('scenario-rename-btn').addEventListener('click', async () => {
+    const scenario = getActiveScenario();
+    if (!scenario) {
+      setScenarioMessage('Error: Open a scenario to rename it.', 'error');
+      return;
+    }
+    const name = getScenarioName();
+    if (!name) return;
+    try {
+      await updateDoc(doc(getScenariosCollectionRef(), scenario.id), { name: name, updatedAt: serverTimestamp() });
+      setScenarioMessage('Renamed!', 'success');
+    } catch (error) {
+      console.error("Error renaming scenario: ", error);
+      setScenarioMessage('Error: Could not rename scenario.', 'error');
+    }
+  });
+
+  document.getElementById('scenario-duplicate-btn').addEventListener('click', async () => {
+    const scenario = getActiveScenario();
+    if (!scenario) {
+      setScenarioMessage('Error: Open a scenario to duplicate it.', 'error');
+      return;
+    }
+    const name = `${scenario.name} (Copy)`.slice(0, SCENARIO_NAME_MAX);
+    try {
+      await createScenario(name, getCurrentScenarioValues());
+      setScenarioMessage(`Duplicated. You're now editing "${name}".`, 'success');
+    } catch (error) {
+      console.error("Error duplicating scenario: ", error);
+      setScenarioMessage('Error: Could not duplicate scenario.', 'error');
+    }
+  });
+
+  document.getElementById('scenario-delete-btn').addEventListener('click', async () => {
+    const scenario = getActiveScenario();
+    if (!scenario) {
+      setScenarioMessage('Error: Open a scenario to delete it.', 'error');
+      return;
+    }
+    if (!confirm(`Delete "${scenario.name}"?${scenario.shareId ? ' Its share link will stop working.' : ''} The numbers on screen stay as they are.`)) return;
+    try {
+      const batch = writeBatch(db);
+      batch.delete(doc(getScenariosCollectionRef(), scenario.id));
+      if (scenario.shareId) batch.delete(doc(db, 'sharedScenarios', scenario.shareId));
+      await batch.commit();
+      await openScenario('');
+      setScenarioMessage('Scenario deleted.', 'success');
+    } catch (error) {
+      console.error("Error deleting scenario: ", error);
+      setScenarioMessage('Error: Could not delete scenario.', 'error');
+    }
+  });
+
+  // Publishes (or refreshes) a read-only copy of the open scenario's cost numbers
+  document.getElementById('scenario-share-btn').addEventListener('click', async () => {
+    const scenario = getActiveScenario();
+    if (!scenario) {
+      setScenarioMessage('Error: Save your numbers as a scenario first, then share it.', 'error');
+      return;
+    }
+    const nameProblem = findContentProblem(scenario.name, SCENARIO_NAME_MAX, 'Scenario name');
+    if (nameProblem) {
+      setScenarioMessage(nameProblem, 'error');
+      return;
+    }
+
+    const shareRef = scenario.shareId ? doc(db, 'sharedScenarios', scenario.shareId) : doc(collection(db, 'sharedScenarios'));
+    try {
+      const batch = writeBatch(db);
+      batch.set(shareRef, {
+        userId: currentUserId,
+        name: scenario.name,
+        values: getCurrentCostValues(),
+        sharedAt: serverTimestamp()
+      });
+      batch.update(doc(getScenariosCollectionRef(), scenario.id), { shareId: shareRef.id });
+      await batch.commit();
+
+      const shareUrl = new URL(`#/cost-calc/scenario/${shareRef.id}`, window.location.href).href;
+      scenarioShareLink.value = shareUrl;
+      scenarioShareLink.classList.remove('hidden');
+      scenarioShareLink.select();
+      const copied = await navigator.clipboard?.writeText(shareUrl).then(() => true, () => false);
+      setScenarioMessage(`${copied ? 'Link copied!' : 'Here\'s your link.'} It shows the numbers as of now, so press Share again after changing them.`, 'success');
+    } catch (error) {
+      console.error("Error sharing scenario: ", error);
+      setScenarioMessage(error.code === 'permission-denied'
+        ? 'Error: That scenario broke a community rule, or your account can\'t share right now.'
+        : 'Error: Could not share scenario.', 'error');
+    }
+  });
+
+  scenarioShareLink.addEventListener('click', () => scenarioShareLink.select());
+
+  // --- Scenario Comparison Table ---
+  const formatDollars = (value) => `$${value.toFixed(2)}`;
+
+  // Rows marked "better" get the best column highlighted and the gap shown on the rest
+  const COMPARE_ROWS = [
+    { label: 'Plant Type', show: (values) => values['cost-grow-type'] === 'autoflower' ? 'Autoflower' : 'Photoperiod' },
+    { label: 'Light Schedule', show: (values) => getCostStages(values).map(stage => `${stage.name}: ${stage.days}d @ ${stage.lightHours}h`).join(', ') },
+    { label: 'Grow Light', show: (values) => `${parseFloat(values['cost-light-watts']) || 0} W` },
+    { label: 'Other Devices', show: (values) => (values['cost-devices'] || []).map(device => `${device.name || 'Device'} ${device.watts || 0}W`).join(', ') || 'None' },
+    { label: 'Electric Rate', show: (values) => `${parseFloat(values['cost-kwh-rate']) || 0}¢ / kWh` },
+    { label: 'Expected Yield', show: (values) => `${parseFloat(values['cost-yield-grams']) || 0} g` },
+    { label: 'Dispensary Price', show: (values) => `${formatDollars(parseFloat(values['cost-dispensary-price']) || 0)} / g` },
+    { label: 'One-Time Setup', value: (cost) => cost.totalOnetime, format: formatDollars },
+    { label: 'Electricity (Per Grow)', value: (cost) => cost.electricity.totalCost, format: formatDollars, better: 'lower' },
+    { label: 'Recurring (Per Grow)', value: (cost) => cost.totalRecurring, format: formatDollars },
+    { label: 'First Grow Total', value: (cost) => cost.totalFirstGrowCost, format: formatDollars },
+    { label: 'Cost Per Gram (First Grow)', value: (cost) => cost.costPerGramFirst, format: formatDollars, better: 'lower' },
+    { label: 'Cost Per Gram (After)', value: (cost) => cost.costPerGramFuture, format: formatDollars, better: 'lower' },
+    { label: 'Harvest Value', value: (cost) => cost.harvestValue, format: formatDollars },
+    { label: 'Savings (This Grow)', value: (cost) => cost.totalSavings, format: formatDollars, better: 'higher' }
+  ];
+
+  // columns: [{ name, values }] -> a table with one column per scenario
+  function getComparisonTableHTML(columns) {
+    const costs = columns.map(column => computeGrowCost(column.values));
+    const rows = COMPARE_ROWS.map(row => {
+      if (row.show) {
+        return `<tr><th scope="row">${row.label}</th>${columns.map(column => `<td>${escapeHTML(row.show(column.values))}</td>`).join('')}</tr>`;
+      }
+      const numbers = costs.map(row.value);
+      const best = row.better === 'lower' ? Math.min(...numbers) : Math.max(...numbers);
+      const allSame = numbers.every(number => Math.abs(number - numbers[0]) < 0.005);
+      const cells = numbers.map(number => {
+        if (!row.better || allSame) return `<td>${row.format(number)}</td>`;
+        if (Math.abs(number - best) < 0.005) return `<td class="compare-best">${row.format(number)} <span>✓ Best</span></td>`;
+        const gap = Math.abs(number - best);
+        return `<td class="compare-worse">${row.format(number)} <span>(${row.better === 'lower' ? '+' : '-'}${row.format(gap)})</span></td>`;
+      }).join('');
+      return `<tr class="${row.better ? 'compare-key-row' : ''}"><th scope="row">${row.label}</th>${cells}</tr>`;
+    }).join('');
+
+    return `
+      <div class="compare-table-wrap">
+        <table class="compare-table">
+          <thead><tr><th></th>${columns.map(column => `<th scope="col">${escapeHTML(column.name)}</th>`).join('')}</tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function renderScenarioComparison() {
+    if (!compareOutput) return;
+    const columns = [...compareSelects]
+      .map(select => ({ pick: select.value, values: getScenarioValues(select.value) }))
+      .filter(column => column.values)
+      .map(column => ({
+        name: column.pick === CURRENT_NUMBERS ? 'Current Numbers' : scenarios.find(s => s.id === column.pick).name,
+        values: column.values
+      }));
+
+    compareOutput.innerHTML = columns.length < 2 || !scenarios.length
+      ? '<p class="text-sm text-gray-500 italic">Save at least one scenario above, then pick two or three to compare.</p>'
+      : getComparisonTableHTML(columns);
+  }
+
+  compareSelects.forEach(select => select.addEventListener('change', renderScenarioComparison));
+
+  // --- Shared Scenario View (Read-Only) ---
+  // Opened from a #/cost-calc/scenario/<shareId> link
+  async function showSharedScenario(shareId) {
+    if (!currentUserId) return; // Tried again once auth is ready
+
+    sharedScenarioView.classList.remove('hidden');
+    sharedScenarioView.innerHTML = '<p class="text-center text-gray-600 italic">Loading shared scenario...</p>';
+    try {
+      const shareSnap = await getDoc(doc(db, 'sharedScenarios', shareId));
+      if (!shareSnap.exists()) {
+        sharedScenario = null;
+        sharedScenarioView.innerHTML = '<p class="text-center text-red-500 italic">This scenario isn\'t shared anymore (or the link is wrong).</p>';
+        return;
+      }
+      sharedScenario = { id: shareSnap.id, ...shareSnap.data() };
+      const isOwn = sharedScenario.userId === currentUserId;
+
+      sharedScenarioView.innerHTML = `
+        <div class="shared-scenario">
+          <h3 class="text-brand-green mt-0">📤 Shared Scenario: ${escapeHTML(sharedScenario.name)}</h3>
+          <p class="text-sm text-gray-400">Shared by ${getAuthorChipHTML(sharedScenario.userId)}${isOwn ? ' (you)' : ''}. These numbers are read-only, next to your own for comparison.</p>
+          ${getComparisonTableHTML([
+            { name: sharedScenario.name, values: sharedScenario.values },
+            { name: 'Your Current Numbers', values: getCurrentCostValues() }
+          ])}
+          <div class="flex flex-wrap gap-2 mt-4">
+            ${isOwn ? '' : '<button type="button" id="shared-scenario-copy-btn" class="gallery-upload-btn">Save a Copy to My Scenarios</button>'}
+            <a href="#/cost-calc" class="route-link">Close</a>
+          </div>
+        </div>
+      `;
+      sharedScenarioView.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+      console.error("Error loading shared scenario: ", error);
+      sharedScenarioView.innerHTML = '<p class="text-center text-red-500 italic">Error loading shared scenario.</p>';
+    }
+  }
+
+  // Copying opens it as your own scenario, so it replaces the numbers on screen
+  sharedScenarioView.addEventListener('click', async (e) => {
+    if (e.target.id !== 'shared-scenario-copy-btn' || !sharedScenario) return;
+    if (!confirm('Save a copy and open it? Your current numbers are replaced on screen (open a scenario of your own to get them back).')) return;
+    e.target.disabled = true;
+    try {
+      const values = Object.fromEntries(Object.entries(sharedScenario.values).filter(([fieldId]) => isScenarioField(fieldId)));
+      await createScenario(sharedScenario.name, values);
+      navigateTo('cost-calc');
+      setScenarioMessage(`Saved "${sharedScenario.name}" to your scenarios.`, 'success');
+    } catch (error) {
+      console.error("Error copying shared scenario: ", error);
+      e.target.disabled = false;
+    }
+  });
+
+  // Helper for scenario message
+  function setScenarioMessage(message, type) {
+    scenarioMessage.textContent = message;
+    scenarioMessage.className = `text-sm text-center md:col-span-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    scenarioMessage.classList.remove('hidden');
+    setTimeout(() => scenarioMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Nutrient Mixing Calculator (Feed Charts) ---
+  // A feed chart lists how much of each bottle to add per gallon (or liter)
+  // for every week of the grow, plus the EC the mix should read at full
+  // strength. Custom charts are saved one per document in a private
+  // subcollection: user-profiles/{uid}/feedCharts/{chartId}
+  const mixChartSelect = document.getElementById('mix-chart');
+  const mixWeekSelect = document.getElementById('mix-week');
+  const mixVolume = document.getElementById('mix-volume');
+  const mixVolumeUnit = document.getElementById('mix-volume-unit');
+  const mixStrength = document.getElementById('mix-strength');
+  const mixBaseEc = document.getElementById('mix-base-ec');
+  const mixOutput = document.getElementById('mix-output');
+  const mixEcOutput = document.getElementById('mix-ec-output');
+  const mixNewChartBtn = document.getElementById('mix-new-chart-btn');
+  const mixEditChartBtn = document.getElementById('mix-edit-chart-btn');
+  const mixCopyChartBtn = document.getElementById('mix-copy-chart-btn');
+
+  const feedChartEditor = document.getElementById('feed-chart-editor');
+  const feedChartName = document.getElementById('feed-chart-name');
+  const feedChartUnit = document.getElementById('feed-chart-unit');
+  const feedChartBottles = document.getElementById('feed-chart-bottles');
+  const feedChartWeeks = document.getElementById('feed-chart-weeks');
+  const feedChartAddWeekBtn = document.getElementById('feed-chart-add-week-btn');
+  const feedChartSaveBtn = document.getElementById('feed-chart-save-btn');
+  const feedChartDeleteBtn = document.getElementById('feed-chart-delete-btn');
+  const feedChartCancelBtn = document.getElementById('feed-chart-cancel-btn');
+  const feedChartMessage = document.getElementById('feed-chart-message');
+
+  const LITERS_PER_GALLON = 3.78541;
+
+  // Starter charts so the tool works before anyone builds their own.
+  // These are light, general-purpose schedules - always check your bottle's label.
+  const BUILT_IN_FEED_CHARTS = [
+    {
+      id: 'example-3-part',
+      name: 'Example 3-Part (Micro / Grow / Bloom)',
+      unit: 'ml/gal',
+      bottles: ['Micro', 'Grow', 'Bloom'],
+      weeks: [
+        { label: 'Seedling', doses: [1.25, 1.25, 1.25], ec: 0.6 },
+        { label: 'Veg Week 1', doses: [2.5, 3.75, 1.25], ec: 1.0 },
+        { label: 'Veg Week 2+', doses: [5, 7.5, 2.5], ec: 1.3 },
+        { label: 'Transition (Flip)', doses: [5, 5, 5], ec: 1.4 },
+        { label: 'Flower Weeks 1-2', doses: [5, 2.5, 7.5], ec: 1.5 },
+        { label: 'Flower Weeks 3-6', doses: [5, 2.5, 10], ec: 1.6 },
+        { label: 'Ripen', doses: [2.5, 0, 7.5], ec: 1.2 },
+        { label: 'Flush', doses: [0, 0, 0], ec: 0 }
+      ]
+    },
+    {
+      id: 'example-coco-ab',
+      name: 'Example Coco A+B with Cal-Mag',
+      unit: 'ml/L',
+      bottles: ['Cal-Mag', 'Part A', 'Part B'],
+      weeks: [
+        { label: 'Seedling', doses: [0.5, 1, 1], ec: 0.8 },
+        { label: 'Early Veg', doses: [0.75, 2, 2], ec: 1.2 },
+        { label: 'Late Veg', doses: [1, 3, 3], ec: 1.6 },
+        { label: 'Early Flower', doses: [1, 3.5, 3.5], ec: 1.8 },
+        { label: 'Peak Flower', doses: [1, 4, 4], ec: 2.0 },
+        { label: 'Late Flower', doses: [0.75, 3, 3], ec: 1.6 },
+        { label: 'Flush', doses: [0, 0, 0], ec: 0 }
+      ]
+    }
+  ];
+
+  let customFeedCharts = [];
+  let unsubscribeFeedCharts = null;
+  let selectedMixChartId = BUILT_IN_FEED_CHARTS[0].id;
+  let selectedMixWeek = 0;
+  let editingFeedChartId = null; // null while building a brand new chart
+
+  // Function to get a reference to the user's private feed charts subcollection
+  function getFeedChartsCollectionRef() {
+    if (!currentUserId) return null;
+    return collection(db, 'user-profiles', currentUserId, 'feedCharts');
+  }
+
+  function getAllFeedCharts() {
+    return [
+      ...BUILT_IN_FEED_CHARTS.map(chart => ({ ...chart, builtIn: true })),
+      ...customFeedCharts
+    ];
+  }
+
+  function getSelectedFeedChart() {
+    const charts = getAllFeedCharts();
+    return charts.find(chart => chart.id === selectedMixChartId) || charts[0];
+  }
+
+  // Load and listen for the user's custom charts
+  function loadFeedCharts() {
+    const feedChartsRef = getFeedChartsCollectionRef();
+    if (!feedChartsRef || !mixChartSelect) return;
+
+    // Only keep one listener alive if auth state fires more than once
+    if (unsubscribeFeedCharts) unsubscribeFeedCharts();
+
+    const q = query(feedChartsRef, orderBy('name', 'asc'));
+    unsubscribeFeedCharts = onSnapshot(q, (querySnapshot) => {
+      customFeedCharts = [];
+      querySnapshot.forEach((chartDoc) => {
+        customFeedCharts.push({ id: chartDoc.id, ...chartDoc.data() });
+      });
+      renderMixChartOptions();
+      calculateNutrientMix();
+    }, (error) => {
+      console.error("Error loading feed charts: ", error);
+    });
+  }
+
+  function renderMixChartOptions() {
+    if (!mixChartSelect) return;
+    const optionFor = (chart) => `<option value="${escapeHTML(chart.id)}">${escapeHTML(chart.name)}</option>`;
+    mixChartSelect.innerHTML = `
+      <optgroup label="Built-in Examples">${BUILT_IN_FEED_CHARTS.map(optionFor).join('')}</optgroup>
+      ${customFeedCharts.length > 0 ? `<optgroup label="My Charts">${customFeedCharts.map(optionFor).join('')}</optgroup>` : ''}
+    `;
+    // Keep the saved pick even if it's a custom chart that hasn't loaded yet
+    mixChartSelect.value = getSelectedFeedChart().id;
+    renderMixWeekOptions();
+  }
+
+  function renderMixWeekOptions() {
+    const chart = getSelectedFeedChart();
+    mixWeekSelect.innerHTML = chart.weeks.map((week, i) =>
+      `<option value="${i}">${escapeHTML(week.label || `Week ${i + 1}`)}</option>`
+    ).join('');
+    mixWeekSelect.value = Math.min(Math.max(0, selectedMixWeek), Math.max(0, chart.weeks.length - 1));
+
+    // Built-in charts can only be copied, custom charts can be edited
+    mixEditChartBtn.classList.toggle('hidden', !!chart.builtIn);
+    mixCopyChartBtn.classList.toggle('hidden', !chart.builtIn);
+  }
+
+  function calculateNutrientMix() {
+    if (!mixChartSelect || !mixOutput || !mixEcOutput) return;
+    const chart = getSelectedFeedChart();
+    const week = chart.weeks[parseInt(mixWeekSelect.value, 10)];
+    if (!week) {
+      mixOutput.innerHTML = '<p class="text-gray-600 italic">This chart has no weeks yet.</p>';
+      mixEcOutput.textContent = '-';
+      mixEcOutput.className = 'calc-output flex items-center justify-center';
+      return;
+    }
+
+    const volume = parseFloat(mixVolume.value) || 0;
+    const strength = (parseFloat(mixStrength.value) || 0) / 100;
+    const baseEc = parseFloat(mixBaseEc.value) || 0;
+
+    // Convert the reservoir into the chart's unit (gallons or liters)
+    let chartVolume = volume;
+    if (chart.unit === 'ml/gal' && mixVolumeUnit.value === 'L') chartVolume = volume / LITERS_PER_GALLON;
+    if (chart.unit === 'ml/L' && mixVolumeUnit.value === 'gal') chartVolume = volume * LITERS_PER_GALLON;
+
+    mixOutput.innerHTML = chart.bottles.map((bottle, i) => {
+      const dose = (week.doses[i] || 0) * chartVolume * strength;
+      return `
+        <div class="mix-dose">
+          <span class="block text-sm text-gray-400">${escapeHTML(bottle)}</span>
+          <span class="mix-dose-value">${dose.toFixed(1)} ml</span>
+        </div>
+      `;
+    }).join('');
+
+    if (typeof week.ec !== 'number') {
+      mixEcOutput.textContent = 'No EC listed for this week';
+      mixEcOutput.className = 'calc-output flex items-center justify-center';
+      return;
+    }
+
+    // The chart's EC is what the nutrients add, so start from the plain water
+    const expectedEc = baseEc + week.ec * strength;
+    const ppmText = PPM_SCALES.map(scale => `${(expectedEc * scale).toFixed(0)} PPM (${scale})`).join(' · ');
+    mixEcOutput.textContent = `EC ${expectedEc.toFixed(2)} · ${ppmText}`;
+    mixEcOutput.className = 'calc-output flex items-center justify-center calc-output-green';
+  }
+
+  mixChartSelect.addEventListener('input', () => {
+    selectedMixChartId = mixChartSelect.value;
+    selectedMixWeek = 0; // Week lists differ between charts
+    debouncedSave('mix-week', '0');
+    renderMixWeekOptions();
+  });
+
+  mixWeekSelect.addEventListener('input', () => {
+    selectedMixWeek = parseInt(mixWeekSelect.value, 10) || 0;
+  });
+
+  // --- Custom Feed Chart Editor ---
+  function getEditorBottles() {
+    return feedChartBottles.value.split(',').map(bottle => bottle.trim()).filter(Boolean);
+  }
+
+  // Read the week rows back out of the editor table
+  function readEditorWeeks() {
+    return Array.from(feedChartWeeks.querySelectorAll('tr[data-week-row]')).map(row => {
+      const ec = parseFloat(row.querySelector('[data-week-ec]').value);
+      return {
+        label: row.querySelector('[data-week-label]').value.trim(),
+        doses: Array.from(row.querySelectorAll('[data-week-dose]')).map(input => parseFloat(input.value) || 0),
+        ec: isNaN(ec) ? null : ec
+      };
+    });
+  }
+
+  function renderEditorWeeks(weeks) {
+    const bottles = getEditorBottles();
+    if (bottles.length === 0) {
+      feedChartWeeks.innerHTML = '<p class="text-gray-600 italic">List your bottles above to start adding weeks.</p>';
+      return;
+    }
+
+    const header = bottles.map(bottle => `<th>${escapeHTML(bottle)}</th>`).join('');
+    const rows = weeks.map((week, i) => `
+      <tr data-week-row>
+        <td><input type="text" data-week-label value="${escapeHTML(week.label || `Week ${i + 1}`)}" class="calc-input w-full"></td>
+        ${bottles.map((_, b) => `<td><input type="number" data-week-dose step="0.25" min="0" value="${week.doses[b] || 0}" class="calc-input w-full"></td>`).join('')}
+        <td><input type="number" data-week-ec step="0.1" min="0" value="${typeof week.ec === 'number' ? week.ec : ''}" class="calc-input w-full"></td>
+        <td><button type="button" class="plant-status-btn" data-remove-week>✕</button></td>
+      </tr>
+    `).join('');
+
+    feedChartWeeks.innerHTML = `
+      <table>
+        <thead><tr><th>Week</th>${header}<th>EC</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  function openFeedChartEditor(chart, chartId) {
+    editingFeedChartId = chartId;
+    feedChartName.value = chart.name;
+    feedChartUnit.value = chart.unit;
+    feedChartBottles.value = chart.bottles.join(', ');
+    renderEditorWeeks(chart.weeks);
+    feedChartDeleteBtn.classList.toggle('hidden', !chartId);
+    feedChartMessage.classList.add('hidden');
+    feedChartEditor.classList.remove('hidden');
+    feedChartEditor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  mixNewChartBtn.addEventListener('click', () => {
+    openFeedChartEditor({
+      name: '',
+      unit: 'ml/gal',
+      bottles: ['Part A', 'Part B'],
+      weeks: [{ label: 'Week 1', doses: [], ec: null }]
+    }, null);
+  });
+
+  mixEditChartBtn.addEventListener('click', () => {
+    const chart = getSelectedFeedChart();
+    if (chart.builtIn) return;
+    openFeedChartEditor(chart, chart.id);
+  });
+
+  mixCopyChartBtn.addEventListener('click', () => {
+    const chart = getSelectedFeedChart();
+    openFeedChartEditor({ ...chart, name: `${chart.name} (My Copy)` }, null);
+  });
+
+  // Changing the bottle list redraws the columns but keeps the numbers typed so far
+  feedChartBottles.addEventListener('input', () => {
+    renderEditorWeeks(readEditorWeeks());
+  });
+
+  feedChartAddWeekBtn.addEventListener('click', () => {
+    const weeks = readEditorWeeks();
+    // Start the new week as a copy of the last one, since most weeks only change a little
+    const lastWeek = weeks[weeks.length - 1];
+    weeks.push({
+      label: `Week ${weeks.length + 1}`,
+      doses: lastWeek ? [...lastWeek.doses] : [],
+      ec: lastWeek ? lastWeek.ec : null
+    });
+    renderEditorWeeks(weeks);
+  });
 
-  const outputOnetimeCost = document.getElementById('output-onetime-cost');
-  const outputElectricCost = document.getElementById('output-electric-cost');
-  const outputRecurringCost = document.getElementById('output-recurring-cost');
-  const outputTotalCost = document.getElementById('output-total-cost');
-  const outputCostPerGram = document.getElementById('output-cost-per-gram');
-  const outputCostPerGramFuture = document.getElementById('output-cost-per-gram-future');
-  const outputHarvestValue = document.getElementById('output-harvest-value');
-  const outputTotalSavings = document.getElementById('output-total-savings');
+  feedChartWeeks.addEventListener('click', (e) => {
+    const removeBtn = e.target.closest('[data-remove-week]');
+    if (!removeBtn) return;
+    removeBtn.closest('tr').remove();
+  });
 
-  function calculateVPD() {
-    if (!vpdTemp || !vpdRh || !vpdOutput) return;
-    const T = parseFloat(vpdTemp.value); // Temp in Celsius
-    const RH = parseFloat(vpdRh.value); // RH in %
+  feedChartCancelBtn.addEventListener('click', () => {
+    feedChartEditor.classList.add('hidden');
+  });
 
-    if (isNaN(T) || isNaN(RH)) return;
+  feedChartSaveBtn.addEventListener('click', async () => {
+    const feedChartsRef = getFeedChartsCollectionRef();
+    if (!feedChartsRef) {
+      setFeedChartMessage('Error: You must be signed in to save a chart.', 'error');
+      return;
+    }
 
-    // Saturation Vapor Pressure (SVP) using Buck's equation
-    const SVP = 0.61121 * Math.exp(((18.678 - T / 234.5) * (T / (257.14 + T))));
-    
-    // Vapor Pressure Deficit (VPD) in kPa
-    const VPD = SVP * (1 - (RH / 100));
-    
-    let vpdText = `${VPD.toFixed(2)} kPa`;
-    let colorClass = 'calc-output-green'; // Default green
+    const name = feedChartName.value.trim();
+    const bottles = getEditorBottles();
+    const weeks = readEditorWeeks().map(week => ({
+      ...week,
+      doses: bottles.map((_, i) => week.doses[i] || 0)
+    }));
 
-    if (VPD < 0.4) {
-      vpdText += " (Too Low - Mold Risk)";
-      colorClass = 'calc-output-blue';
-    } else if (VPD >= 0.4 && VPD < 0.8) {
-      vpdText += " (Ideal for Seedlings)";
-      colorClass = 'calc-output-blue';
-    } else if (VPD >= 0.8 && VPD <= 1.2) {
-      vpdText += " (Ideal for Veg)";
-    } else if (VPD > 1.2 && VPD <= 1.6) {
-      vpdText += " (Ideal for Flower)";
-    } else if (VPD > 1.6) {
-      vpdText += " (Too High - Stress)";
-      colorClass = 'calc-output-red';
+    if (!name) {
+      setFeedChartMessage('Error: Give your chart a name.', 'error');
+      return;
+    }
+    if (bottles.length === 0 || weeks.length === 0) {
+      setFeedChartMessage('Error: A chart needs at least one bottle and one week.', 'error');
+      return;
     }
-    
-    vpdOutput.textContent = vpdText;
-    vpdOutput.className = `calc-output flex items-center justify-center ${colorClass}`;
-  }
 
-  function calculateDLI() {
-    if (!dliPpfd || !dliHours || !dliOutput) return;
-    const ppfd = parseFloat(dliPpfd.value);
-    const hours = parseFloat(dliHours.value);
-    
-    if (isNaN(ppfd) || isNaN(hours)) return;
+    const chartData = {
+      name: name,
+      unit: feedChartUnit.value,
+      bottles: bottles,
+      weeks: weeks,
+      updatedAt: serverTimestamp()
+    };
 
-    // DLI = (PPFD * hours * 3600) / 1,000,000
-    const dli = (ppfd * hours * 3600) / 1000000;
+    try {
+      if (editingFeedChartId) {
+        await setDoc(doc(feedChartsRef, editingFeedChartId), chartData);
+      } else {
+        const chartRef = await addDoc(feedChartsRef, chartData);
+        editingFeedChartId = chartRef.id;
+        feedChartDeleteBtn.classList.remove('hidden');
+      }
+      // Switch the mixer over to the chart that was just saved
+      selectedMixChartId = editingFeedChartId;
+      debouncedSave('mix-chart', editingFeedChartId);
+      renderMixChartOptions();
+      calculateNutrientMix();
+      setFeedChartMessage('Chart saved to your profile!', 'success');
+    } catch (error) {
+      console.error("Error saving feed chart: ", error);
+      setFeedChartMessage('Error: Could not save chart.', 'error');
+    }
+  });
 
-    let dliText = `${dli.toFixed(2)} mol/m²/day`;
-    let colorClass = 'calc-output-green';
+  feedChartDeleteBtn.addEventListener('click', async () => {
+    const feedChartsRef = getFeedChartsCollectionRef();
+    if (!feedChartsRef || !editingFeedChartId) return;
+    if (!confirm(`Delete "${feedChartName.value}"? This can't be undone.`)) return;
 
-    if (dli < 15) {
-      dliText += " (Seedlings)";
-      colorClass = 'calc-output-blue';
-    } else if (dli >= 15 && dli < 30) {
-      dliText += " (Good for Veg)";
-    } else if (dli >= 30 && dli < 45) {
-      dliText += " (Great for Flower)";
-    } else if (dli > 45) {
-      dliText += " (Max Yield / CO2)";
-      colorClass = 'calc-output-red';
+    try {
+      await deleteDoc(doc(feedChartsRef, editingFeedChartId));
+      editingFeedChartId = null;
+      feedChartEditor.classList.add('hidden');
+    } catch (error) {
+      console.error("Error deleting feed chart: ", error);
+      setFeedChartMessage('Error: Could not delete chart.', 'error');
     }
-    
-    dliOutput.textContent = dliText;
-    dliOutput.className = `calc-output flex items-center justify-center ${colorClass}`;
+  });
+
+  // Helper for feed chart message
+  function setFeedChartMessage(message, type) {
+    feedChartMessage.textContent = message;
+    feedChartMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    feedChartMessage.classList.remove('hidden');
+    setTimeout(() => feedChartMessage.classList.add('hidden'), 4000);
   }
-  
-  function calculatePPM() {
-    if (!ecInput || !ppmScale || !ppmOutput) return;
-    const ec = parseFloat(ecInput.value);
-    const scale = parseFloat(ppmScale.value);
-    
-    if (isNaN(ec)) return;
 
-    const ppm = ec * scale;
-    
-    ppmOutput.textContent = `${ppm.toFixed(0)} PPM (${scale} Scale)`;
-    ppmOutput.className = 'calc-output flex items-center justify-center calc-output-green';
+  renderMixChartOptions();
+
+  // --- Outdoor Planner (Ohio Frost Dates & Calendar Export) ---
+  // Builds an outdoor season around the county's typical frost dates:
+  //   transplant = 2 weeks after the last spring frost (the safe side)
+  //   germinate/harden off = counted back from transplant
+  //   flowering = mid-August for photoperiods (the days decide), or a
+  //               few weeks after sprouting for autoflowers
+  //   harvest = flowering start + the strain's flowering time
+  const plannerLocation = document.getElementById('planner-location');
+  const plannerCountyOptions = document.getElementById('planner-county-options');
+  const plannerStrainType = document.getElementById('planner-strain-type');
+  const plannerFlowerWeeks = document.getElementById('planner-flower-weeks');
+  const plannerLocationOutput = document.getElementById('planner-location-output');
+  const plannerSchedule = document.getElementById('planner-schedule');
+  const plannerWarnings = document.getElementById('planner-warnings');
+  const plannerExportBtn = document.getElementById('planner-export-btn');
+
+  const PLANNER_TIMING = {
+    photoperiod: { indoorDays: 28, hardenOffDays: 7 },
+    autoflower: { indoorDays: 14, hardenOffDays: 5, vegDays: 28 }
+  };
+  const DAYS_AFTER_LAST_FROST = 14;
+  const PHOTOPERIOD_FLOWER_START = '08-15';
+  // Cold rain and heavy dew from here on is when outdoor bud rot hits hardest
+  const BUD_ROT_SEASON_START = '10-15';
+
+  let currentPlan = null; // { county, year, milestones } for the .ics export
+
+  plannerCountyOptions.innerHTML = Object.keys(OHIO_FROST_DATES)
+    .map(county => `<option value="${escapeHTML(county)}">`).join('');
+
+  // "Franklin", "franklin county" or a ZIP like "43215" -> 'Franklin'
+  function findPlannerCounty(text) {
+    const value = text.trim();
+    if (/^\d{5}$/.test(value)) return OHIO_ZIP_PREFIX_COUNTIES[value.slice(0, 3)] || null;
+    const name = value.replace(/\s+county$/i, '').toLowerCase();
+    return Object.keys(OHIO_FROST_DATES).find(county => county.toLowerCase() === name) || null;
   }
 
-  function calculateCost() {
-    // Check if all elements exist
-    if (!costOnetimeTent || !costOnetimeLight || !costOnetimeOther ||
-        !costRecurringSeeds || !costRecurringSoil || !costRecurringNutrients ||
-        !costLightWatts || !costKwhRate || !costTotalDays || !costYieldGrams ||
-        !costDispensaryPrice || !outputOnetimeCost || !outputElectricCost ||
-        !outputRecurringCost || !outputTotalCost || !outputCostPerGram ||
-        !outputCostPerGramFuture || !outputHarvestValue || !outputTotalSavings) {
-      console.error("One or more cost calculator elements are missing.");
-      return; 
+  // 'MM-DD' in the given year, as a local date
+  function getSeasonDate(year, monthDay) {
+    const [month, day] = monthDay.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+  }
+
+  function calculateOutdoorPlan() {
+    if (!plannerLocation || !plannerSchedule) return;
+    const county = findPlannerCounty(plannerLocation.value);
+    const flowerWeeks = parseInt(plannerFlowerWeeks.value, 10);
+    const strainType = plannerStrainType.value;
+
+    currentPlan = null;
+    plannerExportBtn.disabled = true;
+    plannerSchedule.innerHTML = '';
+    plannerWarnings.innerHTML = '';
+
+    if (!plannerLocation.value.trim()) {
+      plannerLocationOutput.textContent = 'Enter your county or ZIP to see your dates.';
+      return;
     }
+    if (!county) {
+      plannerLocationOutput.textContent = 'We couldn\'t find that Ohio county or ZIP. Try the county name, e.g., "Hamilton".';
+      return;
+    }
+    if (isNaN(flowerWeeks) || flowerWeeks <= 0) return;
 
-    // Get all values, parseFloat to ensure they are numbers
-    const onetimeTent = parseFloat(costOnetimeTent.value) || 0;
-    const onetimeLight = parseFloat(costOnetimeLight.value) || 0;
-    const onetimeOther = parseFloat(costOnetimeOther.value) || 0;
+    // Plan this year's season, or next year's once this one is over
+    const frostDates = OHIO_FROST_DATES[county];
+    const today = new Date();
+    const year = today > getSeasonDate(today.getFullYear(), frostDates.firstFrost)
+      ? today.getFullYear() + 1
+      : today.getFullYear();
+    const lastFrost = getSeasonDate(year, frostDates.lastFrost);
+    const firstFrost = getSeasonDate(year, frostDates.firstFrost);
 
-    const recurringSeeds = parseFloat(costRecurringSeeds.value) || 0;
-    const recurringSoil = parseFloat(costRecurringSoil.value) || 0;
-    const recurringNutrients = parseFloat(costRecurringNutrients.value) || 0;
+    const timing = PLANNER_TIMING[strainType];
+    const transplant = addDays(lastFrost, DAYS_AFTER_LAST_FROST);
+    const germinate = addDays(transplant, -timing.indoorDays);
+    const flowerStart = strainType === 'autoflower'
+      ? addDays(germinate, timing.vegDays)
+      : getSeasonDate(year, PHOTOPERIOD_FLOWER_START);
+    const harvest = addDays(flowerStart, flowerWeeks * 7);
 
-    const lightWatts = parseFloat(costLightWatts.value) || 0;
-    const kwhRateCents = parseFloat(costKwhRate.value) || 0;
-    const totalDays = parseFloat(costTotalDays.value) || 0;
+    const milestones = [
+      { key: 'germinate', date: germinate, title: '🌱 Germinate seeds indoors', detail: 'Start seeds under a light inside. They go outside in a few weeks.' },
+      { key: 'harden-off', date: addDays(transplant, -timing.hardenOffDays), title: '🌤️ Start hardening off', detail: 'Put seedlings outside for a few hours a day, a little longer each day.' },
+      { key: 'last-frost', date: lastFrost, title: `❄️ Typical last frost (${county} County)`, detail: 'Half of all years still get a frost after this date. Watch the forecast.' },
+      { key: 'transplant', date: transplant, title: '🪴 Plant outside', detail: 'Two weeks past the typical last frost. Check the 10-day forecast first.' },
+      { key: 'flip', date: flowerStart, title: '🌸 Flowering starts', detail: strainType === 'autoflower' ? 'Autoflowers switch to flower on their own around now.' : 'The shorter days flip photoperiod plants into flower around now. Start BT sprays for budworms.' },
+      { key: 'harvest', date: harvest, title: '✂️ Expected harvest', detail: `${flowerWeeks} weeks of flowering. Check the trichomes, not just the calendar.` },
+      { key: 'first-frost', date: firstFrost, title: `❄️ Typical first frost (${county} County)`, detail: 'A hard frost kills outdoor plants. Everything should be down by now.' }
+    ].sort((a, b) => a.date - b.date);
 
-    const yieldGrams = parseFloat(costYieldGrams.value) || 0;
-    const dispensaryPrice = parseFloat(costDispensaryPrice.value) || 0;
+    plannerLocationOutput.textContent = `Using ${county} County: typical last frost ${formatPlannerDate(lastFrost)}, first frost ${formatPlannerDate(firstFrost)} (${year} season).`;
+    plannerSchedule.innerHTML = milestones.map(milestone => `
+      <li class="${milestone.date < today ? 'planner-past' : ''}${milestone.key === 'harvest' ? ' planner-harvest' : ''}">
+        <span class="planner-date">${formatPlannerDate(milestone.date)}</span>
+        <span><strong>${milestone.title}</strong><br><span class="text-sm text-gray-400">${milestone.detail}</span></span>
+      </li>
+    `).join('');
 
-    // --- Calculations ---
-    const totalOnetime = onetimeTent + onetimeLight + onetimeOther;
+    const warnings = [];
+    if (harvest > firstFrost) {
+      warnings.push(`<p class="planner-warning">❄️ <strong>Harvest lands after the typical first frost.</strong> Pick a faster-finishing strain${strainType === 'photoperiod' ? ' or an autoflower' : ''}, or be ready to cover the plants or move the pots inside.</p>`);
+    }
+    if (harvest >= getSeasonDate(year, BUD_ROT_SEASON_START)) {
+      warnings.push('<p class="planner-warning">🌧️ <strong>Harvest lands in the cold, wet part of fall, when bud rot is most likely.</strong> Thin the canopy, shake off the dew every morning and check the inside of your biggest buds often. See Chapter 3 below.</p>');
+    }
+    plannerWarnings.innerHTML = warnings.length
+      ? warnings.join('')
+      : '<p class="planner-ok">✅ Harvest lands before the cold fall rains and the first frost.</p>';
 
-    // Calculate electric cost
-    const kwhRateDollars = kwhRateCents / 100;
-    const totalKwh = (lightWatts / 1000) * ( (28 * 18) + ( (totalDays - 28) * 12) );
-    const electricCost = totalKwh * kwhRateDollars;
+    currentPlan = { county, year, milestones };
+    plannerExportBtn.disabled = false;
+  }
 
-    const totalRecurring = recurringSeeds + recurringSoil + recurringNutrients + electricCost;
-    const totalFirstGrowCost = totalOnetime + totalRecurring;
-    
-    const costPerGramFirst = (yieldGrams > 0) ? (totalFirstGrowCost / yieldGrams) : 0;
-    const costPerGramFuture = (yieldGrams > 0) ? (totalRecurring / yieldGrams) : 0;
-    
-    const harvestValue = yieldGrams * dispensaryPrice;
-    const totalSavings = harvestValue - totalRecurring;
-    
-    // --- Update UI ---
-    outputOnetimeCost.textContent = `$${totalOnetime.toFixed(2)}`;
-    outputElectricCost.textContent = `$${electricCost.toFixed(2)}`;
-    outputRecurringCost.textContent = `$${totalRecurring.toFixed(2)}`;
-    outputTotalCost.textContent = `$${totalFirstGrowCost.toFixed(2)}`;
-    
-    outputCostPerGram.textContent = `$${costPerGramFirst.toFixed(2)} / gram`;
-    outputCostPerGramFuture.textContent = `$${costPerGramFuture.toFixed(2)} / gram`;
-    
-    outputHarvestValue.textContent = `$${harvestValue.toFixed(2)}`;
-    outputTotalSavings.textContent = `$${totalSavings.toFixed(2)}`;
+  function formatPlannerDate(date) {
+    return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
   }
-  
+
+  // Each milestone becomes an all-day event. See RFC 5545 for the format.
+  function buildPlannerCalendar({ county, year, milestones }) {
+    const toIcsDate = (date) => `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+    const escapeIcsText = (text) => text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+    // Lines longer than 75 characters have to be folded onto indented lines
+    const foldIcsLine = (line) => line.match(/.{1,70}/gu).join('\r\n ');
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    const events = milestones.flatMap(milestone => [
+      'BEGIN:VEVENT',
+      `UID:${year}-${milestone.key}-${county.toLowerCase().replace(/\s+/g, '-')}@grohio`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(milestone.date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(addDays(milestone.date, 1))}`,
+      `SUMMARY:${escapeIcsText(milestone.title)}`,
+      `DESCRIPTION:${escapeIcsText(milestone.detail)}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]);
+
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//GROHIO//Outdoor Planner//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:GROHIO Outdoor Grow ${year}`,
+      ...events,
+      'END:VCALENDAR'
+    ].map(foldIcsLine).join('\r\n') + '\r\n';
+  }
+
+  plannerExportBtn.addEventListener('click', () => {
+    if (!currentPlan) return;
+    const blob = new Blob([buildPlannerCalendar(currentPlan)], { type: 'text/calendar;charset=utf-8' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `grohio-outdoor-${currentPlan.county.toLowerCase().replace(/\s+/g, '-')}-${currentPlan.year}.ics`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  });
+
   function runAllCalculations() {
     calculateVPD();
     calculateDLI();
+    calculateLuxToPPFD();
     calculatePPM();
+    calculateNutrientMix();
+    calculateOutdoorPlan();
+    calculateDryRoom();
+    updateCostGrowType();
     calculateCost();
+    updatePlantCounter();
+  }
+
+  // --- Strain Library (Search, Strain Pages & Grower Results) ---
+  // The strains bundled in strain-library.js, plus any that growers add:
+  //   strains/{strainKey} = { userId, name, breeder?, type, lineage, height, moldResistance,
+  //                           flowerWeeks: [min, max], thc?, cbd?, terpenes, notes?, createdAt }
+  // Any strain (bundled or added) can collect growers' results:
+  //   strains/{strainKey}/outcomes/{outcomeId} = { userId, setup, flowerWeeks?, yieldGrams?, problems?, createdAt }
+  // A strain page (#/genetics/strain/<strainKey>) also rolls up the posts and
+  // gallery photos tagged with that strain, and the grower's own plants of it.
+  const strainSearch = document.getElementById('strain-search');
+  const strainFilterType = document.getElementById('strain-filter-type');
+  const strainFilterWeeks = document.getElementById('strain-filter-weeks');
+  const strainFilterMold = document.getElementById('strain-filter-mold');
+  const strainFilterTerpene = document.getElementById('strain-filter-terpene');
+  const strainFilterHeight = document.getElementById('strain-filter-height');
+  const strainFilterThc = document.getElementById('strain-filter-thc');
+  const strainResultsCount = document.getElementById('strain-results-count');
+  const strainResults = document.getElementById('strain-results');
+  const strainLibraryOptions = document.getElementById('strain-library-options');
+  const strainAddForm = document.getElementById('strain-add-form');
+  const strainAddName = document.getElementById('strain-add-name');
+  const strainAddBreeder = document.getElementById('strain-add-breeder');
+  const strainAddType = document.getElementById('strain-add-type');
+  const strainAddLineage = document.getElementById('strain-add-lineage');
+  const strainAddHeight = document.getElementById('strain-add-height');
+  const strainAddMold = document.getElementById('strain-add-mold');
+  const strainAddWeeksMin = document.getElementById('strain-add-weeks-min');
+  const strainAddWeeksMax = document.getElementById('strain-add-weeks-max');
+  const strainAddThc = document.getElementById('strain-add-thc');
+  const strainAddCbd = document.getElementById('strain-add-cbd');
+  const strainAddTerpenes = Array.from(document.querySelectorAll('.strain-add-terpene'));
+  const strainAddNotes = document.getElementById('strain-add-notes');
+  const strainMessage = document.getElementById('strain-message');
+  const strainFocus = document.getElementById('strain-focus');
+  const strainPage = document.getElementById('strain-page');
+  const strainPosts = document.getElementById('strain-posts');
+  const strainUploads = document.getElementById('strain-uploads');
+
+  const STRAIN_TYPES = { photoperiod: 'Photoperiod', autoflower: 'Autoflower' };
+  const STRAIN_LINEAGES = { indica: 'Indica', sativa: 'Sativa', hybrid: 'Hybrid' };
+  const STRAIN_HEIGHTS = { short: 'Short', medium: 'Medium', tall: 'Tall' };
+  const MOLD_RESISTANCE = { low: 'Low', medium: 'Medium', high: 'High' };
+  const MOLD_RANK = { low: 0, medium: 1, high: 2 };
+  // KEEP IN SYNC with the strains rules in firestore.rules
+  const STRAIN_NAME_MAX = 60;
+  const STRAIN_NOTES_MAX = 300;
+  const STRAIN_WEEKS = { min: 4, max: 16 };
+  const STRAIN_THC_MAX = 40;
+  const STRAIN_CBD_MAX = 30;
+  const OUTCOME_PROBLEMS_MAX = 500;
+  const OUTCOME_YIELD_MAX = 10000;
+  const STRAIN_ROLLUP_LIMIT = 6; // Posts and photos shown on a strain page
+  const STRAIN_OUTCOMES_LIMIT = 50;
+  const ADDED_STRAINS_LIMIT = 500;
+
+  const bundledStrains = new Map(STRAIN_LIBRARY.map(strain => {
+    const key = getStrainKey(strain.name);
+    return [key, { ...strain, key, bundled: true }];
+  }));
+  let addedStrains = new Map(); // strainKey -> a strain a grower added
+  let unsubscribeStrains = null;
+  let openStrain = null; // The strain page on screen (if any)
+
+  function getTerpeneLabel(terpene) {
+    return terpene.charAt(0).toUpperCase() + terpene.slice(1);
+  }
+
+  // [8, 9] -> "8-9", [8, 8] -> "8"
+  function formatStrainRange(range) {
+    return range[0] === range[1] ? `${range[0]}` : `${range[0]}-${range[1]}`;
+  }
+
+  function findStrain(strainKey) {
+    return bundledStrains.get(strainKey) || addedStrains.get(strainKey) || null;
+  }
+
+  // A bundled strain wins if a grower added the same name
+  function getAllStrains() {
+    const added = Array.from(addedStrains.values()).filter(strain => !bundledStrains.has(strain.key));
+    return [...bundledStrains.values(), ...added].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  const terpeneOptionsHTML = Object.entries(STRAIN_TERPENES)
+    .map(([terpene, smell]) => `<option value="${terpene}">${getTerpeneLabel(terpene)} (${escapeHTML(smell)})</option>`).join('');
+  [strainFilterTerpene, ...strainAddTerpenes].forEach(select => select.insertAdjacentHTML('beforeend', terpeneOptionsHTML));
+
+  function strainMatchesFilters(strain) {
+    const search = strainSearch.value.trim().toLowerCase();
+    const maxWeeks = parseInt(strainFilterWeeks.value, 10);
+    const topThc = strain.thc ? strain.thc[1] : null;
+
+    if (search && ![strain.name, strain.breeder || '', ...strain.terpenes].some(text => text.toLowerCase().includes(search))) return false;
+    if (strainFilterType.value && strain.type !== strainFilterType.value) return false;
+    if (!isNaN(maxWeeks) && strain.flowerWeeks[1] > maxWeeks) return false;
+    if (strainFilterMold.value && MOLD_RANK[strain.moldResistance] < MOLD_RANK[strainFilterMold.value]) return false;
+    if (strainFilterTerpene.value && !strain.terpenes.includes(strainFilterTerpene.value)) return false;
+    if (strainFilterHeight.value && strain.height !== strainFilterHeight.value) return false;
+    // Strains without a THC range only show up under "Any"
+    if (strainFilterThc.value === 'low' && !(topThc !== null && topThc < 10)) return false;
+    if (strainFilterThc.value === 'high' && !(topThc !== null && topThc >= 20)) return false;
+    return true;
+  }
+
+  function getStrainCardHTML(strain) {
+    return `
+      <a href="#/genetics/strain/${encodeURIComponent(strain.key)}" class="strain-card">
+        <span class="strain-card-name">${escapeHTML(strain.name)}</span>
+        <span class="strain-card-breeder">${escapeHTML(strain.breeder || 'Breeder unknown')}${strain.bundled ? '' : ' &middot; Added by a grower'}</span>
+        <span class="strain-badges">
+          <span class="strain-badge">${STRAIN_TYPES[strain.type]}</span>
+          <span class="strain-badge">${formatStrainRange(strain.flowerWeeks)} wk flower</span>
+          <span class="strain-badge strain-mold-${strain.moldResistance}">${MOLD_RESISTANCE[strain.moldResistance]} mold resistance</span>
+        </span>
+        ${strain.terpenes.length ? `<span class="strain-card-terpenes">${strain.terpenes.map(getTerpeneLabel).join(', ')}</span>` : ''}
+      </a>
+    `;
+  }
+
+  function renderStrainResults() {
+    const strains = getAllStrains();
+    const matches = strains.filter(strainMatchesFilters);
+    strainResultsCount.textContent = `Showing ${matches.length} of ${strains.length} strains`;
+    strainResults.innerHTML = matches.length
+      ? matches.map(getStrainCardHTML).join('')
+      : '<p class="text-center text-gray-600 italic col-span-full">No strains match. Try fewer filters, or add it below.</p>';
+    // Suggested in every strain box (plants, posts, gallery)
+    strainLibraryOptions.innerHTML = strains.map(strain => `<option value="${escapeHTML(strain.name)}">`).join('');
+  }
+
+  strainSearch.addEventListener('input', debounce(renderStrainResults, 200));
+  [strainFilterType, strainFilterWeeks, strainFilterMold, strainFilterTerpene, strainFilterHeight, strainFilterThc]
+    .forEach(select => select.addEventListener('change', renderStrainResults));
+  renderStrainResults(); // The bundled strains show right away, even offline
+
+  // Load and listen for the strains growers added
+  function loadStrainLibrary() {
+    if (unsubscribeStrains) unsubscribeStrains();
+
+    const strainsQuery = query(collection(db, 'strains'), orderBy('name'), limit(ADDED_STRAINS_LIMIT));
+    unsubscribeStrains = onSnapshot(strainsQuery, (snapshot) => {
+      addedStrains = new Map(snapshot.docs.map(strainDoc => [strainDoc.id, { ...strainDoc.data(), key: strainDoc.id, bundled: false }]));
+      renderStrainResults();
+    }, (error) => {
+      console.error("Error loading strains: ", error);
+    });
+  }
+
+  // --- Adding a Strain ---
+  // "18-24", "18 - 24%" or "18" -> [18, 24] or [18, 18]. Blank is null,
+  // anything else (or over maxValue) is undefined.
+  function parsePercentRange(text, maxValue) {
+    const value = text.replace(/%/g, '').trim();
+    if (!value) return null;
+    const match = value.match(/^(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?))?$/);
+    if (!match) return undefined;
+    const range = [parseFloat(match[1]), parseFloat(match[2] || match[1])];
+    return range[0] <= range[1] && range[1] <= maxValue ? range : undefined;
+  }
+
+  strainAddForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentUserId) {
+      setStrainMessage('Error: You must be signed in to add a strain.', 'error');
+      return;
+    }
+
+    const name = strainAddName.value.trim().replace(/\s+/g, ' ');
+    const strainKey = getStrainKey(name);
+    const breeder = strainAddBreeder.value.trim();
+    const notes = strainAddNotes.value.trim();
+    const weeksMin = parseInt(strainAddWeeksMin.value, 10);
+    const weeksMax = parseInt(strainAddWeeksMax.value, 10) || weeksMin;
+    const thc = parsePercentRange(strainAddThc.value, STRAIN_THC_MAX);
+    const cbd = parsePercentRange(strainAddCbd.value, STRAIN_CBD_MAX);
+    const terpenes = [...new Set(strainAddTerpenes.map(select => select.value).filter(Boolean))];
+
+    const problem = getBlockedReason('post')
+      || (!name ? 'Error: Give the strain a name.' : null)
+      || (name.includes('/') ? 'Error: Strain names can\'t contain "/".' : null)
+      || findContentProblem(name, STRAIN_NAME_MAX, 'Strain name')
+      || findContentProblem(breeder, STRAIN_NAME_MAX, 'Breeder')
+      || findContentProblem(notes, STRAIN_NOTES_MAX, 'Notes')
+      || (isNaN(weeksMin) || weeksMin < STRAIN_WEEKS.min || weeksMax > STRAIN_WEEKS.max || weeksMin > weeksMax
+        ? `Error: Flowering time must be between ${STRAIN_WEEKS.min} and ${STRAIN_WEEKS.max} weeks.` : null)
+      || (thc === undefined ? `Error: THC should look like "18-24" (percent, up to ${STRAIN_THC_MAX}).` : null)
+      || (cbd === undefined ? `Error: CBD should look like "0-1" (percent, up to ${STRAIN_CBD_MAX}).` : null);
+    if (problem) {
+      setStrainMessage(problem, 'error');
+      return;
+    }
+
+    if (findStrain(strainKey)) {
+      setStrainMessage(`"${name}" is already in the library. Here it is!`, 'success');
+      navigateTo(`genetics/strain/${encodeURIComponent(strainKey)}`);
+      return;
+    }
+
+    const strain = {
+      userId: currentUserId,
+      name: name,
+      type: strainAddType.value,
+      lineage: strainAddLineage.value,
+      height: strainAddHeight.value,
+      moldResistance: strainAddMold.value,
+      flowerWeeks: [weeksMin, weeksMax],
+      terpenes: terpenes,
+      createdAt: serverTimestamp()
+    };
+    if (breeder) strain.breeder = breeder;
+    if (thc) strain.thc = thc;
+    if (cbd) strain.cbd = cbd;
+    if (notes) strain.notes = notes;
+
+    try {
+      // The doc ID is the strain key, so the rules turn down a second copy
+      const batch = writeBatch(db);
+      batch.set(doc(db, 'strains', strainKey), strain);
+      stampRateLimit(batch, 'post');
+      await batch.commit();
+
+      [strainAddName, strainAddBreeder, strainAddWeeksMin, strainAddWeeksMax, strainAddThc, strainAddCbd, strainAddNotes]
+        .forEach(input => { input.value = ''; });
+      strainAddTerpenes.forEach(select => { select.value = ''; });
+      setStrainMessage('Strain added. Thanks for growing the library!', 'success');
+      navigateTo(`genetics/strain/${encodeURIComponent(strainKey)}`);
+    } catch (error) {
+      console.error("Error adding strain: ", error);
+      setStrainMessage(getBlockedWriteMessage(error, 'Error: Could not add the strain.'), 'error');
+    }
+  });
+
+  function setStrainMessage(message, type) {
+    strainMessage.textContent = message;
+    strainMessage.className = `text-sm text-center mt-4 ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    strainMessage.classList.remove('hidden');
+    setTimeout(() => strainMessage.classList.add('hidden'), 4000);
+  }
+
+  // --- Strain Pages ---
+  // Opened from #/genetics/strain/<strainKey>
+  async function showStrainPage(strainKey) {
+    if (!currentUserId) return; // Tried again once auth is ready
+
+    openStrain = null;
+    strainFocus.classList.remove('hidden');
+    strainPage.innerHTML = '<p class="text-center text-gray-600 italic">Loading strain...</p>';
+    strainPosts.innerHTML = '';
+    strainUploads.innerHTML = '';
+    strainFocus.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      let strain = findStrain(strainKey);
+      if (!strain) {
+        // Added since the list loaded, or past the first ADDED_STRAINS_LIMIT
+        const strainSnap = await getDoc(doc(db, 'strains', strainKey));
+        if (strainSnap.exists()) strain = { ...strainSnap.data(), key: strainSnap.id, bundled: false };
+      }
+      if (!strain) {
+        strainPage.innerHTML = '<p class="text-center text-red-500 italic">This strain isn\'t in the library (it may have been removed).</p>';
+        return;
+      }
+
+      openStrain = strain;
+      strainPage.innerHTML = getStrainPageHTML(strain);
+      renderStrainPlants();
+      loadStrainOutcomes(strain);
+      loadStrainRollups(strain);
+    } catch (error) {
+      console.error("Error loading strain: ", error);
+      strainPage.innerHTML = '<p class="text-center text-red-500 italic">Error loading this strain.</p>';
+    }
+  }
+
+  // Each fact links back to the part of the guide that explains it
+  function getStrainPageHTML(strain) {
+    const guideLink = (anchor, label) => `<a href="#/genetics/${anchor}" class="route-link">${label}</a>`;
+    const percent = (range) => range ? `${formatStrainRange(range)}%` : '?';
+    const canRemove = !strain.bundled && (strain.userId === currentUserId || isModerator);
+
+    return `
+      <h3 class="text-brand-purple mt-0">🌿 ${escapeHTML(strain.name)}</h3>
+      <p class="text-sm text-gray-400">${escapeHTML(strain.breeder || 'Breeder unknown')}${strain.bundled ? '' : ` &middot; Added by ${getAuthorChipHTML(strain.userId)}`}</p>
+      <dl class="strain-facts">
+        <dt>${guideLink('genetics-auto-vs-photo', 'Type')}</dt>
+        <dd>${STRAIN_TYPES[strain.type]}</dd>
+        <dt>${guideLink('genetics-lineage', 'Indica / Sativa')}</dt>
+        <dd>${STRAIN_LINEAGES[strain.lineage]}</dd>
+        <dt>Flowering Time</dt>
+        <dd>${formatStrainRange(strain.flowerWeeks)} weeks${strain.type === 'autoflower' ? ' (plus about 4 weeks from seed)' : ' after the flip to 12/12'}</dd>
+        <dt>Height</dt>
+        <dd>${STRAIN_HEIGHTS[strain.height]}</dd>
+        <dt>${guideLink('genetics-cannabinoids', 'THC / CBD')}</dt>
+        <dd>${percent(strain.thc)} THC / ${percent(strain.cbd)} CBD</dd>
+        <dt>${guideLink('genetics-terpenes', 'Terpenes')}</dt>
+        <dd>${strain.terpenes.length
+          ? strain.terpenes.map(terpene => `${getTerpeneLabel(terpene)} <span class="text-gray-500">(${escapeHTML(STRAIN_TERPENES[terpene])})</span>`).join(', ')
+          : 'Not listed'}</dd>
+        <dt>${guideLink('genetics-ohio-climate', 'Mold Resistance')}</dt>
+        <dd class="strain-mold-${strain.moldResistance}">${MOLD_RESISTANCE[strain.moldResistance]}</dd>
+      </dl>
+      ${strain.notes ? `<p class="text-sm">${escapeHTML(strain.notes)}</p>` : ''}
+      <div class="flex flex-wrap gap-2 mt-4">
+        <button type="button" class="plant-status-btn" data-plan-strain>📅 Plan an Outdoor Grow</button>
+        <button type="button" class="plant-status-btn" data-gallery-strain>🖼️ All Photos in the Gallery</button>
+        ${canRemove ? '<button type="button" class="plant-status-btn" data-remove-strain>🗑️ Remove from Library</button>' : ''}
+      </div>
+
+      <h4 class="text-gray-300 mt-6">Your Plants</h4>
+      <div id="strain-my-plants"></div>
+
+      <h4 class="text-gray-300 mt-6">Growers' Results</h4>
+      <div id="strain-outcome-summary"></div>
+      <div id="strain-outcomes"></div>
+      <form id="strain-outcome-form" class="strain-outcome-form grid grid-cols-1 md:grid-cols-4 gap-4 mt-4">
+        <p class="md:col-span-4 text-sm text-gray-400 mb-0">Harvested this strain? Share how it really went.</p>
+        <div>
+          <label for="strain-outcome-plant" class="calc-label">From My Plant</label>
+          <select id="strain-outcome-plant" class="calc-input w-full"></select>
+        </div>
+        <div>
+          <label for="strain-outcome-setup" class="calc-label">Grown</label>
+          <select id="strain-outcome-setup" class="calc-input w-full">
+            <option value="indoor">Indoors</option>
+            <option value="outdoor">Outdoors</option>
+          </select>
+        </div>
+        <div>
+          <label for="strain-outcome-weeks" class="calc-label">Actual Flowering Weeks</label>
+          <input type="number" id="strain-outcome-weeks" min="1" max="30" step="0.5" placeholder="e.g., 9" class="calc-input w-full">
+        </div>
+        <div>
+          <label for="strain-outcome-yield" class="calc-label">Dry Yield per Plant (g)</label>
+          <input type="number" id="strain-outcome-yield" min="1" max="${OUTCOME_YIELD_MAX}" step="1" placeholder="e.g., 85" class="calc-input w-full">
+        </div>
+        <div class="md:col-span-4">
+          <label for="strain-outcome-problems" class="calc-label">Problems / Notes</label>
+          <textarea id="strain-outcome-problems" rows="2" maxlength="${OUTCOME_PROBLEMS_MAX}" placeholder="e.g., 'Stretched a lot after the flip, a little PM in week 6'" class="calc-input w-full"></textarea>
+        </div>
+        <div class="md:col-span-4 flex flex-wrap items-center gap-4">
+          <button type="submit" class="gallery-upload-btn">Share My Results</button>
+          <p id="strain-outcome-message" class="text-sm hidden"></p>
+        </div>
+      </form>
+    `;
+  }
+
+  // The grower's own plants of the open strain (tagged in the Plant Count Tracker)
+  function renderStrainPlants() {
+    const myPlants = document.getElementById('strain-my-plants');
+    const plantSelect = document.getElementById('strain-outcome-plant');
+    if (!openStrain || !myPlants) return;
+
+    const plants = registeredPlants.filter(plant => plant.strainKey === openStrain.key);
+    myPlants.innerHTML = plants.length
+      ? plants.map(plant => `
+          <p class="text-sm mb-1">${escapeHTML(plant.name)} <span class="text-gray-500">&middot; ${plant.status === 'active' ? PLANT_STAGES[plant.stage] : 'Culled'}${plant.harvest && plant.harvest.dryWeight ? ` &middot; ${plant.harvest.dryWeight} g dry` : ''}</span></p>
+        `).join('')
+      : '<p class="text-sm text-gray-500">None yet. Set the strain when you add a plant to the <a href="#/legal/plant-tracker" class="route-link">Plant Count Tracker</a> and it shows up here.</p>';
+
+    const selectedPlantId = plantSelect.value;
+    plantSelect.innerHTML = '<option value="">Not a Tracked Plant</option>'
+      + plants.map(plant => `<option value="${escapeHTML(plant.id)}">${escapeHTML(plant.name)}</option>`).join('');
+    if (plants.some(plant => plant.id === selectedPlantId)) plantSelect.value = selectedPlantId;
+  }
+
+  async function loadStrainOutcomes(strain) {
+    const outcomesList = document.getElementById('strain-outcomes');
+    const summary = document.getElementById('strain-outcome-summary');
+    try {
+      const outcomesQuery = query(collection(db, 'strains', strain.key, 'outcomes'), orderBy('createdAt', 'desc'), limit(STRAIN_OUTCOMES_LIMIT));
+      const snapshot = await getDocs(outcomesQuery);
+      if (openStrain !== strain) return; // Another strain was opened meanwhile
+
+      const outcomes = snapshot.docs.map(outcomeDoc => ({ id: outcomeDoc.id, ...outcomeDoc.data() }));
+      summary.innerHTML = getOutcomeSummaryHTML(strain, outcomes);
+      outcomesList.innerHTML = outcomes.map(getOutcomeHTML).join('');
+    } catch (error) {
+      console.error("Error loading strain results: ", error);
+      summary.innerHTML = '<p class="text-sm text-red-500 italic">Error loading growers\' results.</p>';
+    }
+  }
+
+  // e.g. "4 grower results · flowered 9.3 weeks on average (listed 8-9) · 92 g dry per plant on average"
+  function getOutcomeSummaryHTML(strain, outcomes) {
+    if (!outcomes.length) return '<p class="text-sm text-gray-500">No results shared yet. Be the first!</p>';
+
+    const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+    const weeks = outcomes.map(outcome => outcome.flowerWeeks).filter(value => typeof value === 'number');
+    const yields = outcomes.map(outcome => outcome.yieldGrams).filter(value => typeof value === 'number');
+    const facts = [`${outcomes.length} grower result${outcomes.length === 1 ? '' : 's'}`];
+    if (weeks.length) facts.push(`flowered ${average(weeks).toFixed(1)} weeks on average (listed ${formatStrainRange(strain.flowerWeeks)})`);
+    if (yields.length) facts.push(`${Math.round(average(yields))} g dry per plant on average`);
+    return `<p class="strain-outcome-summary">${facts.join(' &middot; ')}</p>`;
+  }
+
+  function getOutcomeHTML(outcome) {
+    const date = outcome.createdAt ? outcome.createdAt.toDate().toLocaleDateString() : 'Just now';
+    const facts = [
+      outcome.setup === 'outdoor' ? 'Outdoors' : 'Indoors',
+      typeof outcome.flowerWeeks === 'number' ? `${outcome.flowerWeeks} weeks flowering` : '',
+      typeof outcome.yieldGrams === 'number' ? `${outcome.yieldGrams} g dry` : ''
+    ].filter(Boolean).join(' &middot; ');
+
+    return `
+      <div class="strain-outcome" data-outcome-id="${escapeHTML(outcome.id)}">
+        <p class="text-xs text-gray-500">${getAuthorChipHTML(outcome.userId)} &middot; ${escapeHTML(date)}</p>
+        <p class="text-sm mb-1">${facts}</p>
+        ${outcome.problems ? `<p class="text-sm text-gray-400">${escapeHTML(outcome.problems)}</p>` : ''}
+        ${outcome.userId === currentUserId || isModerator ? '<button type="button" class="gallery-delete-btn" data-delete-outcome>🗑️ Delete</button>' : ''}
+      </div>
+    `;
+  }
+
+  // The latest posts and gallery photos tagged with this strain
+  // (grow.strainKey and strainKey + createdAt indexes in firestore.indexes.json)
+  async function loadStrainRollups(strain) {
+    const latestTagged = (collectionName, field) => query(
+      collection(db, collectionName),
+      ...shownOnly(),
+      where(field, '==', strain.key),
+      orderBy('createdAt', 'desc'),
+      limit(STRAIN_ROLLUP_LIMIT)
+    );
+
+    try {
+      const [postsSnap, uploadsSnap] = await Promise.all([
+        getDocs(latestTagged('journalPosts', 'grow.strainKey')),
+        getDocs(latestTagged('gallery-images', 'strainKey'))
+      ]);
+      if (openStrain !== strain) return;
+
+      strainPosts.innerHTML = postsSnap.empty ? '<p class="text-center text-gray-600 italic">No posts about this strain yet. Add the strain under Grow Details when you post.</p>' : '';
+      postsSnap.forEach(postDoc => strainPosts.appendChild(createPostElement(postDoc.id, postDoc.data())));
+
+      strainUploads.innerHTML = uploadsSnap.empty ? '<p class="text-center text-gray-600 italic col-span-full">No photos of this strain yet.</p>' : '';
+      uploadsSnap.forEach(imageDoc => strainUploads.appendChild(createGalleryItemElement(imageDoc.id, imageDoc.data())));
+    } catch (error) {
+      console.error("Error loading strain posts and photos: ", error);
+      strainPosts.innerHTML = '<p class="text-center text-red-500 italic">Error loading posts and photos for this strain.</p>';
+    }
+  }
+
+  strainPage.addEventListener('click', async (e) => {
+    if (!openStrain) return;
+
+    if (e.target.closest('[data-plan-strain]')) {
+      plannerStrainType.value = openStrain.type;
+      plannerFlowerWeeks.value = openStrain.flowerWeeks[1]; // Plan for the slow end, frost won't wait
+      debouncedSave(plannerStrainType.id, plannerStrainType.value);
+      debouncedSave(plannerFlowerWeeks.id, plannerFlowerWeeks.value);
+      calculateOutdoorPlan();
+      navigateTo('outdoor/outdoor-planner');
+      return;
+    }
+
+    if (e.target.closest('[data-gallery-strain]')) {
+      galleryFilterStrain.value = openStrain.name;
+      galleryFilterStage.value = '';
+      loadGallery();
+      navigateTo('gallery');
+      return;
+    }
+
+    if (e.target.closest('[data-remove-strain]')) {
+      if (!confirm(`Remove "${openStrain.name}" from the library? Growers' results are kept in case it's added again.`)) return;
+      try {
+        await deleteDoc(doc(db, 'strains', openStrain.key));
+        navigateTo('genetics/strain-library');
+        setStrainMessage('Strain removed.', 'success');
+      } catch (error) {
+        console.error("Error removing strain: ", error);
+        setOutcomeMessage('Error: Could not remove the strain.', 'error');
+      }
+      return;
+    }
+
+    const deleteBtn = e.target.closest('[data-delete-outcome]');
+    if (deleteBtn) {
+      if (!confirm('Delete these results? This can\'t be undone.')) return;
+      const outcomeId = deleteBtn.closest('[data-outcome-id]').dataset.outcomeId;
+      try {
+        await deleteDoc(doc(db, 'strains', openStrain.key, 'outcomes', outcomeId));
+        loadStrainOutcomes(openStrain);
+      } catch (error) {
+        console.error("Error deleting strain results: ", error);
+        setOutcomeMessage('Error: Could not delete those results.', 'error');
+      }
+    }
+  });
+
+  // Picking one of your plants fills in its dry weight from the Harvest Tracker
+  strainPage.addEventListener('change', (e) => {
+    if (e.target.id !== 'strain-outcome-plant') return;
+    const plant = registeredPlants.find(candidate => candidate.id === e.target.value);
+    if (plant && plant.harvest && plant.harvest.dryWeight) {
+      document.getElementById('strain-outcome-yield').value = plant.harvest.dryWeight;
+    }
+  });
+
+  strainPage.addEventListener('submit', async (e) => {
+    if (e.target.id !== 'strain-outcome-form') return;
+    e.preventDefault();
+    if (!currentUserId || !openStrain) return;
+
+    const strain = openStrain;
+    const setup = document.getElementById('strain-outcome-setup').value;
+    const weeks = parseFloat(document.getElementById('strain-outcome-weeks').value);
+    const yieldGrams = parseFloat(document.getElementById('strain-outcome-yield').value);
+    const problems = document.getElementById('strain-outcome-problems').value.trim();
+
+    const problem = getBlockedReason('comment')
+      || findContentProblem(problems, OUTCOME_PROBLEMS_MAX, 'Problems / Notes')
+      || (isNaN(weeks) && isNaN(yieldGrams) && !problems ? 'Error: Fill in the flowering time, yield or notes first.' : null)
+      || (!isNaN(weeks) && (weeks < 1 || weeks > 30) ? 'Error: Flowering time must be between 1 and 30 weeks.' : null)
+      || (!isNaN(yieldGrams) && (yieldGrams <= 0 || yieldGrams > OUTCOME_YIELD_MAX) ? `Error: Yield must be between 1 and ${OUTCOME_YIELD_MAX} grams.` : null);
+    if (problem) {
+      setOutcomeMessage(problem, 'error');
+      return;
+    }
+
+    const outcome = {
+      userId: currentUserId,
+      setup: setup,
+      createdAt: serverTimestamp()
+    };
+    if (!isNaN(weeks)) outcome.flowerWeeks = weeks;
+    if (!isNaN(yieldGrams)) outcome.yieldGrams = yieldGrams;
+    if (problems) outcome.problems = problems;
+
+    try {
+      // Same rate limit as a comment
+      const batch = writeBatch(db);
+      batch.set(doc(collection(db, 'strains', strain.key, 'outcomes')), outcome);
+      stampRateLimit(batch, 'comment');
+      await batch.commit();
+
+      e.target.reset();
+      setOutcomeMessage('Thanks! Your results are shared.', 'success');
+      loadStrainOutcomes(strain);
+    } catch (error) {
+      console.error("Error sharing strain results: ", error);
+      setOutcomeMessage(getBlockedWriteMessage(error, 'Error: Could not share your results.'), 'error');
+    }
+  });
+
+  function setOutcomeMessage(message, type) {
+    const outcomeMessage = document.getElementById('strain-outcome-message');
+    if (!outcomeMessage) return;
+    outcomeMessage.textContent = message;
+    outcomeMessage.className = `text-sm ${type === 'error' ? 'text-red-500' : 'text-green-500'}`;
+    setTimeout(() => outcomeMessage.classList.add('hidden'), 4000);
   }
 
   // --- Add Event Listeners to Calculators ---
@@ -664,7 +7542,74 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // A small, safe subset of Markdown for journal entries. The text is
+  // escaped FIRST, so any HTML someone types just shows up as text.
+  // Supports # headings, **bold**, *italic*, `code`, [links](https://...),
+  // - and 1. lists, > quotes, and keeps single line breaks.
+  function renderMarkdown(text) {
+    const html = [];
+    let paragraph = [];
+    let block = null; // { tag: 'ul' | 'ol' | 'blockquote', lines: [] }
+
+    const flush = () => {
+      if (paragraph.length) html.push(`<p>${paragraph.join('<br>')}</p>`);
+      paragraph = [];
+      if (block) {
+        html.push(block.tag === 'blockquote'
+          ? `<blockquote>${block.lines.join('<br>')}</blockquote>`
+          : `<${block.tag}>${block.lines.map(line => `<li>${line}</li>`).join('')}</${block.tag}>`);
+      }
+      block = null;
+    };
+    const addToBlock = (tag, line) => {
+      if (paragraph.length || (block && block.tag !== tag)) flush();
+      if (!block) block = { tag, lines: [] };
+      block.lines.push(renderInlineMarkdown(line));
+    };
+
+    text.replace(/\r\n?/g, '\n').split('\n').forEach(rawLine => {
+      const line = rawLine.trim();
+      let match;
+      if (!line) {
+        flush();
+      } else if ((match = line.match(/^(#{1,3})\s+(.+)$/))) {
+        flush();
+        html.push(`<h5 class="journal-heading-${match[1].length}">${renderInlineMarkdown(match[2])}</h5>`);
+      } else if ((match = line.match(/^[-*+]\s+(.+)$/))) {
+        addToBlock('ul', match[1]);
+      } else if ((match = line.match(/^\d+[.)]\s+(.+)$/))) {
+        addToBlock('ol', match[1]);
+      } else if ((match = line.match(/^>\s?(.*)$/))) {
+        addToBlock('blockquote', match[1]);
+      } else {
+        if (block) flush();
+        paragraph.push(renderInlineMarkdown(line));
+      }
+    });
+    flush();
+    return html.join('');
+  }
+
+  function renderInlineMarkdown(line) {
+    // Code and links are swapped out for placeholders so the bold/italic
+    // rules can't reach inside them
+    const saved = [];
+    const save = (html) => `\u0000${saved.push(html) - 1}\u0000`;
+
+    let html = escapeHTML(line.replace(/\u0000/g, ''))
+      .replace(/`([^`]+)`/g, (_, code) => save(`<code>${code}</code>`))
+      // Only web links, so no javascript: or data: URLs get through
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) =>
+        save(`<a href="${url}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`))
+      .replace(/(^|\s)(https?:\/\/[^\s]+)/g, (_, space, url) =>
+        space + save(`<a href="${url}" target="_blank" rel="noopener noreferrer nofollow">${url}</a>`))
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*([^*\s][^*]*)\*/g, '<em>$1</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (_, index) => saved[index]);
+  }
+
   // --- Initial Page Load ---
   runAllCalculations(); // Run once on load
-  showSection('home'); // Show the home section by default
+  handleRoute(); // Show the section in the URL (or home by default)
 });
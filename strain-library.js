@@ -0,0 +1,211 @@
+/**
+ * GROHIO Strain Library (strain-library.js)
+ *
+ * The strains the Strain Library starts with, bundled with the app so it
+ * works offline (sw.js caches this file with the shell). Growers can add
+ * more from the app; those are saved in the "strains" collection.
+ *
+ * Numbers are typical ranges from breeder listings and grow reports. Every
+ * phenotype is a little different, so treat them as a starting point:
+ * - type:           'photoperiod' or 'autoflower'
+ * - lineage:        'indica', 'sativa' or 'hybrid' (mostly tells you the plant's shape)
+ * - flowerWeeks:    [min, max] weeks of flowering. Autoflowers also need about
+ *                   4 weeks from seed before they start.
+ * - height:         'short' (under 3 ft indoors), 'medium' or 'tall' (stretches a lot)
+ * - thc, cbd:       [min, max] percent
+ * - terpenes:       the dominant ones, strongest first (see STRAIN_TERPENES)
+ * - moldResistance: 'low', 'medium' or 'high'. Matters a lot in humid Ohio falls.
+ * "Various" means lots of breeders sell their own version. Check the listing.
+ */
+
+export const STRAIN_TERPENES = {
+  myrcene: 'Musky, earthy (mango, hops)',
+  limonene: 'Citrus (lemon, orange)',
+  caryophyllene: 'Peppery, spicy',
+  pinene: 'Pine, fresh',
+  terpinolene: 'Fruity, floral, a little piney',
+  linalool: 'Floral (lavender)',
+  humulene: 'Woody, earthy (hops)',
+  ocimene: 'Sweet, herbal'
+};
+
+export const STRAIN_LIBRARY = [
+  // --- Photoperiods ---
+  {
+    name: 'Blue Dream', breeder: 'Humboldt Seed Organization', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [9, 10], height: 'tall', thc: [17, 24], cbd: [0, 1],
+    terpenes: ['myrcene', 'pinene', 'caryophyllene'], moldResistance: 'medium',
+    notes: 'Forgiving and heavy yielding, but it stretches a lot after the flip.'
+  },
+  {
+    name: 'Northern Lights', breeder: 'Sensi Seeds', type: 'photoperiod', lineage: 'indica',
+    flowerWeeks: [7, 8], height: 'short', thc: [16, 21], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'pinene'], moldResistance: 'high',
+    notes: 'A classic first grow: compact, hardy and quick to finish.'
+  },
+  {
+    name: 'White Widow', breeder: 'Green House Seeds', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'medium', thc: [18, 25], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'pinene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Jack Herer', breeder: 'Sensi Seeds', type: 'photoperiod', lineage: 'sativa',
+    flowerWeeks: [9, 10], height: 'tall', thc: [15, 22], cbd: [0, 1],
+    terpenes: ['terpinolene', 'caryophyllene', 'pinene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Skunk #1', breeder: 'Sensi Seeds', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [7, 8], height: 'medium', thc: [15, 19], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'humulene'], moldResistance: 'high',
+    notes: 'Very stable genetics. Strong smell, so plan your carbon filter.'
+  },
+  {
+    name: 'Early Skunk', breeder: 'Sensi Seeds', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [7, 8], height: 'tall', thc: [12, 18], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'humulene'], moldResistance: 'high',
+    notes: 'Bred to finish outdoors by late September in northern climates.'
+  },
+  {
+    name: 'Frisian Dew', breeder: 'Dutch Passion', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [7, 8], height: 'tall', thc: [14, 18], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'pinene'], moldResistance: 'high',
+    notes: 'Made for wet Dutch outdoor seasons, so it handles an Ohio fall well. Often turns purple.'
+  },
+  {
+    name: 'Durban Poison', breeder: 'Landrace (various)', type: 'photoperiod', lineage: 'sativa',
+    flowerWeeks: [8, 9], height: 'tall', thc: [15, 24], cbd: [0, 1],
+    terpenes: ['terpinolene', 'myrcene', 'ocimene'], moldResistance: 'high',
+    notes: 'Airy, resinous buds that shrug off humidity. Gets very tall outdoors.'
+  },
+  {
+    name: 'Super Lemon Haze', breeder: 'Green House Seeds', type: 'photoperiod', lineage: 'sativa',
+    flowerWeeks: [9, 10], height: 'tall', thc: [18, 25], cbd: [0, 1],
+    terpenes: ['limonene', 'terpinolene', 'caryophyllene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Amnesia Haze', breeder: 'Various', type: 'photoperiod', lineage: 'sativa',
+    flowerWeeks: [10, 12], height: 'tall', thc: [18, 24], cbd: [0, 1],
+    terpenes: ['terpinolene', 'limonene', 'myrcene'], moldResistance: 'high',
+    notes: 'Long flowering. Outdoors in Ohio it usually finishes too late, so grow it inside.'
+  },
+  {
+    name: 'AK-47', breeder: 'Serious Seeds', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'medium', thc: [17, 22], cbd: [0, 1],
+    terpenes: ['myrcene', 'pinene', 'caryophyllene'], moldResistance: 'medium'
+  },
+  {
+    name: 'OG Kush', breeder: 'Various (clone-only original)', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'medium', thc: [19, 26], cbd: [0, 1],
+    terpenes: ['myrcene', 'limonene', 'caryophyllene'], moldResistance: 'low',
+    notes: 'Picky about feeding and prone to powdery mildew. Not a first grow.'
+  },
+  {
+    name: 'Sour Diesel', breeder: 'Various (clone-only original)', type: 'photoperiod', lineage: 'sativa',
+    flowerWeeks: [10, 11], height: 'tall', thc: [18, 25], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'limonene', 'myrcene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Granddaddy Purple', breeder: 'Ken Estes', type: 'photoperiod', lineage: 'indica',
+    flowerWeeks: [8, 9], height: 'short', thc: [17, 23], cbd: [0, 1],
+    terpenes: ['myrcene', 'pinene', 'caryophyllene'], moldResistance: 'low',
+    notes: 'Dense buds: keep humidity down late in flower.'
+  },
+  {
+    name: 'Girl Scout Cookies', breeder: 'Cookie Fam', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [9, 10], height: 'medium', thc: [19, 27], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'limonene', 'humulene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Gorilla Glue #4', breeder: 'GG Strains', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'tall', thc: [20, 28], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'myrcene', 'limonene'], moldResistance: 'medium',
+    notes: 'Some phenos throw nanners (hermie) under stress. Watch light leaks.'
+  },
+  {
+    name: 'Gelato', breeder: 'Cookie Fam / Sherbinskis', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'medium', thc: [20, 25], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'limonene', 'linalool'], moldResistance: 'medium'
+  },
+  {
+    name: 'Wedding Cake', breeder: 'Seed Junky Genetics', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'medium', thc: [22, 27], cbd: [0, 1],
+    terpenes: ['limonene', 'caryophyllene', 'myrcene'], moldResistance: 'low'
+  },
+  {
+    name: 'Zkittlez', breeder: '3rd Gen Family / Terp Hogz', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'short', thc: [15, 23], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'humulene', 'linalool'], moldResistance: 'low'
+  },
+  {
+    name: 'Bruce Banner #3', breeder: 'Dark Horse Genetics', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [8, 9], height: 'tall', thc: [20, 29], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'limonene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Critical Mass', breeder: 'Mr. Nice Seeds', type: 'photoperiod', lineage: 'indica',
+    flowerWeeks: [7, 8], height: 'medium', thc: [15, 20], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'pinene'], moldResistance: 'low',
+    notes: 'Huge, heavy colas that are famous for bud rot. Support the branches and run a dehumidifier.'
+  },
+  {
+    name: 'Blueberry', breeder: 'DJ Short', type: 'photoperiod', lineage: 'indica',
+    flowerWeeks: [8, 9], height: 'medium', thc: [16, 24], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'pinene'], moldResistance: 'medium'
+  },
+  {
+    name: 'ACDC', breeder: 'Various (Cannatonic phenotype)', type: 'photoperiod', lineage: 'hybrid',
+    flowerWeeks: [9, 10], height: 'medium', thc: [0.5, 2], cbd: [14, 20],
+    terpenes: ['myrcene', 'pinene', 'caryophyllene'], moldResistance: 'medium',
+    notes: 'High CBD with very little THC.'
+  },
+  {
+    name: 'Harlequin', breeder: 'Various', type: 'photoperiod', lineage: 'sativa',
+    flowerWeeks: [8, 9], height: 'tall', thc: [4, 7], cbd: [8, 15],
+    terpenes: ['myrcene', 'pinene', 'caryophyllene'], moldResistance: 'medium',
+    notes: 'About 2 parts CBD to 1 part THC, for a milder, clear-headed effect.'
+  },
+
+  // --- Autoflowers ---
+  {
+    name: 'Northern Lights Auto', breeder: 'Various', type: 'autoflower', lineage: 'indica',
+    flowerWeeks: [6, 7], height: 'short', thc: [14, 18], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'pinene'], moldResistance: 'high',
+    notes: 'About 10 weeks from seed. A good closet or first autoflower.'
+  },
+  {
+    name: 'Blueberry Auto', breeder: 'Various', type: 'autoflower', lineage: 'indica',
+    flowerWeeks: [6, 7], height: 'short', thc: [15, 20], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'pinene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Gorilla Glue Auto', breeder: 'Various', type: 'autoflower', lineage: 'hybrid',
+    flowerWeeks: [7, 8], height: 'medium', thc: [18, 24], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'myrcene', 'limonene'], moldResistance: 'medium'
+  },
+  {
+    name: 'Gelato Auto', breeder: 'Various', type: 'autoflower', lineage: 'hybrid',
+    flowerWeeks: [6, 8], height: 'medium', thc: [18, 24], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'limonene', 'linalool'], moldResistance: 'medium'
+  },
+  {
+    name: 'Zkittlez Auto', breeder: 'Various', type: 'autoflower', lineage: 'hybrid',
+    flowerWeeks: [6, 7], height: 'short', thc: [18, 22], cbd: [0, 1],
+    terpenes: ['caryophyllene', 'humulene', 'linalool'], moldResistance: 'low'
+  },
+  {
+    name: 'Amnesia Haze Automatic', breeder: 'Royal Queen Seeds', type: 'autoflower', lineage: 'sativa',
+    flowerWeeks: [7, 9], height: 'medium', thc: [15, 20], cbd: [0, 1],
+    terpenes: ['terpinolene', 'limonene', 'myrcene'], moldResistance: 'high'
+  },
+  {
+    name: 'Quick One', breeder: 'Royal Queen Seeds', type: 'autoflower', lineage: 'hybrid',
+    flowerWeeks: [5, 6], height: 'short', thc: [11, 14], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'limonene'], moldResistance: 'medium',
+    notes: 'One of the fastest out there (about 9 weeks from seed). Small, but easy to fit in before fall.'
+  },
+  {
+    name: 'Bruce Banner Auto', breeder: 'Fast Buds', type: 'autoflower', lineage: 'hybrid',
+    flowerWeeks: [7, 8], height: 'medium', thc: [20, 26], cbd: [0, 1],
+    terpenes: ['myrcene', 'caryophyllene', 'limonene'], moldResistance: 'medium'
+  }
+];
@@ -0,0 +1,268 @@
+/**
+ * GROHIO Service Worker (sw.js)
+ *
+ * This file makes the app work in grow rooms and basements with bad (or no)
+ * signal. It saves a copy of the "app shell" (the HTML, JavaScript, CSS,
+ * Firebase SDK and the guide images) on the device the first time the app
+ * loads, then serves those copies whenever the network is down.
+ *
+ * Firestore data is NOT cached here. Firestore keeps its own offline copy
+ * (see initializeFirestore in script.js), and queued gallery uploads live
+ * in the "outbox" in IndexedDB.
+ *
+ * It also shows grow task reminders as notifications (see "Task Reminders"
+ * at the bottom). There's no push server: the app leaves the reminders in
+ * IndexedDB, and this worker checks them when asked or on a periodic sync.
+ *
+ * IMPORTANT: Bump CACHE_VERSION whenever the shell files change, so every
+ * device throws away its old copy and downloads the new one.
+ */
+
+const CACHE_VERSION = 'v5';
+const CACHE_NAME = `grohio-shell-${CACHE_VERSION}`;
+const GITHUB_RAW = 'https://raw.githubusercontent.com/3AmigosCannabisCo/testing.grohio/main';
+const FIREBASE_SDK = 'https://www.gstatic.com/firebasejs/11.6.1';
+
+// The app can't run at all without these, so install fails if any are missing.
+const CORE_ASSETS = [
+  './',
+  './index.html',
+  './app.html',
+  './script.js',
+  './style.css',
+  './age-gate-check.js',
+  './ohio-frost-dates.js',
+  './strain-library.js',
+  './404.html',
+  './DOLPH.png',
+  './dolph-sound.mp3',
+  './manifest.webmanifest',
+  './icon-192.png',
+  './icon-512.png',
+  'https://cdn.tailwindcss.com',
+  `${FIREBASE_SDK}/firebase-app.js`,
+  `${FIREBASE_SDK}/firebase-auth.js`,
+  `${FIREBASE_SDK}/firebase-firestore.js`,
+  `${FIREBASE_SDK}/firebase-storage.js`,
+  `${FIREBASE_SDK}/firebase-analytics.js`,
+];
+
+// Nice to have offline. One of these failing shouldn't block the install.
+const GUIDE_ASSETS = [
+  'https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;900&display=swap',
+  `${GITHUB_RAW}/grohio_nobg.png`,
+  `${GITHUB_RAW}/3amigos_nobg.png`,
+  // "From The Amigos" photos (image1.jpg - image20.jpg)
+  ...Array.from({ length: 20 }, (_, i) => `${GITHUB_RAW}/image${i + 1}.jpg`),
+];
+
+// Live Firebase traffic (database, auth, uploads, analytics) must always go
+// to the network. Firebase handles its own offline behavior.
+const NETWORK_ONLY_HOSTS = [
+  'firestore.googleapis.com',
+  'firebasestorage.googleapis.com',
+  'identitytoolkit.googleapis.com',
+  'securetoken.googleapis.com',
+  'firebaseinstallations.googleapis.com',
+  'www.google-analytics.com',
+  'www.googletagmanager.com',
+];
+
+// --- Install: save the app shell ---
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(CORE_ASSETS);
+    await Promise.all(GUIDE_ASSETS.map(url =>
+      cache.add(url).catch(error => console.warn('Could not cache', url, error))
+    ));
+    self.skipWaiting();
+  })());
+});
+
+// --- Activate: delete caches from older versions ---
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const cacheNames = await caches.keys();
+    await Promise.all(cacheNames
+      .filter(name => name.startsWith('grohio-shell-') && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// --- Fetch: serve from the cache when we can't reach the network ---
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (NETWORK_ONLY_HOSTS.includes(url.hostname)) return;
+
+  // Videos are streamed in pieces (Range requests) and are too big to keep
+  if (request.headers.has('range') || request.destination === 'video') return;
+
+  if (url.origin === self.location.origin) {
+    // Our own files: try the network first so updates show up right away
+    event.respondWith(networkFirst(request));
+  } else {
+    // CDN files are versioned and rarely change: use the saved copy first
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    // Unknown page while offline: fall back to the app itself
+    if (request.mode === 'navigate') {
+      return cache.match('./app.html');
+    }
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (no-cors) responses have status 0 but are still worth keeping
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// --- Task Reminders ---
+// The app copies its open tasks into IndexedDB ("Grow Tasks & Reminders" in
+// script.js). This worker shows each one once it's due, and queues the
+// "Done" and "Snooze" taps for the app to save to Firestore, since a
+// worker can't sign in. KEEP THESE IN SYNC with script.js.
+const REMINDERS_DB_NAME = 'grohio-reminders';
+const REMINDER_STORE = 'reminders'; // { taskId, userId, title, body, url, dueAt, notifiedAt? }
+const REMINDER_ACTION_STORE = 'actions'; // { id, taskId, userId, action, dueAt, at, until? }
+const REMINDER_SYNC_TAG = 'grohio-task-reminders';
+const REMINDER_SNOOZE_MS = 60 * 60 * 1000;
+
+function openRemindersDB() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(REMINDERS_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(REMINDER_STORE, { keyPath: 'taskId' });
+      request.result.createObjectStore(REMINDER_ACTION_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function remindersRequest(storeName, mode, action) {
+  const remindersDB = await openRemindersDB();
+  return new Promise((resolve, reject) => {
+    const transaction = remindersDB.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => {
+      remindersDB.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Shows every reminder that's due and hasn't been shown yet. The test
+// harness passes its own "now" to try later reminders without waiting.
+async function showDueReminders(now = Date.now()) {
+  const reminders = await remindersRequest(REMINDER_STORE, 'readonly', store => store.getAll());
+  const due = reminders.filter(reminder => reminder.dueAt <= now && reminder.notifiedAt !== reminder.dueAt);
+  for (const reminder of due) {
+    await self.registration.showNotification(reminder.title, {
+      body: reminder.body,
+      icon: './icon-192.png',
+      tag: `task-${reminder.taskId}`, // A task never has more than one notification
+      renotify: true,
+      requireInteraction: true,
+      data: { taskId: reminder.taskId, userId: reminder.userId, dueAt: reminder.dueAt, url: reminder.url },
+      actions: [
+        { action: 'complete', title: '✅ Done' },
+        { action: 'snooze', title: '⏰ Snooze 1 hr' }
+      ]
+    });
+    await remindersRequest(REMINDER_STORE, 'readwrite', store => store.put({ ...reminder, notifiedAt: reminder.dueAt }));
+  }
+  return due.length;
+}
+
+// The app (or the harness) asks for a check when something is due
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  if (message.type !== 'check-reminders') return;
+  event.waitUntil(showDueReminders(message.now).then(count => {
+    if (event.source) event.source.postMessage({ type: 'reminders-checked', count });
+  }));
+});
+
+// Installed apps in Chrome and Edge get woken up now and then, even when closed
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === REMINDER_SYNC_TAG) {
+    event.waitUntil(showDueReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const reminder = event.notification.data;
+  event.notification.close();
+  if (!reminder || !reminder.taskId) return;
+
+  event.waitUntil((async () => {
+    if (event.action === 'complete' || event.action === 'snooze') {
+      const now = Date.now();
+      const until = now + REMINDER_SNOOZE_MS;
+      await remindersRequest(REMINDER_ACTION_STORE, 'readwrite', store => store.add({
+        taskId: reminder.taskId,
+        userId: reminder.userId,
+        action: event.action,
+        dueAt: reminder.dueAt, // The app skips taps on a reminder that's out of date
+        at: now,
+        ...(event.action === 'snooze' ? { until } : {})
+      }));
+      // Snoozed: show it again later. Done: never again.
+      await remindersRequest(REMINDER_STORE, 'readwrite', store => event.action === 'complete'
+        ? store.delete(reminder.taskId)
+        : store.put({
+          taskId: reminder.taskId,
+          userId: reminder.userId,
+          title: event.notification.title,
+          body: event.notification.body,
+          url: reminder.url,
+          dueAt: until,
+          notifiedAt: null
+        }));
+
+      // An open app saves it right away, otherwise it's saved next time it opens
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      windows.forEach(client => client.postMessage({ type: 'reminder-actions' }));
+      return;
+    }
+
+    // Tapping the notification itself opens the task list
+    const url = new URL(reminder.url || './app.html', self.registration.scope).href;
+    const windows = await self.clients.matchAll({ type: 'window' });
+    const openWindow = windows.find(client => client.url.split('#')[0] === url.split('#')[0]);
+    if (openWindow) {
+      await openWindow.focus();
+      await openWindow.navigate(url);
+    } else {
+      await self.clients.openWindow(url);
+    }
+  })());
+});
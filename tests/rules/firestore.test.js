@@ -0,0 +1,411 @@
+/**
+ * GROHIO Firestore Rules Tests (tests/rules/firestore.test.js)
+ *
+ * Runs firestore.rules in the Firestore emulator:
+ *
+ *   npm install
+ *   npm test
+ *
+ * The writes below are shaped like the ones script.js makes (same fields,
+ * same batches), so a rules change that breaks the app fails here first.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const {
+  doc,
+  collection,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  writeBatch,
+  serverTimestamp,
+  arrayUnion,
+  arrayRemove,
+  increment,
+  Timestamp
+} = require('firebase/firestore');
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const MODERATOR = 'moderator';
+
+let testEnv;
+
+function dbFor(uid) {
+  return testEnv.authenticatedContext(uid).firestore();
+}
+
+// Sets up documents without the rules getting in the way
+function seed(writes) {
+  return testEnv.withSecurityRulesDisabled(context => writes(context.firestore()));
+}
+
+// A post batched with its rate limit stamp, like the journal form
+function postBatch(db, uid, fields = {}) {
+  const batch = writeBatch(db);
+  const postRef = doc(collection(db, 'journalPosts'));
+  batch.set(postRef, {
+    userId: uid,
+    title: 'Week 3 of flower',
+    body: 'Trichomes are starting to cloud up.',
+    hidden: false,
+    createdAt: serverTimestamp(),
+    ...fields
+  });
+  batch.set(doc(db, 'rateLimits', uid), { lastPostAt: serverTimestamp() }, { merge: true });
+  return { postRef, batch };
+}
+
+// A comment batched with the post's count and the rate limit stamp
+function commentBatch(db, uid, postId) {
+  const batch = writeBatch(db);
+  const postRef = doc(db, 'journalPosts', postId);
+  const commentRef = doc(collection(postRef, 'comments'));
+  batch.set(commentRef, { userId: uid, body: 'Nice work!', parentId: null, createdAt: serverTimestamp() });
+  batch.update(postRef, { commentCount: increment(1), lastCommentId: commentRef.id });
+  batch.set(doc(db, 'rateLimits', uid), { lastCommentAt: serverTimestamp() }, { merge: true });
+  return { commentRef, batch };
+}
+
+function seedPost(postId, fields = {}) {
+  return seed(db => setDoc(doc(db, 'journalPosts', postId), {
+    userId: ALICE,
+    title: 'Seeded post',
+    body: 'Already here',
+    hidden: false,
+    createdAt: Timestamp.now(),
+    ...fields
+  }));
+}
+
+// Wrapped so these hooks don't run for the other rules file's tests
+describe('firestore.rules', () => {
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-grohio',
+      firestore: { rules: fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8') }
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(db => setDoc(doc(db, 'admins', MODERATOR), {}));
+  });
+
+  describe('Private user data', () => {
+    it('lets growers read and write their own plants', async () => {
+      const plantRef = doc(dbFor(ALICE), 'user-profiles', ALICE, 'plants', 'plant1');
+      await assertSucceeds(setDoc(plantRef, { name: 'Blue Dream' }));
+      await assertSucceeds(getDoc(plantRef));
+    });
+
+    it("keeps other growers out of someone's plants and profile", async () => {
+      await seed(db => setDoc(doc(db, 'user-profiles', ALICE, 'plants', 'plant1'), { name: 'Blue Dream' }));
+      await assertFails(getDoc(doc(dbFor(BOB), 'user-profiles', ALICE, 'plants', 'plant1')));
+      await assertFails(setDoc(doc(dbFor(BOB), 'user-profiles', ALICE, 'plants', 'plant2'), { name: 'Sneaky' }));
+      await assertFails(getDoc(doc(dbFor(BOB), 'user-profiles', ALICE)));
+    });
+
+    it('turns away signed-out visitors', async () => {
+      const db = testEnv.unauthenticatedContext().firestore();
+      await assertFails(getDoc(doc(db, 'user-profiles', ALICE)));
+      await assertFails(getDocs(collection(db, 'journalPosts')));
+    });
+  });
+
+  describe('Posts', () => {
+    it('accepts a post batched with its rate limit stamp', async () => {
+      await assertSucceeds(postBatch(dbFor(ALICE), ALICE).batch.commit());
+    });
+
+    it('rejects a post without the rate limit stamp', async () => {
+      const db = dbFor(ALICE);
+      await assertFails(setDoc(doc(collection(db, 'journalPosts')), {
+        userId: ALICE, title: 'Hi', body: 'No stamp', hidden: false, createdAt: serverTimestamp()
+      }));
+    });
+
+    it("rejects a post written under someone else's name", async () => {
+      await assertFails(postBatch(dbFor(BOB), BOB, { userId: ALICE }).batch.commit());
+    });
+
+    it('rejects selling', async () => {
+      await assertFails(postBatch(dbFor(ALICE), ALICE, { body: 'Extra clones for sale, cash app me' }).batch.commit());
+    });
+
+    it('only takes photos served from the author\'s own journal files', async () => {
+      const downloadUrl = filePath => `https://firebasestorage.googleapis.com/v0/b/demo-grohio.appspot.com/o/${encodeURIComponent(filePath)}?alt=media&token=0f1e2d3c-4b5a-6978-8796-a5b4c3d2e1f0`;
+      const photo = (filePath, thumbPath) => ({ url: downloadUrl(filePath), thumbUrl: downloadUrl(thumbPath), path: filePath, thumbPath });
+      const ownPhoto = photo(`journal/${ALICE}/1-0.jpg`, `journal/${ALICE}/1-0-thumb.jpg`);
+
+      await assertFails(postBatch(dbFor(ALICE), ALICE, { photos: [{ ...ownPhoto, url: 'https://example.com/bud.jpg' }] }).batch.commit());
+      await assertFails(postBatch(dbFor(ALICE), ALICE, { photos: [{ ...ownPhoto, url: downloadUrl(`journal/${BOB}/1-0.jpg`) }] }).batch.commit());
+      await assertFails(postBatch(dbFor(ALICE), ALICE, { photos: [photo(`journal/${ALICE}/1-0.jpg`, `journal/${BOB}/1-0-thumb.jpg`)] }).batch.commit());
+      await assertFails(postBatch(dbFor(ALICE), ALICE, { photos: [{ ...ownPhoto, caption: 'extra' }] }).batch.commit());
+      await assertSucceeds(postBatch(dbFor(ALICE), ALICE, { photos: [ownPhoto] }).batch.commit());
+    });
+
+    it('only takes a past date on a post restored from a backup', async () => {
+      const lastMonth = Timestamp.fromMillis(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      await assertFails(postBatch(dbFor(ALICE), ALICE, { createdAt: lastMonth }).batch.commit());
+      await assertSucceeds(postBatch(dbFor(ALICE), ALICE, { createdAt: lastMonth, restoredAt: serverTimestamp() }).batch.commit());
+    });
+
+    it('still limits restored posts to a past date, stamped now, one a minute', async () => {
+      const lastMonth = Timestamp.fromMillis(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      const nextMonth = Timestamp.fromMillis(Date.now() + 30 * 24 * 60 * 60 * 1000);
+      const db = dbFor(ALICE);
+      await assertFails(postBatch(db, ALICE, { createdAt: nextMonth, restoredAt: serverTimestamp() }).batch.commit());
+      await assertFails(postBatch(db, ALICE, { createdAt: lastMonth, restoredAt: lastMonth }).batch.commit());
+      await assertSucceeds(postBatch(db, ALICE, { createdAt: lastMonth, restoredAt: serverTimestamp() }).batch.commit());
+      await assertFails(postBatch(db, ALICE, { createdAt: lastMonth, restoredAt: serverTimestamp() }).batch.commit());
+    });
+
+    it('lets only the author edit and delete a post', async () => {
+      await seedPost('post1');
+      const edit = { title: 'Edited', body: 'New words', editedAt: serverTimestamp() };
+      await assertFails(updateDoc(doc(dbFor(BOB), 'journalPosts', 'post1'), edit));
+      await assertSucceeds(updateDoc(doc(dbFor(ALICE), 'journalPosts', 'post1'), edit));
+      await assertFails(deleteDoc(doc(dbFor(BOB), 'journalPosts', 'post1')));
+      await assertSucceeds(deleteDoc(doc(dbFor(ALICE), 'journalPosts', 'post1')));
+    });
+  });
+
+  describe('Rate limits', () => {
+    it('turns down a second post within a minute', async () => {
+      const db = dbFor(ALICE);
+      await assertSucceeds(postBatch(db, ALICE).batch.commit());
+      await assertFails(postBatch(db, ALICE).batch.commit());
+    });
+
+    it('allows a post once the minute is up', async () => {
+      await seed(db => setDoc(doc(db, 'rateLimits', ALICE), {
+        lastPostAt: Timestamp.fromMillis(Date.now() - 2 * 60 * 1000)
+      }));
+      await assertSucceeds(postBatch(dbFor(ALICE), ALICE).batch.commit());
+    });
+
+    it("won't let a grower delete their stamps to post again", async () => {
+      const db = dbFor(ALICE);
+      await assertSucceeds(postBatch(db, ALICE).batch.commit());
+      await assertFails(deleteDoc(doc(db, 'rateLimits', ALICE)));
+      await assertFails(postBatch(db, ALICE).batch.commit());
+    });
+
+    it("won't let a stamp be set to anything but now", async () => {
+      await assertFails(setDoc(doc(dbFor(ALICE), 'rateLimits', ALICE), {
+        lastPostAt: Timestamp.fromMillis(Date.now() - 2 * 60 * 1000)
+      }));
+    });
+
+    it('keeps growers out of each other\'s stamps', async () => {
+      await assertFails(setDoc(doc(dbFor(BOB), 'rateLimits', ALICE), { lastPostAt: serverTimestamp() }));
+    });
+  });
+
+  describe('Reactions', () => {
+    beforeEach(() => seedPost('post1', { reactions: { sprout: [ALICE] } }));
+
+    it('lets a grower add and remove their own reaction', async () => {
+      const postRef = doc(dbFor(BOB), 'journalPosts', 'post1');
+      await assertSucceeds(updateDoc(postRef, { 'reactions.sprout': arrayUnion(BOB) }));
+      await assertSucceeds(updateDoc(postRef, { 'reactions.fire': arrayUnion(BOB) }));
+      await assertSucceeds(updateDoc(postRef, { 'reactions.sprout': arrayRemove(BOB) }));
+    });
+
+    it("won't let a grower remove someone else's reaction", async () => {
+      await assertFails(updateDoc(doc(dbFor(BOB), 'journalPosts', 'post1'), { 'reactions.sprout': arrayRemove(ALICE) }));
+    });
+
+    it("won't let a grower react for someone else", async () => {
+      await assertFails(updateDoc(doc(dbFor(BOB), 'journalPosts', 'post1'), { 'reactions.fire': arrayUnion('carol') }));
+    });
+
+    it('rejects unknown reactions', async () => {
+      await assertFails(updateDoc(doc(dbFor(BOB), 'journalPosts', 'post1'), { 'reactions.skull': arrayUnion(BOB) }));
+    });
+  });
+
+  describe('Comments', () => {
+    beforeEach(() => seedPost('post1'));
+
+    it('accepts a comment batched with the count and stamp', async () => {
+      await assertSucceeds(commentBatch(dbFor(BOB), BOB, 'post1').batch.commit());
+    });
+
+    it('rejects a count change without a comment', async () => {
+      await assertFails(updateDoc(doc(dbFor(BOB), 'journalPosts', 'post1'), { commentCount: increment(1), lastCommentId: 'made-up' }));
+    });
+
+    it('rejects a comment that skips the count', async () => {
+      const db = dbFor(BOB);
+      const batch = writeBatch(db);
+      batch.set(doc(collection(db, 'journalPosts', 'post1', 'comments')), {
+        userId: BOB, body: 'Uncounted', parentId: null, createdAt: serverTimestamp()
+      });
+      batch.set(doc(db, 'rateLimits', BOB), { lastCommentAt: serverTimestamp() }, { merge: true });
+      await assertFails(batch.commit());
+    });
+
+    it('lets a commenter delete their comment along with the count', async () => {
+      const { commentRef, batch } = commentBatch(dbFor(BOB), BOB, 'post1');
+      await batch.commit();
+
+      const db = dbFor(BOB);
+      const deleteBatch = writeBatch(db);
+      deleteBatch.delete(doc(db, commentRef.path));
+      deleteBatch.update(doc(db, 'journalPosts', 'post1'), { commentCount: increment(-1), lastCommentId: commentRef.id });
+      await assertSucceeds(deleteBatch.commit());
+    });
+
+    it("won't let anyone else delete a comment, except the post's author", async () => {
+      const { commentRef, batch } = commentBatch(dbFor(BOB), BOB, 'post1');
+      await batch.commit();
+      await assertFails(deleteDoc(doc(dbFor('carol'), commentRef.path)));
+      await assertSucceeds(deleteDoc(doc(dbFor(ALICE), commentRef.path)));
+    });
+  });
+
+  describe('Hidden posts', () => {
+    beforeEach(async () => {
+      await seedPost('shown');
+      await seedPost('hidden', { hidden: true });
+    });
+
+    it('hides them from other growers', async () => {
+      await assertSucceeds(getDoc(doc(dbFor(BOB), 'journalPosts', 'shown')));
+      await assertFails(getDoc(doc(dbFor(BOB), 'journalPosts', 'hidden')));
+    });
+
+    it('still shows them to the author and moderators', async () => {
+      await assertSucceeds(getDoc(doc(dbFor(ALICE), 'journalPosts', 'hidden')));
+      await assertSucceeds(getDoc(doc(dbFor(MODERATOR), 'journalPosts', 'hidden')));
+    });
+
+    it('only allows feed queries that leave them out', async () => {
+      const db = dbFor(BOB);
+      await assertFails(getDocs(query(collection(db, 'journalPosts'), orderBy('createdAt', 'desc'))));
+      await assertSucceeds(getDocs(query(collection(db, 'journalPosts'), where('hidden', '==', false), orderBy('createdAt', 'desc'))));
+    });
+
+    it('lets only moderators hide or unhide', async () => {
+      await assertFails(updateDoc(doc(dbFor(ALICE), 'journalPosts', 'hidden'), { hidden: false }));
+      await assertSucceeds(updateDoc(doc(dbFor(MODERATOR), 'journalPosts', 'hidden'), { hidden: false }));
+    });
+
+    it("won't let a new post start out hidden or skip the flag", async () => {
+      await assertFails(postBatch(dbFor(ALICE), ALICE, { hidden: true }).batch.commit());
+    });
+  });
+
+  describe('Sensor devices', () => {
+    const TOKEN = 'device-token-0123456789abcdef0123456789';
+
+    beforeEach(() => seed(db => setDoc(doc(db, 'sensorDevices', TOKEN), {
+      userId: ALICE, tentId: 'tent1', name: 'Pi', createdAt: Timestamp.now()
+    })));
+
+    // A reading and its device stamp in one commit, like tools/simulate-sensor.js
+    function readingBatch(recordedAt, tentId = 'tent1') {
+      const db = testEnv.unauthenticatedContext().firestore();
+      const batch = writeBatch(db);
+      const readingId = String(recordedAt);
+      batch.set(doc(db, 'user-profiles', ALICE, 'tents', tentId, 'readings', readingId), {
+        recordedAt: Timestamp.fromMillis(recordedAt), tempC: 25.4, rh: 55.2, source: 'device', deviceToken: TOKEN
+      });
+      batch.update(doc(db, 'sensorDevices', TOKEN), { lastReadingId: readingId, lastReadingAt: serverTimestamp() });
+      return batch;
+    }
+
+    it('accepts a reading stamped on its device', async () => {
+      await assertSucceeds(readingBatch(Date.now()).commit());
+    });
+
+    it('rejects a reading without the stamp', async () => {
+      const db = testEnv.unauthenticatedContext().firestore();
+      await assertFails(setDoc(doc(db, 'user-profiles', ALICE, 'tents', 'tent1', 'readings', String(Date.now())), {
+        recordedAt: Timestamp.now(), tempC: 25.4, rh: 55.2, source: 'device', deviceToken: TOKEN
+      }));
+    });
+
+    it("rejects a reading for a tent that isn't the device's", async () => {
+      await assertFails(readingBatch(Date.now(), 'tent2').commit());
+    });
+
+    it('turns down a second reading within 10 seconds', async () => {
+      const now = Date.now();
+      await assertSucceeds(readingBatch(now - 1000).commit());
+      await assertFails(readingBatch(now).commit());
+    });
+  });
+
+  describe('Reports', () => {
+    const report = (uid, fields = {}) => ({
+      targetType: 'post',
+      targetId: 'post1',
+      reason: 'Selling clones',
+      reporterId: uid,
+      status: 'open',
+      createdAt: serverTimestamp(),
+      ...fields
+    });
+
+    it('accepts one report per grower per item', async () => {
+      const reportRef = doc(dbFor(BOB), 'reports', `post_post1_${BOB}`);
+      await assertSucceeds(setDoc(reportRef, report(BOB)));
+      await assertFails(setDoc(reportRef, report(BOB)));
+    });
+
+    it('rejects a report filed under another ID or name', async () => {
+      await assertFails(setDoc(doc(dbFor(BOB), 'reports', 'post_post1_someone'), report(BOB)));
+      await assertFails(setDoc(doc(dbFor(BOB), 'reports', `post_post1_${ALICE}`), report(ALICE)));
+    });
+
+    it('rejects a report that is already closed', async () => {
+      await assertFails(setDoc(doc(dbFor(BOB), 'reports', `post_post1_${BOB}`), report(BOB, { status: 'resolved' })));
+    });
+
+    it('lets only moderators read the queue', async () => {
+      await seed(db => setDoc(doc(db, 'reports', `post_post1_${BOB}`), report(BOB, { createdAt: Timestamp.now() })));
+      const openReports = db => query(collection(db, 'reports'), where('status', '==', 'open'), orderBy('createdAt', 'asc'));
+      await assertFails(getDocs(openReports(dbFor(BOB))));
+      await assertSucceeds(getDocs(openReports(dbFor(MODERATOR))));
+    });
+  });
+
+  describe('Bans', () => {
+    beforeEach(() => seed(db => setDoc(doc(db, 'bannedUsers', BOB), { reason: 'Selling', bannedBy: MODERATOR })));
+
+    it('stops a banned grower from posting, commenting and reporting', async () => {
+      await seedPost('post1');
+      const db = dbFor(BOB);
+      await assertFails(postBatch(db, BOB).batch.commit());
+      await assertFails(commentBatch(db, BOB, 'post1').batch.commit());
+      await assertFails(setDoc(doc(db, 'reports', `post_post1_${BOB}`), {
+        targetType: 'post', targetId: 'post1', reason: 'Spite', reporterId: BOB, status: 'open', createdAt: serverTimestamp()
+      }));
+    });
+
+    it('still lets them see their own ban and use their private data', async () => {
+      const db = dbFor(BOB);
+      await assertSucceeds(getDoc(doc(db, 'bannedUsers', BOB)));
+      await assertSucceeds(setDoc(doc(db, 'user-profiles', BOB, 'plants', 'plant1'), { name: 'Still growing' }));
+    });
+
+    it('lets only moderators ban and unban', async () => {
+      await assertFails(deleteDoc(doc(dbFor(BOB), 'bannedUsers', BOB)));
+      await assertFails(setDoc(doc(dbFor(ALICE), 'bannedUsers', 'carol'), { reason: 'Feud' }));
+      await assertSucceeds(deleteDoc(doc(dbFor(MODERATOR), 'bannedUsers', BOB)));
+    });
+  });
+});
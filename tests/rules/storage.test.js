@@ -0,0 +1,92 @@
+/**
+ * GROHIO Storage Rules Tests (tests/rules/storage.test.js)
+ *
+ * Runs storage.rules in the Storage emulator (next to the Firestore one,
+ * since the rules look up moderators and bans there). See
+ * tests/rules/firestore.test.js for how to run them.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+const { doc, setDoc } = require('firebase/firestore');
+const { ref, uploadBytes, getBytes, updateMetadata, deleteObject } = require('firebase/storage');
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const MODERATOR = 'moderator';
+const IMAGE = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+const JPEG = { contentType: 'image/jpeg' };
+
+let testEnv;
+
+function storageFor(uid) {
+  return testEnv.authenticatedContext(uid).storage();
+}
+
+function seed(writes) {
+  return testEnv.withSecurityRulesDisabled(context => writes(context));
+}
+
+// Wrapped so these hooks don't run for the other rules file's tests
+describe('storage.rules', () => {
+  before(async () => {
+    const rulesFile = name => fs.readFileSync(path.join(__dirname, '..', '..', name), 'utf8');
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-grohio',
+      firestore: { rules: rulesFile('firestore.rules') },
+      storage: { rules: rulesFile('storage.rules') }
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await seed(context => setDoc(doc(context.firestore(), 'admins', MODERATOR), {}));
+  });
+
+  describe('Gallery uploads', () => {
+    it('lets growers upload images to their own folder only', async () => {
+      await assertSucceeds(uploadBytes(ref(storageFor(ALICE), `gallery/${ALICE}/1-bud.jpg`), IMAGE, JPEG));
+      await assertFails(uploadBytes(ref(storageFor(BOB), `gallery/${ALICE}/2-bud.jpg`), IMAGE, JPEG));
+    });
+
+    it('only takes images', async () => {
+      await assertFails(uploadBytes(ref(storageFor(ALICE), `gallery/${ALICE}/notes.txt`), IMAGE, { contentType: 'text/plain' }));
+    });
+
+    it('stops banned growers from uploading', async () => {
+      await seed(context => setDoc(doc(context.firestore(), 'bannedUsers', ALICE), { reason: 'Selling' }));
+      await assertFails(uploadBytes(ref(storageFor(ALICE), `gallery/${ALICE}/1-bud.jpg`), IMAGE, JPEG));
+    });
+
+    it('lets the owner or a moderator delete', async () => {
+      const filePath = `gallery/${ALICE}/1-bud.jpg`;
+      await seed(context => uploadBytes(ref(context.storage(), filePath), IMAGE, JPEG));
+      await assertFails(deleteObject(ref(storageFor(BOB), filePath)));
+      await assertSucceeds(deleteObject(ref(storageFor(MODERATOR), filePath)));
+    });
+  });
+
+  describe('Hidden files', () => {
+    const filePath = `journal/${ALICE}/1-0.jpg`;
+
+    beforeEach(() => seed(context => uploadBytes(ref(context.storage(), filePath), IMAGE, JPEG)));
+
+    it('lets only moderators hide a file', async () => {
+      await assertFails(updateMetadata(ref(storageFor(ALICE), filePath), { customMetadata: { hidden: 'false' } }));
+      await assertSucceeds(updateMetadata(ref(storageFor(MODERATOR), filePath), { customMetadata: { hidden: 'true' } }));
+    });
+
+    it('keeps a hidden file from everyone but the owner and moderators', async () => {
+      await assertSucceeds(getBytes(ref(storageFor(BOB), filePath)));
+      await updateMetadata(ref(storageFor(MODERATOR), filePath), { customMetadata: { hidden: 'true' } });
+      await assertFails(getBytes(ref(storageFor(BOB), filePath)));
+      await assertSucceeds(getBytes(ref(storageFor(ALICE), filePath)));
+      await assertSucceeds(getBytes(ref(storageFor(MODERATOR), filePath)));
+    });
+  });
+});
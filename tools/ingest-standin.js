@@ -0,0 +1,159 @@
+/**
+ * GROHIO Sensor Ingest Stand-in (tools/ingest-standin.js)
+ *
+ * A tiny local server that accepts sensor readings exactly like the real
+ * endpoint (Firestore's REST API plus the rules in firestore.rules), so you
+ * can build and test a device script without a Firebase project.
+ *
+ *   SENSOR_TOKENS=<token>[,<token>...] node tools/ingest-standin.js [port]
+ *
+ * Then point tools/simulate-sensor.js at:
+ *   http://localhost:8787/v1/projects/demo/databases/(default)/documents/user-profiles/<uid>/tents/<tentId>/readings
+ * (a device script sends its commits to .../documents:commit, see the top
+ * of tools/simulate-sensor.js for the request).
+ *
+ * Accepted readings are appended to sensor-readings.jsonl in the current
+ * folder. The same checks as firestore.rules apply: a known token, a
+ * document ID that matches recordedAt, no readings older than 7 days or in
+ * the future, sane temperature and humidity values, and a device stamp in
+ * the same commit. Each device (token) can send one reading every 10
+ * seconds; a faster one gets 403 PERMISSION_DENIED, like the real rules.
+ * Any <uid> and <tentId> are fine here, since there's no device registry
+ * to check against.
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+
+const PORT = Number(process.argv[2]) || 8787;
+const OUTPUT_FILE = 'sensor-readings.jsonl';
+const TOKENS = (process.env.SENSOR_TOKENS || '').split(',').map(token => token.trim()).filter(Boolean);
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_FUTURE_MS = 10 * 60 * 1000;
+const DEVICE_MIN_GAP_MS = 10 * 1000; // Same as sensorDevices in firestore.rules
+const COMMIT_PATH = /^\/v1\/projects\/([^/]+)\/databases\/\(default\)\/documents:commit$/;
+const READING_NAME = /^projects\/[^/]+\/databases\/\(default\)\/documents\/(user-profiles\/[^/]+\/tents\/[^/]+\/readings)\/([^/]+)$/;
+const DEVICE_NAME = /^projects\/[^/]+\/databases\/\(default\)\/documents\/sensorDevices\/([^/]+)$/;
+const ALLOWED_FIELDS = ['recordedAt', 'tempC', 'rh', 'co2', 'ppfd', 'source', 'deviceToken'];
+
+const savedIds = new Set();
+const lastReadingAt = new Map(); // Device token -> time of its last reading
+
+// Turns Firestore REST "fields" into plain values
+function readFields(fields) {
+  const values = {};
+  Object.entries(fields || {}).forEach(([name, field]) => {
+    if ('timestampValue' in field) values[name] = Date.parse(field.timestampValue);
+    else if ('doubleValue' in field) values[name] = Number(field.doubleValue);
+    else if ('integerValue' in field) values[name] = Number(field.integerValue);
+    else if ('stringValue' in field) values[name] = field.stringValue;
+    else values[name] = undefined;
+  });
+  return values;
+}
+
+// Returns an error message, or null if the reading would pass firestore.rules
+function checkReading(documentId, reading) {
+  const now = Date.now();
+  if (!TOKENS.includes(reading.deviceToken)) return 'Unknown device token';
+  if (Object.keys(reading).some(name => !ALLOWED_FIELDS.includes(name))) return 'Unexpected field';
+  if (isNaN(reading.recordedAt)) return 'recordedAt must be a timestamp';
+  if (documentId !== String(reading.recordedAt)) return 'documentId must be recordedAt in epoch milliseconds';
+  if (reading.recordedAt < now - MAX_AGE_MS || reading.recordedAt > now + MAX_FUTURE_MS) return 'recordedAt is too old or in the future';
+  if (!(reading.tempC >= -20 && reading.tempC <= 60)) return 'tempC must be between -20 and 60';
+  if (!(reading.rh >= 0 && reading.rh <= 100)) return 'rh must be between 0 and 100';
+  if (['co2', 'ppfd'].some(name => name in reading && isNaN(reading[name]))) return 'co2 and ppfd must be numbers';
+  if (reading.source !== 'device') return 'source must be "device"';
+  return null;
+}
+
+// Returns an error message, or null if the commit's second write is the
+// stamp firestore.rules looks for: this device, naming this reading
+function checkDeviceStamp(deviceWrite, token, documentId) {
+  const deviceName = deviceWrite.update && DEVICE_NAME.exec(deviceWrite.update.name || '');
+  const stamp = readFields(deviceWrite.update && deviceWrite.update.fields);
+  const stampsTime = (deviceWrite.updateTransforms || [])
+    .some(transform => transform.fieldPath === 'lastReadingAt' && transform.setToServerValue === 'REQUEST_TIME');
+  if (!deviceName || deviceName[1] !== token) return 'The second write must update sensorDevices/<device token>';
+  if (stamp.lastReadingId !== documentId || !stampsTime) return 'The device stamp must set lastReadingId to the reading\'s ID and lastReadingAt to REQUEST_TIME';
+  return null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Errors look like Firestore's, so device scripts can be tested against both
+function sendError(res, status, message) {
+  const statusNames = { 400: 'INVALID_ARGUMENT', 403: 'PERMISSION_DENIED', 404: 'NOT_FOUND', 409: 'ALREADY_EXISTS' };
+  sendJson(res, status, { error: { code: status, message, status: statusNames[status] } });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method !== 'POST' || !COMMIT_PATH.test(decodeURIComponent(url.pathname))) {
+    sendError(res, 404, 'Only POST .../documents:commit is supported');
+    return;
+  }
+
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    let writes;
+    try {
+      writes = JSON.parse(body).writes;
+    } catch (error) {
+      sendError(res, 400, 'Body must be JSON with a "writes" list');
+      return;
+    }
+
+    const [readingWrite, deviceWrite] = Array.isArray(writes) ? writes : [];
+    const readingName = readingWrite && readingWrite.update && READING_NAME.exec(readingWrite.update.name || '');
+    if (!readingName || !deviceWrite || writes.length !== 2) {
+      sendError(res, 400, 'Expected two writes: the reading, then the device stamp');
+      return;
+    }
+    if (!readingWrite.currentDocument || readingWrite.currentDocument.exists !== false) {
+      sendError(res, 400, 'The reading needs "currentDocument": { "exists": false }');
+      return;
+    }
+
+    const [, collectionPath, documentId] = readingName;
+    const reading = readFields(readingWrite.update.fields);
+    const problem = checkReading(documentId, reading);
+    if (problem) {
+      sendError(res, problem === 'Unknown device token' ? 403 : 400, problem);
+      return;
+    }
+    const stampProblem = checkDeviceStamp(deviceWrite, reading.deviceToken, documentId);
+    if (stampProblem) {
+      sendError(res, 403, stampProblem);
+      return;
+    }
+
+    const path = `${collectionPath}/${documentId}`;
+    if (savedIds.has(path)) {
+      sendError(res, 409, `Document already exists: ${path}`);
+      return;
+    }
+    const now = Date.now();
+    if (now - (lastReadingAt.get(reading.deviceToken) || 0) < DEVICE_MIN_GAP_MS) {
+      sendError(res, 403, `One reading per device every ${DEVICE_MIN_GAP_MS / 1000} seconds`);
+      return;
+    }
+    lastReadingAt.set(reading.deviceToken, now);
+    savedIds.add(path);
+    fs.appendFileSync(OUTPUT_FILE, JSON.stringify({ path, ...reading, recordedAt: new Date(reading.recordedAt).toISOString() }) + '\n');
+    console.log(`Saved ${path}: ${reading.tempC}°C, ${reading.rh}% RH`);
+    sendJson(res, 200, { writeResults: [{}, {}], commitTime: new Date(now).toISOString() });
+  });
+});
+
+if (TOKENS.length === 0) {
+  console.warn('No SENSOR_TOKENS set, so every reading will be rejected. See the top of this file.');
+}
+server.listen(PORT, () => {
+  console.log(`Sensor ingest stand-in listening on http://localhost:${PORT}`);
+});
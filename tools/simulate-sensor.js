@@ -0,0 +1,180 @@
+/**
+ * GROHIO Simulated Sensor (tools/simulate-sensor.js)
+ *
+ * Pretends to be a Raspberry Pi with a temperature/humidity sensor and posts
+ * readings the same way a real device would. Copy the command from the
+ * "Setup" button under Sensor Devices in the app, or point it at the local
+ * stand-in (tools/ingest-standin.js) to try things without Firebase.
+ *
+ * Needs Node 18 or newer (for the built-in fetch). No packages to install.
+ *
+ *   node tools/simulate-sensor.js --endpoint <url> --token <device token> [options]
+ *
+ * Options:
+ *   --key <api key>     Firebase web API key (needed for the real Firestore)
+ *   --interval <sec>    Seconds between readings (default 60, at least 10)
+ *   --count <n>         Stop after n readings (default 0 = run until Ctrl+C)
+ *   --backfill <hours>  First send one reading every 15 minutes for the past
+ *                       few hours, so the charts have something to show
+ *                       (sent 10 seconds apart, so 6 hours takes 4 minutes)
+ *   --stage <stage>     seedling, veg or flower: sets what "normal" looks like
+ *
+ * Every few hours of simulated time the "dehumidifier fails" for a while, so
+ * you can see the app flag the low VPD period.
+ *
+ * The endpoint is the tent's readings collection,
+ *   https://firestore.googleapis.com/v1/projects/<project>/databases/(default)/documents/user-profiles/<uid>/tents/<tentId>/readings
+ * and each reading is a Firestore REST commit of two writes: the reading
+ * (named after its time in epoch ms) and a stamp on the device's own
+ * sensorDevices/<token> document.
+ *   POST https://firestore.googleapis.com/v1/projects/<project>/databases/(default)/documents:commit?key=<api key>
+ *   { "writes": [
+ *     { "update": { "name": "projects/<project>/databases/(default)/documents/user-profiles/<uid>/tents/<tentId>/readings/<epoch ms>",
+ *                   "fields": {
+ *                     "recordedAt":  { "timestampValue": "2026-10-01T14:30:00.000Z" },
+ *                     "tempC":       { "doubleValue": 25.4 },
+ *                     "rh":          { "doubleValue": 55.2 },
+ *                     "source":      { "stringValue": "device" },
+ *                     "deviceToken": { "stringValue": "<device token>" } } },
+ *       "currentDocument": { "exists": false } },
+ *     { "update": { "name": "projects/<project>/databases/(default)/documents/sensorDevices/<device token>",
+ *                   "fields": { "lastReadingId": { "stringValue": "<epoch ms>" } } },
+ *       "updateMask": { "fieldPaths": ["lastReadingId"] },
+ *       "updateTransforms": [{ "fieldPath": "lastReadingAt", "setToServerValue": "REQUEST_TIME" }],
+ *       "currentDocument": { "exists": true } } ] }
+ * Optional "co2" and "ppfd" fields are numbers too. Readings older than
+ * 7 days (or in the future) are rejected, and so is a second reading from
+ * the same device within 10 seconds (403 PERMISSION_DENIED).
+ */
+'use strict';
+
+const STAGE_CONDITIONS = {
+  seedling: { tempC: 25, rh: 70 },
+  veg: { tempC: 26, rh: 60 },
+  flower: { tempC: 25, rh: 50 }
+};
+const HUMID_SPIKE_EVERY_MS = 6 * 60 * 60 * 1000;
+const HUMID_SPIKE_LENGTH_MS = 45 * 60 * 1000;
+const DEVICE_MIN_GAP_MS = 10 * 1000; // firestore.rules allows one reading per device this often
+const BACKFILL_STEP_MS = 15 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { interval: 60, count: 0, backfill: 0, stage: 'veg', key: '' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in options) && name !== 'endpoint' && name !== 'token') {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+    options[name] = typeof options[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  if (!options.endpoint || !options.token) {
+    throw new Error('Usage: node tools/simulate-sensor.js --endpoint <url> --token <device token> [--key <api key>]');
+  }
+  if (!STAGE_CONDITIONS[options.stage]) {
+    throw new Error('--stage must be seedling, veg or flower');
+  }
+  if (!(options.interval * 1000 >= DEVICE_MIN_GAP_MS)) {
+    throw new Error(`--interval must be at least ${DEVICE_MIN_GAP_MS / 1000} seconds`);
+  }
+  return options;
+}
+
+// Lights on 6am-midnight: warmer and drier with the lights on, plus some noise
+function simulateReading(time, stage) {
+  const normal = STAGE_CONDITIONS[stage];
+  const hour = new Date(time).getHours();
+  const lightsOn = hour >= 6;
+  const noise = () => (Math.random() - 0.5) * 1.5;
+  const humidSpike = time % HUMID_SPIKE_EVERY_MS < HUMID_SPIKE_LENGTH_MS;
+
+  const tempC = normal.tempC + (lightsOn ? 1.5 : -3) + noise();
+  const rh = Math.min(99, normal.rh + (lightsOn ? 0 : 6) + (humidSpike ? 22 : 0) + noise() * 2);
+  return {
+    time,
+    tempC: Math.round(tempC * 10) / 10,
+    rh: Math.round(rh * 10) / 10,
+    co2: Math.round(lightsOn ? 450 + noise() * 40 : 600 + noise() * 40),
+    ppfd: lightsOn ? Math.round(stage === 'flower' ? 850 : 500) : 0
+  };
+}
+
+// ".../v1/projects/<project>/databases/(default)/documents/<readings path>"
+// -> the commit URL and the document names the commit needs
+function getCommitTarget(endpoint) {
+  const url = new URL(endpoint);
+  const [base, readingsPath] = decodeURIComponent(url.pathname).split('/documents/');
+  if (!readingsPath) throw new Error('--endpoint must be a Firestore REST URL ending in .../documents/<path>/readings');
+  url.pathname = `${base}/documents:commit`;
+  return { url, documentsName: `${base.replace(/^\/v1\//, '')}/documents`, readingsPath };
+}
+
+async function sendReading(options, reading) {
+  const { url, documentsName, readingsPath } = getCommitTarget(options.endpoint);
+  if (options.key) url.searchParams.set('key', options.key);
+  const readingId = String(reading.time);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      writes: [
+        {
+          update: {
+            name: `${documentsName}/${readingsPath}/${readingId}`,
+            fields: {
+              recordedAt: { timestampValue: new Date(reading.time).toISOString() },
+              tempC: { doubleValue: reading.tempC },
+              rh: { doubleValue: reading.rh },
+              co2: { doubleValue: reading.co2 },
+              ppfd: { doubleValue: reading.ppfd },
+              source: { stringValue: 'device' },
+              deviceToken: { stringValue: options.token }
+            }
+          },
+          currentDocument: { exists: false }
+        },
+        // The stamp firestore.rules checks to keep each device to one
+        // reading every 10 seconds
+        {
+          update: {
+            name: `${documentsName}/sensorDevices/${options.token}`,
+            fields: { lastReadingId: { stringValue: readingId } }
+          },
+          updateMask: { fieldPaths: ['lastReadingId'] },
+          updateTransforms: [{ fieldPath: 'lastReadingAt', setToServerValue: 'REQUEST_TIME' }],
+          currentDocument: { exists: true }
+        }
+      ]
+    })
+  });
+
+  // 409 = a reading with this time was already sent, which is fine
+  if (!response.ok && response.status !== 409) {
+    throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+  }
+  console.log(`${new Date(reading.time).toLocaleString()}  ${reading.tempC}°C  ${reading.rh}% RH  ->  ${response.status}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  if (options.backfill > 0) {
+    const now = Math.floor(Date.now() / BACKFILL_STEP_MS) * BACKFILL_STEP_MS;
+    for (let time = now - options.backfill * 60 * 60 * 1000; time < now; time += BACKFILL_STEP_MS) {
+      await sendReading(options, simulateReading(time, options.stage));
+      await wait(DEVICE_MIN_GAP_MS + 500); // A little extra for clock differences
+    }
+  }
+
+  for (let sent = 0; options.count === 0 || sent < options.count; sent++) {
+    if (sent > 0) await wait(options.interval * 1000);
+    await sendReading(options, simulateReading(Date.now(), options.stage));
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});